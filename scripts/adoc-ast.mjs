@@ -0,0 +1,219 @@
+// adoc-ast.mjs
+// Structural comparison of two AsciiDoc documents on their parsed block tree
+// (Asciidoctor.js, the same parser Antora uses), instead of raw line indexes.
+//
+// Compared per block: context (section, paragraph, ulist, olist, dlist, table,
+// admonition, listing, literal, example, sidebar, open, quote, pass, image, ...)
+// plus the details that must survive translation:
+// - sections: level
+// - lists: number of items
+// - tables: number of columns and header/body/footer rows
+// - admonitions: type (NOTE, TIP, ...)
+// - listing/literal blocks: style and source language
+//
+// Children are aligned with a longest-common-subsequence match, so one extra
+// or missing block is reported once instead of shifting everything after it.
+// Mismatches are reported by section path (e.g. "Getting started › Local run").
+
+import Asciidoctor from '@asciidoctor/core';
+
+let asciidoctor = null;
+
+function getAsciidoctor() {
+  if (!asciidoctor) {
+    asciidoctor = Asciidoctor();
+    // Unresolved Antora includes/xrefs are expected here; keep the output quiet.
+    asciidoctor.LoggerManager.setLogger(asciidoctor.MemoryLogger.create());
+  }
+  return asciidoctor;
+}
+
+function blockSignature(block) {
+  const context = block.getContext();
+
+  switch (context) {
+    case 'section':
+      return `section (level ${block.getLevel()})`;
+    case 'ulist':
+    case 'olist':
+    case 'colist':
+    case 'dlist':
+      return `${context} (${block.getItems().length} items)`;
+    case 'table': {
+      const rows = block.getRows();
+      return (
+        `table (${block.getColumns().length} columns, ${rows.getHead().length} header/` +
+        `${rows.getBody().length} body/${rows.getFoot().length} footer rows)`
+      );
+    }
+    case 'admonition':
+      return `admonition (${block.getStyle()})`;
+    case 'listing':
+    case 'literal': {
+      const style = block.getStyle();
+      const language = block.getAttribute('language');
+      return `${context}${style && style !== context ? ` (${style}${language ? `, ${language}` : ''})` : ''}`;
+    }
+    default:
+      return context;
+  }
+}
+
+function childBlocks(block) {
+  // dlist items are [terms, description] pairs; only descriptions hold blocks.
+  if (block.getContext() === 'dlist') {
+    return block.getItems().map(([, description]) => description).filter(Boolean);
+  }
+  return block.getBlocks();
+}
+
+function toNode(block) {
+  return {
+    context: block.getContext(),
+    signature: blockSignature(block),
+    title: block.getContext() === 'section' ? block.getTitle() : '',
+    line: block.getLineNumber() || null,
+    children: childBlocks(block).map(toNode),
+  };
+}
+
+/**
+ * Parses AsciiDoc text into a plain tree of { context, signature, title, line, children }.
+ */
+export function parseAdocTree(adocText) {
+  const doc = getAsciidoctor().load(adocText, { safe: 'secure', sourcemap: true });
+  return {
+    context: 'document',
+    signature: 'document',
+    title: doc.getDoctitle() || '',
+    children: doc.getBlocks().map(toNode),
+  };
+}
+
+// Longest-common-subsequence alignment of two arrays by a key function.
+// Returns steps { source, target } where one side is null for unmatched items.
+function alignBy(sourceItems, targetItems, key) {
+  const n = sourceItems.length;
+  const m = targetItems.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = key(sourceItems[i]) === key(targetItems[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && key(sourceItems[i]) === key(targetItems[j])) {
+      steps.push({ source: i++, target: j++ });
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      steps.push({ source: null, target: j++ });
+    } else {
+      steps.push({ source: i++, target: null });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Aligns child blocks on their full signature. Between two matched blocks,
+ * leftover blocks of the same kind are paired again by context, so e.g. a list
+ * that lost an item is reported as one changed block, not as missing + extra.
+ */
+function alignChildren(sourceChildren, targetChildren) {
+  const steps = alignBy(sourceChildren, targetChildren, (node) => node.signature);
+  const aligned = [];
+  let removed = [];
+  let added = [];
+
+  const flushGap = () => {
+    const gap = alignBy(removed, added, (idx) => idx.context);
+    for (const step of gap) {
+      aligned.push({
+        source: step.source === null ? null : removed[step.source].index,
+        target: step.target === null ? null : added[step.target].index,
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const step of steps) {
+    if (step.source !== null && step.target !== null) {
+      flushGap();
+      aligned.push(step);
+    } else if (step.source !== null) {
+      removed.push({ index: step.source, context: sourceChildren[step.source].context });
+    } else {
+      added.push({ index: step.target, context: targetChildren[step.target].context });
+    }
+  }
+  flushGap();
+
+  return aligned;
+}
+
+function describePath(pathTitles) {
+  return pathTitles.length ? pathTitles.join(' › ') : '(document)';
+}
+
+function compareNodes(source, target, pathTitles, issues) {
+  for (const step of alignChildren(source.children, target.children)) {
+    const sourceChild = step.source === null ? null : source.children[step.source];
+    const targetChild = step.target === null ? null : target.children[step.target];
+    const where = describePath(pathTitles);
+    const lines = {
+      sourceLine: sourceChild ? sourceChild.line : null,
+      targetLine: targetChild ? targetChild.line : null,
+    };
+
+    if (!targetChild) {
+      issues.push({
+        path: where,
+        message: `block ${step.source + 1} (${sourceChild.signature}) is missing in TARGET`,
+        ...lines,
+      });
+      continue;
+    }
+
+    if (!sourceChild) {
+      issues.push({
+        path: where,
+        message: `TARGET has an extra block at position ${step.target + 1} (${targetChild.signature})`,
+        ...lines,
+      });
+      continue;
+    }
+
+    if (sourceChild.signature !== targetChild.signature) {
+      issues.push({
+        path: where,
+        message: `block ${step.source + 1} differs: SOURCE=${sourceChild.signature}, TARGET=${targetChild.signature}`,
+        ...lines,
+      });
+    }
+
+    const childPath = [
+      ...pathTitles,
+      sourceChild.context === 'section' ? sourceChild.title : `${sourceChild.context} #${step.source + 1}`,
+    ];
+    compareNodes(sourceChild, targetChild, childPath, issues);
+  }
+}
+
+/**
+ * Compares the block trees of two documents.
+ * Returns [{ path, message, sourceLine, targetLine }] where path is the section path in
+ * the SOURCE document and the lines (1-based, null if the block is absent) locate the blocks.
+ */
+export function compareAdocStructure(sourceText, targetText) {
+  const issues = [];
+  const source = parseAdocTree(sourceText);
+  compareNodes(source, parseAdocTree(targetText), source.title ? [source.title] : [], issues);
+  return issues;
+}
@@ -0,0 +1,494 @@
+// adoc-blocks.mjs
+// Shared AsciiDoc block helpers used by the translation pipeline:
+// - detection of delimited blocks: verbatim (listing, literal, fenced, passthrough,
+//   comment) and compound (table, sidebar, example, quote, open), plus
+//   single-line protected regions
+// - placeholder protection/restoration of those regions before AI calls
+// - inline placeholder protection of monospace, URLs, attribute references,
+//   macro targets and passthroughs inside translatable lines
+// - splitting a document into blank-line separated segments (paragraphs,
+//   lists, whole delimited blocks) for segment-level processing
+
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function isListingBlockAttributeLine(line) {
+  const trimmed = line.trim();
+  return /^\[(source|listing|literal)(%[^\]]+)?(?:,[^\]]*)?\]$/i.test(trimmed);
+}
+
+// Any block attribute line: [source,xml], [NOTE], [cols="1,2",options="header"], [.role] ...
+// (but not [[anchor]] lines).
+export function isBlockAttributeLine(line) {
+  return /^\[(?!\[)[^\]]*\]$/.test(line.trim());
+}
+
+export function isBacktickFence(line) {
+  return /^```/.test(line.trim());
+}
+
+// Delimited blocks whose content is never translated.
+const VERBATIM_DELIMITERS = [
+  { re: /^-{4,}$/, kind: 'listing' },
+  { re: /^\.{4,}$/, kind: 'literal' },
+  { re: /^\+{4,}$/, kind: 'passthrough' },
+  { re: /^\/{4,}$/, kind: 'comment' },
+];
+
+// Delimited blocks that contain translatable AsciiDoc; only the delimiters are fixed.
+const COMPOUND_DELIMITERS = [
+  { re: /^[|,:!]={3,}$/, kind: 'table' },
+  { re: /^\*{4,}$/, kind: 'sidebar' },
+  { re: /^={4,}$/, kind: 'example' },
+  { re: /^_{4,}$/, kind: 'quote' },
+  { re: /^--$/, kind: 'open' },
+];
+
+export const VERBATIM_BLOCK_KINDS = ['listing', 'literal', 'fenced', 'passthrough', 'comment'];
+
+/**
+ * Kind of block a delimiter line opens/closes, or null if the line is not a delimiter:
+ * listing | literal | fenced | passthrough | comment | table | sidebar | example | quote | open
+ */
+export function blockDelimiterKind(line) {
+  const trimmed = line.trim();
+  if (isBacktickFence(trimmed)) return 'fenced';
+
+  for (const { re, kind } of [...VERBATIM_DELIMITERS, ...COMPOUND_DELIMITERS]) {
+    if (re.test(trimmed)) return kind;
+  }
+  return null;
+}
+
+// Delimiter of a block whose whole content is protected (code, literal, passthrough, comment).
+export function isProtectedDelimiter(line) {
+  return VERBATIM_BLOCK_KINDS.includes(blockDelimiterKind(line));
+}
+
+export function isCompoundDelimiter(line) {
+  const kind = blockDelimiterKind(line);
+  return kind !== null && !VERBATIM_BLOCK_KINDS.includes(kind);
+}
+
+export function isAttributeLine(line) {
+  return /^:[^:]+:\s*.*$/i.test(line.trim());
+}
+
+// Document attributes whose values are translated (translatableAttributes in
+// translation.config.json); their names always stay protected.
+export const DEFAULT_TRANSLATABLE_ATTRIBUTES = ['description', 'keywords', 'page-title', 'toc-title'];
+
+// Per-file metadata of the translation pipeline, never translated.
+export const PIPELINE_ATTRIBUTES = ['page-lang', 'translation-source'];
+
+export function isTranslatableAttribute(name, translatableAttributes = []) {
+  const n = (name || '').trim().toLowerCase();
+  return !PIPELINE_ATTRIBUTES.includes(n) && translatableAttributes.some((a) => a.trim().toLowerCase() === n);
+}
+
+const ATTRIBUTE_ENTRY_RE = /^(\s*:([^:!]+):)([ \t]+\S.*)$/;
+
+/**
+ * Splits an attribute entry with a translatable value into { name, prefix, value },
+ * e.g. ":description: Intro" -> { name: 'description', prefix: ':description:', value: ' Intro' }.
+ * Returns null for other lines, unset or empty attributes and names outside the allowlist.
+ */
+export function translatableAttributeParts(line, translatableAttributes = []) {
+  const m = line.match(ATTRIBUTE_ENTRY_RE);
+  if (!m) return null;
+
+  const name = m[2].trim().toLowerCase();
+  if (!isTranslatableAttribute(name, translatableAttributes)) return null;
+
+  return { name, prefix: m[1], value: m[3] };
+}
+
+function isMacroOnlyLine(line) {
+  const trimmed = line.trim();
+  return (
+    trimmed.startsWith('include::') ||
+    trimmed.startsWith('xref:') ||
+    trimmed.startsWith('image::')
+  );
+}
+
+function isAnchorLine(line) {
+  const trimmed = line.trim();
+  return /^\[\[[^\]]+\]\]$/.test(trimmed);
+}
+
+function isCommentLine(line) {
+  const trimmed = line.trim();
+  return trimmed.startsWith('//') && !/^\/{4,}$/.test(trimmed);
+}
+
+function isProtectedSingleLine(line) {
+  return (
+    isAttributeLine(line) ||
+    isMacroOnlyLine(line) ||
+    isAnchorLine(line) ||
+    isCommentLine(line) ||
+    isBlockAttributeLine(line) ||
+    isCompoundDelimiter(line)
+  );
+}
+
+export function findClosingDelimiter(lines, startIndex, openerLine) {
+  const openerTrimmed = openerLine.trim();
+
+  if (isBacktickFence(openerTrimmed)) {
+    for (let i = startIndex + 1; i < lines.length; i++) {
+      if (isBacktickFence(lines[i])) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === openerTrimmed) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Collects verbatim blocks (listing, literal, fenced, passthrough, comment) in document order.
+ * A block attribute line directly above the opening delimiter belongs to the block.
+ * Returns [{ kind, start, end, contentStart, contentEnd }] (0-based, inclusive).
+ */
+export function collectVerbatimBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (isProtectedDelimiter(lines[i])) {
+      const closingIndex = findClosingDelimiter(lines, i, lines[i]);
+      if (closingIndex !== -1) {
+        const hasAttributeLine = i > 0 && isBlockAttributeLine(lines[i - 1]);
+        blocks.push({
+          kind: blockDelimiterKind(lines[i]),
+          start: hasAttributeLine ? i - 1 : i,
+          end: closingIndex,
+          contentStart: i + 1,
+          contentEnd: closingIndex - 1,
+        });
+        i = closingIndex + 1;
+        continue;
+      }
+    }
+    i += 1;
+  }
+
+  return blocks;
+}
+
+/**
+ * Collects compound blocks (table, sidebar, example, quote, open) in document order,
+ * skipping anything inside verbatim blocks. Nested compound blocks are included.
+ * Returns [{ kind, delimiter, attributes, start, end }] (0-based, inclusive);
+ * attributes is the block attribute line above the opening delimiter ('' if none).
+ */
+export function collectCompoundBlocks(lines) {
+  const blocks = [];
+  const verbatim = collectVerbatimBlocks(lines);
+  const inVerbatim = (idx) => verbatim.some((b) => idx >= b.start && idx <= b.end);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!isCompoundDelimiter(lines[i]) || inVerbatim(i)) continue;
+
+    // Closing delimiters were already consumed by their opener.
+    if (blocks.some((b) => b.end === i)) continue;
+
+    const closingIndex = findClosingDelimiter(lines, i, lines[i]);
+    if (closingIndex === -1) continue;
+
+    blocks.push({
+      kind: blockDelimiterKind(lines[i]),
+      delimiter: lines[i].trim(),
+      attributes: i > 0 && isBlockAttributeLine(lines[i - 1]) ? lines[i - 1].trim() : '',
+      start: i,
+      end: closingIndex,
+    });
+  }
+
+  return blocks;
+}
+
+// Cell specifier + separator at the start of a cell, e.g. "|", "a|", "2+|", "^.>s|".
+// A specifier is only recognized at the start of the line or after whitespace.
+const TABLE_CELL_SEPARATOR_RE =
+  /(?:(?<=^|\s)(?:\d+(?:\.\d+)?[+*])?[<^>]?(?:\.[<^>])?[adehlmsv]?)?(?<!\\)\|/g;
+
+/**
+ * Cell specifiers/separators of a table row line, in order.
+ */
+export function tableCellSeparators(line) {
+  return line.match(TABLE_CELL_SEPARATOR_RE) || [];
+}
+
+/**
+ * Protect code/literal/listing blocks before sending the document to the model.
+ * Each protected line is replaced by a unique placeholder line to preserve line count.
+ *
+ * Also protected:
+ * - passthrough (++++) and comment (////) blocks, as a whole
+ * - single-line non-translatable regions: attribute lines, macro-only lines,
+ *   anchor lines, comment lines and block attribute lines ([NOTE], [cols=...])
+ * - delimiters of tables, sidebars, example, quote and open blocks
+ *   (their content stays translatable)
+ * - cell specifiers and separators inside |=== tables, as inline
+ *   @@PROTECTED_CELL_...@@ tokens
+ * - names of attributes listed in options.translatableAttributes, as inline
+ *   @@PROTECTED_ATTR_...@@ tokens (their values stay translatable)
+ */
+export function protectCodeAndLiteralBlocks(adocText, { translatableAttributes = [] } = {}) {
+  const lines = adocText.split('\n');
+  const protectedLines = new Map();
+  const outputLines = [];
+
+  let protectedCounter = 0;
+
+  const nextToken = (type = 'LINE') => {
+    protectedCounter += 1;
+    return `@@PROTECTED_${type}_${String(protectedCounter).padStart(6, '0')}@@`;
+  };
+
+  const protectCells = (line) =>
+    line.replace(TABLE_CELL_SEPARATOR_RE, (separator) => {
+      const token = nextToken('CELL');
+      protectedLines.set(token, separator);
+      return token;
+    });
+
+  // Open |=== tables (innermost last); cells are only protected in PSV tables.
+  const openTables = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    const currentLine = lines[i];
+    const nextLine = i + 1 < lines.length ? lines[i + 1] : null;
+
+    const verbatimStart =
+      isProtectedDelimiter(currentLine)
+        ? i
+        : isBlockAttributeLine(currentLine) && nextLine !== null && isProtectedDelimiter(nextLine)
+          ? i + 1
+          : -1;
+
+    if (verbatimStart !== -1) {
+      const closingIndex = findClosingDelimiter(lines, verbatimStart, lines[verbatimStart]);
+
+      if (closingIndex !== -1) {
+        for (let j = i; j <= closingIndex; j++) {
+          const token = nextToken();
+          protectedLines.set(token, lines[j]);
+          outputLines.push(token);
+        }
+        i = closingIndex + 1;
+        continue;
+      }
+    }
+
+    if (blockDelimiterKind(currentLine) === 'table') {
+      const delimiter = currentLine.trim();
+      if (openTables[openTables.length - 1] === delimiter) {
+        openTables.pop();
+      } else {
+        openTables.push(delimiter);
+      }
+    }
+
+    const attribute = translatableAttributeParts(currentLine, translatableAttributes);
+    if (attribute) {
+      const token = nextToken('ATTR');
+      protectedLines.set(token, attribute.prefix);
+      outputLines.push(`${token}${attribute.value}`);
+      i += 1;
+      continue;
+    }
+
+    if (isProtectedSingleLine(currentLine)) {
+      const token = nextToken();
+      protectedLines.set(token, currentLine);
+      outputLines.push(token);
+      i += 1;
+      continue;
+    }
+
+    outputLines.push(openTables[openTables.length - 1] === '|===' ? protectCells(currentLine) : currentLine);
+    i += 1;
+  }
+
+  return {
+    protectedText: outputLines.join('\n'),
+    protectedLines,
+  };
+}
+
+export function restoreProtectedBlocks(translatedText, protectedLines) {
+  let restored = translatedText;
+
+  for (const [token, original] of protectedLines.entries()) {
+    const tokenRegex = token.startsWith('@@PROTECTED_LINE_')
+      ? new RegExp(`^${escapeRegExp(token)}$`, 'gm')
+      : new RegExp(escapeRegExp(token), 'g');
+    restored = restored.replace(tokenRegex, () => original);
+  }
+
+  return restored;
+}
+
+// Inline spans that must reach the model as opaque tokens. Order matters:
+// earlier patterns win when spans overlap.
+export const INLINE_PROTECTED_PATTERNS = [
+  /\+\+\+.*?\+\+\+/g,                                // inline passthrough (+++...+++)
+  /\+\+(?!\s)[^+\n]*?\+\+/g,                           // inline passthrough (++...++)
+  /\bpass:[a-z,]*\[[^\]]*\]/g,                       // pass macro
+  /`[^`\n]+`/g,                                      // monospace
+  /\b(?:https?|ftp|mailto):[^\s[\]]+/g,              // URLs (the [label] stays translatable)
+  /\b(?:xref|link|image|include|kbd|btn|footnote|anchor):{1,2}[^\s[]*(?=\[)/g, // macro name + target
+  /<<[^,>]+(?=,|>>)/g,                               // cross reference ids
+  /\{[A-Za-z0-9_-]+\}/g,                             // attribute references
+  /^(?:NOTE|TIP|IMPORTANT|WARNING|CAUTION):(?=\s)/g, // admonition labels
+];
+
+const INLINE_TOKEN_RE = /@@INLINE_\d{6}@@/g;
+// Placeholders that live inside a line: inline spans, table cell separators and attribute names.
+const IN_LINE_TOKEN_RE = /@@(?:INLINE|PROTECTED_CELL|PROTECTED_ATTR)_\d{6}@@/g;
+
+function findInlineSpans(line) {
+  const spans = [];
+
+  for (const pattern of INLINE_PROTECTED_PATTERNS) {
+    pattern.lastIndex = 0;
+    for (const m of line.matchAll(pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (!m[0].length || spans.some((s) => start < s.end && end > s.start)) continue;
+      spans.push({ start, end });
+    }
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replaces inline non-translatable spans with @@INLINE_000001@@ style tokens.
+ * Lines that are already protected placeholders are left untouched, so this is
+ * meant to run on the output of protectCodeAndLiteralBlocks().
+ */
+export function protectInlineSpans(text) {
+  const inlineTokens = new Map();
+  let counter = 0;
+
+  const protectedText = text
+    .split('\n')
+    .map((line) => {
+      if (/^@@(?:PROTECTED_LINE|SEGMENT)_\d{6}@@$/.test(line.trim())) return line;
+
+      let out = '';
+      let cursor = 0;
+      for (const { start, end } of findInlineSpans(line)) {
+        counter += 1;
+        const token = `@@INLINE_${String(counter).padStart(6, '0')}@@`;
+        inlineTokens.set(token, line.slice(start, end));
+        out += line.slice(cursor, start) + token;
+        cursor = end;
+      }
+      return out + line.slice(cursor);
+    })
+    .join('\n');
+
+  return { protectedText, inlineTokens };
+}
+
+/**
+ * Checks that every inline token came back exactly once and no unknown token appeared.
+ * Works for @@INLINE_...@@, @@PROTECTED_CELL_...@@ and @@PROTECTED_ATTR_...@@ tokens
+ * (see inLineProtectedTokens()).
+ * Returns a list of human-readable problems (empty if all is well).
+ */
+export function verifyInlineTokens(translatedText, inlineTokens) {
+  const counts = new Map();
+  for (const token of translatedText.match(IN_LINE_TOKEN_RE) || []) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  const problems = [];
+  for (const [token, original] of inlineTokens.entries()) {
+    const count = counts.get(token) || 0;
+    if (count !== 1) {
+      problems.push(`${token} (${original}) appears ${count} time(s), expected exactly once`);
+    }
+  }
+  for (const token of counts.keys()) {
+    if (!inlineTokens.has(token)) {
+      problems.push(`${token} was not present in the source`);
+    }
+  }
+  return problems;
+}
+
+// Table cell separator and attribute name tokens of a protectCodeAndLiteralBlocks() result.
+export function inLineProtectedTokens(protectedLines) {
+  return new Map([...protectedLines].filter(([token]) => /^@@PROTECTED_(?:CELL|ATTR)_/.test(token)));
+}
+
+export function restoreInlineSpans(translatedText, inlineTokens) {
+  return translatedText.replace(INLINE_TOKEN_RE, (token) =>
+    inlineTokens.has(token) ? inlineTokens.get(token) : token
+  );
+}
+
+/**
+ * Splits document lines into segments separated by blank lines.
+ * A verbatim block (code, literal, fenced, passthrough, comment) or a table is
+ * never split, even if it contains blank lines, so it always stays inside a
+ * single segment together with its attribute/title lines.
+ *
+ * Returns an array of { start, end } (0-based, inclusive line indexes).
+ */
+export function splitIntoSegments(lines) {
+  const segments = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].trim() === '') {
+      i += 1;
+      continue;
+    }
+
+    const start = i;
+
+    while (i < lines.length && lines[i].trim() !== '') {
+      if (isProtectedDelimiter(lines[i]) || blockDelimiterKind(lines[i]) === 'table') {
+        const closingIndex = findClosingDelimiter(lines, i, lines[i]);
+        if (closingIndex !== -1) {
+          i = closingIndex + 1;
+          continue;
+        }
+      }
+      i += 1;
+    }
+
+    segments.push({ start, end: i - 1 });
+  }
+
+  return segments;
+}
+
+export function segmentText(lines, segment) {
+  return lines.slice(segment.start, segment.end + 1).join('\n');
+}
+
+// True if at least one line is left for translation after protection.
+export function hasTranslatableLines(text, options = {}) {
+  const { protectedText } = protectCodeAndLiteralBlocks(text, options);
+  return protectedText
+    .split('\n')
+    .some((line) => line.trim() !== '' && !/^(?:@@PROTECTED_[A-Z]+_\d{6}@@\s*)+$/.test(line.trim()));
+}
@@ -0,0 +1,223 @@
+// adoc-references.mjs
+// Ordered references of an AsciiDoc document and an exact comparison of them
+// between a source page and its translation:
+// - xref targets (xref:page.adoc#id[...], <<id,...>>)
+// - include paths (include::partial$file.adoc[])
+// - image paths (image::file.svg[], image:icon.png[])
+// - anchors ([[id]], [[id,label]], anchor:id[])
+// - block IDs ([#id], [source#id,xml], [id=name])
+//
+// Lines inside verbatim blocks (code, literal, passthrough, comment) are ignored:
+// their content is compared as a whole elsewhere.
+//
+// Link targets (xref, <<id>>, link:, URLs) and image paths can also be collected
+// with their exact position, so an edit of them in a source page can be copied
+// into its translation without calling AI (see sync-targets.mjs).
+
+import { collectVerbatimBlocks, isBlockAttributeLine } from './adoc-blocks.mjs';
+
+export const REFERENCE_KINDS = [
+  { kind: 'xref', label: 'xref target' },
+  { kind: 'include', label: 'include path' },
+  { kind: 'image', label: 'image path' },
+  { kind: 'anchor', label: 'anchor' },
+  { kind: 'blockId', label: 'block ID' },
+];
+
+const INLINE_REFERENCE_PATTERNS = [
+  { kind: 'xref', re: /\bxref:([^\s[]+)\[/g },
+  { kind: 'xref', re: /<<([^,>\s]+)(?:,[^>]*)?>>/g },
+  { kind: 'image', re: /\bimage::?([^\s[]+)\[/g },
+  { kind: 'anchor', re: /\[\[([^\],\s]+)(?:,[^\]]*)?\]\]/g },
+  { kind: 'anchor', re: /\banchor:([^\s[]+)\[/g },
+];
+
+// Targets that stay identical in every translation, by editable kind.
+const TARGET_PATTERNS = {
+  link: [
+    /\bxref:([^\s[]+)\[/dg,
+    /<<([^,>\s]+)(?:,[^>]*)?>>/dg,
+    /\blink:([^\s[]+)\[/dg,
+    /\b((?:https?|ftp|mailto):[^\s[\]]+)/dg,
+  ],
+  image: [/\bimage::?([^\s[]+)\[/dg],
+};
+
+export const TARGET_KINDS = Object.keys(TARGET_PATTERNS);
+
+function verbatimContentLines(lines) {
+  const skipped = new Set();
+  for (const block of collectVerbatimBlocks(lines)) {
+    for (let i = block.contentStart; i <= block.contentEnd; i++) skipped.add(i);
+  }
+  return skipped;
+}
+
+function blockIdsFromAttributeLine(line) {
+  const content = line.trim().slice(1, -1);
+  const ids = [];
+
+  const shorthand = content.split(',')[0].match(/#([^.%#,\s]+)/);
+  if (shorthand) ids.push(shorthand[1]);
+
+  const named = content.match(/(?:^|,)\s*id=["']?([^"',]+)/);
+  if (named) ids.push(named[1].trim());
+
+  return ids;
+}
+
+/**
+ * Extracts all references of a document in document order.
+ * Returns { xref: [...], include: [...], image: [...], anchor: [...], blockId: [...] },
+ * each entry being { value, line } (1-based line number).
+ */
+export function extractReferences(adocText) {
+  const lines = adocText.split('\n');
+  const refs = Object.fromEntries(REFERENCE_KINDS.map(({ kind }) => [kind, []]));
+  const skipped = verbatimContentLines(lines);
+
+  lines.forEach((line, idx) => {
+    if (skipped.has(idx)) return;
+
+    const include = line.match(/^include::([^[]+)\[/);
+    if (include) refs.include.push({ value: include[1], line: idx + 1 });
+
+    if (isBlockAttributeLine(line)) {
+      for (const id of blockIdsFromAttributeLine(line)) {
+        refs.blockId.push({ value: id, line: idx + 1 });
+      }
+    }
+
+    const found = [];
+    for (const { kind, re } of INLINE_REFERENCE_PATTERNS) {
+      re.lastIndex = 0;
+      for (const m of line.matchAll(re)) {
+        found.push({ kind, index: m.index, value: m[1] });
+      }
+    }
+    found
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ kind, value }) => refs[kind].push({ value, line: idx + 1 }));
+  });
+
+  return refs;
+}
+
+/**
+ * Exact ordered diff of two value lists (longest common subsequence).
+ * Returns [] if equal, otherwise entries:
+ *   { type: 'changed', sourceIndex, targetIndex, source, target }
+ *   { type: 'missing', sourceIndex, source }   (only in SOURCE)
+ *   { type: 'extra', targetIndex, target }     (only in TARGET)
+ * Indexes are 1-based positions in the respective list.
+ */
+export function diffOrderedLists(sourceValues, targetValues) {
+  const n = sourceValues.length;
+  const m = targetValues.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = sourceValues[i] === targetValues[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && sourceValues[i] === targetValues[j]) {
+      i += 1;
+      j += 1;
+    } else if (i < n && j < m && lcs[i + 1][j + 1] === lcs[i][j]) {
+      // Same position on both sides, different value: a replaced reference.
+      diff.push({ type: 'changed', sourceIndex: i + 1, targetIndex: j + 1, source: sourceValues[i], target: targetValues[j] });
+      i += 1;
+      j += 1;
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      diff.push({ type: 'extra', targetIndex: j + 1, target: targetValues[j] });
+      j += 1;
+    } else {
+      diff.push({ type: 'missing', sourceIndex: i + 1, source: sourceValues[i] });
+      i += 1;
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Compares all reference kinds of two documents.
+ * Returns [{ kind, label, diff, source, target }] for every kind that differs,
+ * where source/target are the extracted { value, line } lists.
+ */
+export function compareReferences(sourceText, targetText) {
+  const sourceRefs = extractReferences(sourceText);
+  const targetRefs = extractReferences(targetText);
+  const results = [];
+
+  for (const { kind, label } of REFERENCE_KINDS) {
+    const diff = diffOrderedLists(
+      sourceRefs[kind].map((ref) => ref.value),
+      targetRefs[kind].map((ref) => ref.value)
+    );
+    if (diff.length) {
+      results.push({ kind, label, diff, source: sourceRefs[kind], target: targetRefs[kind] });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Link targets (kind 'link': xref, <<id>>, link: and URLs) or image paths
+ * (kind 'image') in document order, outside verbatim blocks.
+ * Returns [{ value, line, start, end }]: 0-based line index and the column range of the value.
+ */
+export function collectTargets(adocText, kind) {
+  const lines = adocText.split('\n');
+  const skipped = verbatimContentLines(lines);
+  const targets = [];
+
+  lines.forEach((line, idx) => {
+    if (skipped.has(idx)) return;
+
+    const found = [];
+    for (const re of TARGET_PATTERNS[kind]) {
+      re.lastIndex = 0;
+      for (const m of line.matchAll(re)) {
+        const [start, end] = m.indices[1];
+        // link:https://... is matched as a link: target and as a URL: keep one.
+        if (found.some((t) => start < t.end && end > t.start)) continue;
+        found.push({ value: m[1], line: idx, start, end });
+      }
+    }
+    targets.push(...found.sort((a, b) => a.start - b.start));
+  });
+
+  return targets;
+}
+
+/**
+ * Rewrites the given targets (from collectTargets() of the same text) with
+ * replacer(target, index). Returns the new text.
+ */
+export function replaceTargets(adocText, targets, replacer) {
+  const lines = adocText.split('\n');
+
+  // Last target first, so the columns of earlier targets on a line stay valid.
+  for (let i = targets.length - 1; i >= 0; i--) {
+    const t = targets[i];
+    const line = lines[t.line];
+    lines[t.line] = `${line.slice(0, t.start)}${replacer(t, i)}${line.slice(t.end)}`;
+  }
+
+  return lines.join('\n');
+}
+
+// The text with every target of a kind replaced by a placeholder, for comparisons.
+export function maskTargets(adocText, kind) {
+  return replaceTargets(adocText, collectTargets(adocText, kind), () => '@@TARGET@@');
+}
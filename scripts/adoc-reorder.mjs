@@ -0,0 +1,132 @@
+// adoc-reorder.mjs
+// Detects a pure reorder of the movable blocks of an AsciiDoc page (paragraphs,
+// list items, sections, whole delimited blocks) and replays the same moves on
+// its translation, without calling AI (see sync-reorder.mjs).
+//
+// Blocks are the blank-line separated segments of adoc-blocks.mjs, further split
+// before every list item and heading, so reordered items of one list are found too.
+// Anchor, block attribute and block title lines stay with the block below them.
+
+import { collectVerbatimBlocks, isBlockAttributeLine, splitIntoSegments } from './adoc-blocks.mjs';
+
+const LIST_ITEM_RE = /^\s*(?:[*-]+|\.+|\d+\.)\s+\S/;
+const HEADING_RE = /^(=+)\s+\S/;
+
+function startsMovableBlock(line) {
+  return LIST_ITEM_RE.test(line) || HEADING_RE.test(line);
+}
+
+// Lines that belong to the block below them: [[id]], [source,xml], [NOTE], .Block title
+function isLeadingLine(line) {
+  const trimmed = line.trim();
+  return /^\[\[[^\]]+\]\]$/.test(trimmed) || isBlockAttributeLine(trimmed) || /^\.[^.\s]/.test(trimmed);
+}
+
+/**
+ * Movable blocks of a page in document order: [{ start, end }] (0-based, inclusive).
+ * Everything between two blocks is blank lines.
+ */
+export function splitIntoMovableBlocks(lines) {
+  const verbatim = collectVerbatimBlocks(lines);
+  const inVerbatim = (idx) => verbatim.some((b) => idx > b.start && idx <= b.end);
+  const blocks = [];
+
+  for (const segment of splitIntoSegments(lines)) {
+    let start = segment.start;
+
+    for (let i = segment.start + 1; i <= segment.end; i++) {
+      if (inVerbatim(i) || !startsMovableBlock(lines[i])) continue;
+
+      let at = i;
+      while (at > start && isLeadingLine(lines[at - 1])) at -= 1;
+      if (at === start) continue;
+
+      blocks.push({ start, end: at - 1 });
+      start = at;
+    }
+
+    blocks.push({ start, end: segment.end });
+  }
+
+  return blocks;
+}
+
+function blockKey(lines, block) {
+  return lines
+    .slice(block.start, block.end + 1)
+    .map((line) => line.replace(/\s+$/, ''))
+    .join('\n');
+}
+
+/**
+ * Structural kind of a block, compared between a source block and the block
+ * of the translation it is aligned with: heading level, list marker, delimiter
+ * or attribute name of its first non-leading line, 'text' otherwise.
+ */
+export function blockShape(lines, block) {
+  let i = block.start;
+  while (i < block.end && isLeadingLine(lines[i])) i += 1;
+  const line = lines[i].trim();
+
+  const heading = line.match(HEADING_RE);
+  if (heading) return `heading:${heading[1]}`;
+  const list = line.match(/^([*-]+|\.+|\d+\.)\s/);
+  if (list) return `list:${/^\d/.test(list[1]) ? '1.' : list[1]}`;
+  const attribute = line.match(/^:!?([^:!]+)!?:/);
+  if (attribute) return `attribute:${attribute[1].trim().toLowerCase()}`;
+  if (/^(?:[-.+/*=_]{4,}|[|,:!]={3,}|--|```.*)$/.test(line)) return `delimiter:${line}`;
+  return 'text';
+}
+
+/**
+ * If `afterText` only reorders the movable blocks of `beforeText`, returns the
+ * permutation: order[i] is the index in `before` of the i-th block of `after`.
+ * Returns null if any block changed, was added or removed, or nothing moved.
+ */
+export function blockPermutation(beforeText, afterText) {
+  const beforeLines = beforeText.replace(/\r\n/g, '\n').split('\n');
+  const afterLines = afterText.replace(/\r\n/g, '\n').split('\n');
+  const beforeBlocks = splitIntoMovableBlocks(beforeLines);
+  const afterBlocks = splitIntoMovableBlocks(afterLines);
+
+  if (beforeBlocks.length !== afterBlocks.length) return null;
+
+  // Identical blocks (e.g. two equal notes) are matched in document order.
+  const positions = new Map();
+  beforeBlocks.forEach((block, idx) => {
+    const key = blockKey(beforeLines, block);
+    if (!positions.has(key)) positions.set(key, []);
+    positions.get(key).push(idx);
+  });
+
+  const order = [];
+  for (const block of afterBlocks) {
+    const free = positions.get(blockKey(afterLines, block));
+    if (!free || !free.length) return null;
+    order.push(free.shift());
+  }
+
+  return order.some((from, to) => from !== to) ? order : null;
+}
+
+/**
+ * Rebuilds `targetText` (aligned block by block with the source before the
+ * move) in the new order. The blank lines between blocks are taken from the
+ * reordered source, so a block moved into a list keeps the list together.
+ */
+export function applyBlockPermutation(targetText, reorderedSourceText, order) {
+  const targetLines = targetText.replace(/\r\n/g, '\n').split('\n');
+  const sourceLines = reorderedSourceText.replace(/\r\n/g, '\n').split('\n');
+  const targetBlocks = splitIntoMovableBlocks(targetLines);
+  const sourceBlocks = splitIntoMovableBlocks(sourceLines);
+
+  const out = sourceLines.slice(0, sourceBlocks[0].start);
+  order.forEach((from, to) => {
+    const block = targetBlocks[from];
+    out.push(...targetLines.slice(block.start, block.end + 1));
+    const gapEnd = to + 1 < sourceBlocks.length ? sourceBlocks[to + 1].start : sourceLines.length;
+    out.push(...sourceLines.slice(sourceBlocks[to].end + 1, gapEnd));
+  });
+
+  return out.join('\n');
+}
@@ -3,22 +3,69 @@
 // - NO_CHANGES
 // - STRUCTURAL_ONLY
 // - CODE_ONLY
+// - WHITESPACE_ONLY
+// - METADATA_ONLY
+// - LINK_ONLY
+// - IMAGE_ONLY
+// - REORDER_ONLY
 // - TEXT_AND_STRUCTURE
 //
 // Notes:
 // - STRUCTURAL_ONLY means only heading/list markers / metadata / similar non-semantic
 //   structure changed, while normalized human-readable text stayed the same.
-// - CODE_ONLY means all changed lines are inside code/literal/listing blocks.
+//   Values of translatableAttributes (:description:, ...) count as text.
+// - CODE_ONLY means all changed lines are inside code/literal/listing blocks
+//   (or passthrough/comment blocks, which are never translated either), including
+//   whole blocks added or removed without a block title (sync-code-blocks.mjs
+//   pairs the blocks and inserts/removes them in the translation).
+//   Lines with translatable comments (codeComments, translate-comments role) are text.
+// - WHITESPACE_ONLY, METADATA_ONLY, LINK_ONLY and IMAGE_ONLY compare the staged
+//   page with HEAD (features.fineGrainedChanges): only trailing/inner whitespace or
+//   blank lines changed; only attribute lines (other than translatableAttributes)
+//   changed; only xref/link:/URL targets changed; only image paths changed.
+// - REORDER_ONLY (also features.fineGrainedChanges): paragraphs, list items, sections
+//   or delimited blocks were only moved (adoc-reorder.mjs).
+//   The pre-commit hook copies these edits into the counterpart pages without AI.
+// - A reorder inside a paragraph cannot be replayed on a translation, so it is
+//   TEXT_AND_STRUCTURE rather than STRUCTURAL_ONLY.
 // - TEXT_AND_STRUCTURE is the safe fallback for everything else.
+//
+// Usage:
+//   node analyze-changes.mjs <file.adoc>          -> prints STATUS=<status>
+//   node analyze-changes.mjs --json <file.adoc>   -> prints { file, status, hunks }
+//
+// In --json mode every diff hunk is described as well:
+//   { kind, oldStart, oldLines, newStart, newLines, section, blockIds }
+// - kind: code | whitespace | metadata | link | image | structural | markup | text
+//   (markup: only lines without text, e.g. comments, block attributes, delimiters)
+// - section: heading path enclosing the start of the hunk in the staged page
+// - blockIds: IDs declared on the changed lines and IDs of the enclosing sections
 
 import { execSync } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
+import {
+  DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  collectVerbatimBlocks,
+  isAttributeLine,
+  isListingBlockAttributeLine,
+  translatableAttributeParts,
+} from './adoc-blocks.mjs';
+import { extractReferences, maskTargets } from './adoc-references.mjs';
+import { blockPermutation } from './adoc-reorder.mjs';
+import { collectCommentBlocks, findCodeComments } from './code-comments.mjs';
+import { collectDiagramBlocks } from './diagram-labels.mjs';
+import { getStagedDiff, parseDiffHunks, readRevisionContent } from './git-diff.mjs';
 
 const STATUS = {
   NO_CHANGES: 'NO_CHANGES',
   STRUCTURAL_ONLY: 'STRUCTURAL_ONLY',
   CODE_ONLY: 'CODE_ONLY',
+  WHITESPACE_ONLY: 'WHITESPACE_ONLY',
+  METADATA_ONLY: 'METADATA_ONLY',
+  LINK_ONLY: 'LINK_ONLY',
+  IMAGE_ONLY: 'IMAGE_ONLY',
+  REORDER_ONLY: 'REORDER_ONLY',
   TEXT_AND_STRUCTURE: 'TEXT_AND_STRUCTURE',
 };
 
@@ -29,15 +76,13 @@ async function loadConfig() {
       syncStructureOnStructuralChanges: true,
       skipCodeOnlyChanges: false,
       postTranslationValidation: false,
+      translateDiagramLabels: false,
+      fineGrainedChanges: true,
     },
-    languages: {
-      sr: {
-        enabled: true,
-        direction: 'en->sr',
-        sourceDir: 'docs-en',
-        targetDir: 'docs-sr',
-      },
+    codeComments: {
+      targetLanguages: [],
     },
+    translatableAttributes: DEFAULT_TRANSLATABLE_ATTRIBUTES,
   };
 
   try {
@@ -53,61 +98,12 @@ async function loadConfig() {
         ...defaultConfig.features,
         ...(parsed.features || {}),
       },
-      languages: {
-        ...defaultConfig.languages,
-        ...(parsed.languages || {}),
-      },
     };
   } catch {
     return defaultConfig;
   }
 }
 
-function getDiff(filePath) {
-  try {
-    return execSync(`git diff --cached -U0 -- "${filePath}"`, {
-      encoding: 'utf8',
-    });
-  } catch {
-    return '';
-  }
-}
-
-// Parse diff hunks and return changed line numbers in the new/old staged file.
-function getChangedLineNumbers(diffOutput) {
-  const lines = diffOutput.split('\n');
-  const changed = [];
-
-  let oldLine = 0;
-  let newLine = 0;
-
-  for (const line of lines) {
-    const hunk = line.match(/^@@ -(\d+),?\d* \+(\d+),?\d* @@/);
-    if (hunk) {
-      oldLine = parseInt(hunk[1], 10);
-      newLine = parseInt(hunk[2], 10);
-      continue;
-    }
-
-    if (line.startsWith('+++') || line.startsWith('---')) {
-      continue;
-    }
-
-    if (line.startsWith(' ')) {
-      oldLine++;
-      newLine++;
-    } else if (line.startsWith('-')) {
-      changed.push({ type: 'removed', oldLine, newLine: null });
-      oldLine++;
-    } else if (line.startsWith('+')) {
-      changed.push({ type: 'added', oldLine: null, newLine });
-      newLine++;
-    }
-  }
-
-  return changed;
-}
-
 function extractRemovedAdded(diffOutput) {
   const lines = diffOutput.split('\n');
 
@@ -133,11 +129,6 @@ function extractRemovedAdded(diffOutput) {
   return { removed, added };
 }
 
-function isListingBlockAttributeLine(line) {
-  const trimmed = line.trim();
-  return /^\[(source|listing|literal)(%[^\]]+)?(?:,[^\]]*)?\]$/i.test(trimmed);
-}
-
 function isMetadataLine(line) {
   const trimmed = line.trim();
 
@@ -148,7 +139,8 @@ function isMetadataLine(line) {
   return false;
 }
 
-function normalizeLines(lines) {
+// Human-readable text of the lines, in document order.
+function normalizedTextLines(lines, translatableAttributes = []) {
   const normalized = [];
 
   for (let line of lines) {
@@ -156,7 +148,10 @@ function normalizeLines(lines) {
 
     if (!line.trim()) continue;
 
-    if (isMetadataLine(line)) {
+    const attribute = translatableAttributeParts(line, translatableAttributes);
+    if (attribute) {
+      line = attribute.value.trim();
+    } else if (isMetadataLine(line)) {
       continue;
     }
 
@@ -175,76 +170,110 @@ function normalizeLines(lines) {
     normalized.push(line);
   }
 
-  const unique = Array.from(new Set(normalized));
+  return normalized;
+}
+
+function normalizeLines(lines, translatableAttributes = []) {
+  const unique = Array.from(new Set(normalizedTextLines(lines, translatableAttributes)));
   unique.sort((a, b) => a.localeCompare(b, 'en'));
 
   return unique;
 }
 
-function isBacktickFence(line) {
-  return /^```/.test(line.trim());
+// Content ranges of verbatim blocks (code, literal, fenced, passthrough, comment).
+// With translatable diagram labels, Mermaid/PlantUML blocks are not code.
+// blockStart/blockEnd also cover the delimiters, the block attribute line and
+// [[id]] anchors above it, so a whole added or removed block counts as code.
+// commentLines: lines with translatable comments (code-comments.mjs), which are text.
+function collectProtectedBlockRanges(lines, { includeDiagrams = true, allCommentBlocks = false } = {}) {
+  const diagramStarts = includeDiagrams
+    ? new Set()
+    : new Set(collectDiagramBlocks(lines).map((block) => block.start));
+  const commentLines = new Set(
+    collectCommentBlocks(lines, { allBlocks: allCommentBlocks }).flatMap((block) =>
+      findCodeComments(lines.slice(block.contentStart, block.contentEnd + 1), block.language).map(
+        (comment) => block.contentStart + comment.line
+      )
+    )
+  );
+
+  return collectVerbatimBlocks(lines)
+    .filter((block) => !diagramStarts.has(block.start))
+    .map((block) => {
+      let blockStart = block.start;
+      while (blockStart > 0 && /^\[\[[^\]]+\]\]$/.test(lines[blockStart - 1].trim())) blockStart -= 1;
+      return {
+        start: block.contentStart,
+        end: block.contentEnd,
+        blockStart,
+        blockEnd: block.end,
+        commentLines,
+      };
+    });
 }
 
-function isSupportedDelimiter(line) {
-  const trimmed = line.trim();
-  return trimmed === '----' || trimmed === '....' || isBacktickFence(trimmed);
+function isInsideVerbatimContent(blocks, idx) {
+  return blocks.some((b) => idx >= b.contentStart && idx <= b.contentEnd);
 }
 
-function findClosingDelimiter(lines, startIndex, openerLine) {
-  const openerTrimmed = openerLine.trim();
-
-  if (isBacktickFence(openerTrimmed)) {
-    for (let i = startIndex + 1; i < lines.length; i++) {
-      if (isBacktickFence(lines[i])) {
-        return i;
-      }
+// Trailing and inner whitespace and runs of blank lines do not matter outside
+// verbatim blocks; leading indentation does (it makes a literal paragraph).
+function normalizeWhitespace(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks = collectVerbatimBlocks(lines);
+  const out = [];
+
+  lines.forEach((line, idx) => {
+    if (isInsideVerbatimContent(blocks, idx)) {
+      out.push(line);
+      return;
     }
-    return -1;
-  }
+    const normalized = line.replace(/\s+$/, '').replace(/(\S)[ \t]+/g, '$1 ');
+    if (normalized === '' && (!out.length || out[out.length - 1] === '')) return;
+    out.push(normalized);
+  });
 
-  for (let i = startIndex + 1; i < lines.length; i++) {
-    if (lines[i].trim() === openerTrimmed) {
-      return i;
-    }
-  }
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out.join('\n');
+}
 
-  return -1;
+// Drops attribute entries whose values are copied as they are (not translated).
+function withoutCopiedAttributes(text, translatableAttributes) {
+  const lines = text.split('\n');
+  const blocks = collectVerbatimBlocks(lines);
+  return lines
+    .filter(
+      (line, idx) =>
+        isInsideVerbatimContent(blocks, idx) ||
+        !isAttributeLine(line) ||
+        translatableAttributeParts(line, translatableAttributes) !== null
+    )
+    .join('\n');
 }
 
-function collectProtectedBlockRanges(lines) {
-  const ranges = [];
-  let i = 0;
+/**
+ * Finer classes of an edit, comparing the page in HEAD with the staged page.
+ * Returns a STATUS or null if the edit is none of them.
+ */
+function classifyFineGrainedChange(headContent, stagedContent, translatableAttributes) {
+  const before = normalizeWhitespace(headContent);
+  const after = normalizeWhitespace(stagedContent);
 
-  while (i < lines.length) {
-    const currentLine = lines[i];
-    const nextLine = i + 1 < lines.length ? lines[i + 1] : null;
+  if (before === after) return STATUS.WHITESPACE_ONLY;
 
-    if (
-      isListingBlockAttributeLine(currentLine) &&
-      nextLine !== null &&
-      isSupportedDelimiter(nextLine)
-    ) {
-      const closingIndex = findClosingDelimiter(lines, i + 1, nextLine);
-      if (closingIndex !== -1) {
-        ranges.push({ start: i + 1, end: closingIndex - 1 });
-        i = closingIndex + 1;
-        continue;
-      }
-    }
+  if (
+    normalizeWhitespace(withoutCopiedAttributes(headContent, translatableAttributes)) ===
+    normalizeWhitespace(withoutCopiedAttributes(stagedContent, translatableAttributes))
+  ) {
+    return STATUS.METADATA_ONLY;
+  }
 
-    if (isSupportedDelimiter(currentLine)) {
-      const closingIndex = findClosingDelimiter(lines, i, currentLine);
-      if (closingIndex !== -1) {
-        ranges.push({ start: i + 1, end: closingIndex - 1 });
-        i = closingIndex + 1;
-        continue;
-      }
-    }
+  if (maskTargets(before, 'link') === maskTargets(after, 'link')) return STATUS.LINK_ONLY;
+  if (maskTargets(before, 'image') === maskTargets(after, 'image')) return STATUS.IMAGE_ONLY;
 
-    i += 1;
-  }
+  if (blockPermutation(headContent, stagedContent)) return STATUS.REORDER_ONLY;
 
-  return ranges;
+  return null;
 }
 
 function isLineInProtectedRange(ranges, lineNumber) {
@@ -256,86 +285,236 @@ function isLineInProtectedRange(ranges, lineNumber) {
   return false;
 }
 
-async function main() {
-  const [, , filePath] = process.argv;
+// Like isLineInProtectedRange, including delimiters, block attribute and anchor lines.
+function isLineInProtectedBlock(ranges, lineNumber) {
+  return ranges.some((r) => lineNumber >= r.blockStart + 1 && lineNumber <= r.blockEnd + 1);
+}
 
-  if (!filePath) {
-    console.error('Usage: node analyze-changes.mjs <file.adoc>');
-    process.exit(1);
+/**
+ * Whether the changed lines of a diff are code: lines of verbatim blocks in the
+ * staged page (added) or in the page at HEAD (removed). Blank lines outside
+ * blocks are neither, so adding or removing a whole block is a code change.
+ * Returns { anyCode, anyNonCode }.
+ */
+function classifyChangedLines(hunks, protectedRanges, headRanges) {
+  let anyCode = false;
+  let anyNonCode = false;
+
+  const mark = (line, lineNumber, ranges) => {
+    if (ranges.some((r) => r.commentLines.has(lineNumber - 1))) {
+      anyNonCode = true;
+    } else if (isLineInProtectedRange(ranges, lineNumber)) {
+      anyCode = true;
+    } else if (line.trim() === '') {
+      return;
+    } else if (isLineInProtectedBlock(ranges, lineNumber)) {
+      anyCode = true;
+    } else {
+      anyNonCode = true;
+    }
+  };
+
+  for (const hunk of hunks) {
+    hunk.added.forEach((line, i) => mark(line, hunk.newStart + i, protectedRanges));
+    hunk.removed.forEach((line, i) => mark(line, hunk.oldStart + i, headRanges));
   }
 
-  const config = await loadConfig();
-  const diffOutput = getDiff(filePath);
+  return { anyCode, anyNonCode };
+}
 
-  if (!diffOutput.trim()) {
-    console.log(`STATUS=${STATUS.NO_CHANGES}`);
-    process.exit(0);
+// Explicit IDs per 1-based line: [[id]], anchor:id[], [#id] and [id=...].
+function declaredIdsByLine(adocText) {
+  const refs = extractReferences(adocText);
+  const byLine = new Map();
+  for (const { value, line } of [...refs.anchor, ...refs.blockId]) {
+    if (!byLine.has(line)) byLine.set(line, []);
+    byLine.get(line).push(value);
   }
+  return byLine;
+}
 
-  const skipCodeOnly =
-    config.features && config.features.skipCodeOnlyChanges === true;
+/**
+ * Enclosing sections of every line: an array indexed by 0-based line holding
+ * [{ title, id }] from the document title down (id: explicit ID above the heading, or null).
+ */
+function sectionPathsByLine(lines, idsByLine) {
+  const blocks = collectVerbatimBlocks(lines);
+  const stack = [];
+  const paths = [];
+
+  lines.forEach((line, idx) => {
+    const heading = isInsideVerbatimContent(blocks, idx) ? null : line.match(/^(=+)\s+(.+?)\s*$/);
+    if (heading) {
+      const level = heading[1].length - 1;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      // idsByLine is 1-based, so idx is the line right above the heading.
+      stack.push({ level, title: heading[2], id: (idsByLine.get(idx) || [])[0] || null });
+    }
+    paths.push(stack.map(({ title, id }) => ({ title, id })));
+  });
 
-  let stagedContent;
-  try {
-    stagedContent = execSync(`git show :${filePath}`, { encoding: 'utf8' });
-  } catch {
-    stagedContent = await fs.readFile(filePath, 'utf8');
+  return paths;
+}
+
+function classifyHunk(hunk, protectedRanges, headRanges, translatableAttributes) {
+  const { anyCode, anyNonCode } = classifyChangedLines([hunk], protectedRanges, headRanges);
+  if (anyCode && !anyNonCode) return 'code';
+
+  const before = hunk.removed.join('\n');
+  const after = hunk.added.join('\n');
+
+  if (normalizeWhitespace(before) === normalizeWhitespace(after)) return 'whitespace';
+  if (
+    normalizeWhitespace(withoutCopiedAttributes(before, translatableAttributes)) ===
+    normalizeWhitespace(withoutCopiedAttributes(after, translatableAttributes))
+  ) {
+    return 'metadata';
   }
+  if (maskTargets(before, 'link') === maskTargets(after, 'link')) return 'link';
+  if (maskTargets(before, 'image') === maskTargets(after, 'image')) return 'image';
 
-  const fileLines = stagedContent.split('\n');
-  const protectedRanges = collectProtectedBlockRanges(fileLines);
-  const changedLineNumbers = getChangedLineNumbers(diffOutput);
+  const normRemoved = normalizeLines(hunk.removed, translatableAttributes).join('\n');
+  const normAdded = normalizeLines(hunk.added, translatableAttributes).join('\n');
+  if (!normRemoved && !normAdded) return 'markup';
+  return normRemoved === normAdded ? 'structural' : 'text';
+}
 
-  let anyCode = false;
-  let anyNonCode = false;
+function describeHunks(diffOutput, stagedContent, { protectedRanges, headRanges }, translatableAttributes) {
+  const lines = stagedContent.split('\n');
+  const idsByLine = declaredIdsByLine(stagedContent);
+  const paths = sectionPathsByLine(lines, idsByLine);
 
-  for (const ch of changedLineNumbers) {
-    const lineNo = ch.newLine || ch.oldLine;
-    if (!lineNo) continue;
+  return parseDiffHunks(diffOutput).map((hunk) => {
+    // First added line, or for a pure deletion (newLines 0) the line right before it.
+    const sections = paths[Math.min(Math.max(hunk.newStart - 1, 0), lines.length - 1)] || [];
 
-    const inCode = isLineInProtectedRange(protectedRanges, lineNo);
-    if (inCode) {
-      anyCode = true;
-    } else {
-      anyNonCode = true;
-    }
+    const changedIds = [
+      ...hunk.added.flatMap((_, i) => idsByLine.get(hunk.newStart + i) || []),
+      ...[...declaredIdsByLine(hunk.removed.join('\n')).values()].flat(),
+    ];
+
+    return {
+      kind: classifyHunk(hunk, protectedRanges, headRanges, translatableAttributes),
+      oldStart: hunk.oldStart,
+      oldLines: hunk.oldLines,
+      newStart: hunk.newStart,
+      newLines: hunk.newLines,
+      section: sections.map((s) => s.title),
+      blockIds: [...new Set([...changedIds, ...sections.map((s) => s.id).filter(Boolean)])],
+    };
+  });
+}
+
+async function readStagedContent(filePath) {
+  try {
+    return execSync(`git show :${filePath}`, { encoding: 'utf8' });
+  } catch {
+    return fs.readFile(filePath, 'utf8');
   }
+}
+
+function classifyChange(diffOutput, stagedContent, headContent, { protectedRanges, headRanges }, config) {
+  const skipCodeOnly =
+    config.features && config.features.skipCodeOnlyChanges === true;
+
+  const { anyCode, anyNonCode } = classifyChangedLines(parseDiffHunks(diffOutput), protectedRanges, headRanges);
 
   if (skipCodeOnly && anyCode && !anyNonCode) {
-    console.log(`STATUS=${STATUS.CODE_ONLY}`);
-    process.exit(0);
+    return STATUS.CODE_ONLY;
+  }
+
+  if (headContent !== null && config.features.fineGrainedChanges) {
+    const fineGrained = classifyFineGrainedChange(headContent, stagedContent, config.translatableAttributes);
+    if (fineGrained) return fineGrained;
   }
 
   const { removed, added } = extractRemovedAdded(diffOutput);
-  const normRemoved = normalizeLines(removed);
-  const normAdded = normalizeLines(added);
+  const normRemoved = normalizeLines(removed, config.translatableAttributes);
+  const normAdded = normalizeLines(added, config.translatableAttributes);
 
   if (
     (removed.length > 0 || added.length > 0) &&
     normRemoved.length === 0 &&
     normAdded.length === 0
   ) {
-    console.log(`STATUS=${STATUS.TEXT_AND_STRUCTURE}`);
-    process.exit(0);
+    return STATUS.TEXT_AND_STRUCTURE;
   }
 
   if (normRemoved.length === 0 && normAdded.length === 0) {
-    console.log(`STATUS=${STATUS.NO_CHANGES}`);
-    process.exit(0);
+    return STATUS.NO_CHANGES;
   }
 
   const removedJoined = normRemoved.join('\n');
   const addedJoined = normAdded.join('\n');
 
-  if (removedJoined === addedJoined) {
-    console.log(`STATUS=${STATUS.STRUCTURAL_ONLY}`);
+  if (removedJoined !== addedJoined) return STATUS.TEXT_AND_STRUCTURE;
+
+  // Same text, but moved around in a way REORDER_ONLY cannot replay.
+  if (
+    headContent !== null &&
+    normalizedTextLines(headContent.split('\n'), config.translatableAttributes).join('\n') !==
+      normalizedTextLines(stagedContent.split('\n'), config.translatableAttributes).join('\n')
+  ) {
+    return STATUS.TEXT_AND_STRUCTURE;
+  }
+
+  return STATUS.STRUCTURAL_ONLY;
+}
+
+function printResult(result, asJson) {
+  if (asJson) {
+    console.log(JSON.stringify(result, null, 2));
   } else {
-    console.log(`STATUS=${STATUS.TEXT_AND_STRUCTURE}`);
+    console.log(`STATUS=${result.status}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const [filePath] = args.filter((a) => !a.startsWith('--'));
+
+  if (!filePath) {
+    console.error('Usage: node analyze-changes.mjs [--json] <file.adoc>');
+    process.exit(1);
+  }
+
+  try {
+    const config = await loadConfig();
+    const diffOutput = getStagedDiff(filePath);
+
+    if (!diffOutput.trim()) {
+      printResult({ file: filePath, status: STATUS.NO_CHANGES, hunks: [] }, asJson);
+      return;
+    }
+
+    const stagedContent = await readStagedContent(filePath);
+    const rangeOptions = {
+      includeDiagrams: !config.features.translateDiagramLabels,
+      // Some target language translates the comments of every XML/DataWeave block.
+      allCommentBlocks: (config.codeComments.targetLanguages || []).length > 0,
+    };
+    const protectedRanges = collectProtectedBlockRanges(stagedContent.split('\n'), rangeOptions);
+    // Removed lines are located in the page at HEAD (null for a new page).
+    const headContent = readRevisionContent('HEAD', filePath);
+    const ranges = {
+      protectedRanges,
+      headRanges: headContent === null ? protectedRanges : collectProtectedBlockRanges(headContent.split('\n'), rangeOptions),
+    };
+
+    printResult(
+      {
+        file: filePath,
+        status: classifyChange(diffOutput, stagedContent, headContent, ranges, config),
+        hunks: asJson ? describeHunks(diffOutput, stagedContent, ranges, config.translatableAttributes) : [],
+      },
+      asJson
+    );
+  } catch (err) {
+    console.error('Error in analyze-changes.mjs:', err);
+    printResult({ file: filePath, status: STATUS.TEXT_AND_STRUCTURE, hunks: [], error: err.message }, asJson);
+    process.exit(1);
   }
 }
 
-main().catch((err) => {
-  console.error('Error in analyze-changes.mjs:', err);
-  console.log(`STATUS=${STATUS.TEXT_AND_STRUCTURE}`);
-  process.exit(1);
-});
\ No newline at end of file
+main();
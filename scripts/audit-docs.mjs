@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// audit-docs.mjs
+// Repository-wide documentation audit. Unlike the pre-commit hook it needs no
+// staged changes: it walks every page of every configured language, so commits
+// made with --no-verify or TRANSLATION_MODE=off are caught later (e.g. in CI).
+//
+// Usage:
+//   node scripts/audit-docs.mjs [--format=text|json|sarif]
+//   npm run docs:audit
+//
+// Checks:
+//  1) page filenames (page-names.mjs, same rules as the pre-commit hook)
+//  2) metadata: :page-lang: matches the component, :translation-source: is a
+//     configured language and agrees between all files of the page
+//  3) every page exists in every configured language
+//  4) structural parity: validate-translation.mjs from the source-of-truth page
+//     to each translation (all of its rules)
+//  5) navigation: every source-of-truth page is in its source nav
+//     (validate-nav.mjs --pre) and the navs are in sync (validate-nav.mjs --check)
+//  6) the Serbian Cyrillic component is up to date (transliterate-sr.mjs --check),
+//     if transliteration is enabled
+//  7) translations are not stale: translation.lock.json records the current
+//     source of every translated page (warnings; see stale-translations.mjs)
+//
+// No AI calls, no file changes. Exit codes: 0 = no errors, 1 = errors found.
+
+import { spawnSync } from "node:child_process";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import {
+  languageDir,
+  loadLanguages,
+  normalizeLangValue,
+  pagesRoot,
+} from "./languages.mjs";
+import { isValidPageFileName } from "./page-names.mjs";
+import { getDefaultLockPath, loadLock, translationState } from "./translation-lock.mjs";
+import { createReporter, parseFormatArg } from "./validation-report.mjs";
+
+const LANGUAGES = loadLanguages();
+
+const RULES = {
+  "page/file-name": "Page filenames are ASCII, lowercase, without spaces",
+  "metadata/page-lang": ":page-lang: matches the language component of the page",
+  "metadata/translation-source": ":translation-source: is a configured language",
+  "metadata/translation-source-mismatch": "All files of a page share the same :translation-source:",
+  "page/missing-translation": "Every page exists in every configured language",
+  "cyrillic/out-of-date": "The Serbian Cyrillic component matches the Latin pages",
+  "translation/stale": "Translations were generated from the current source (translation.lock.json)",
+  "audit/tool-failure": "A validator could not be run",
+};
+
+function readTransliterationConfig() {
+  try {
+    const parsed = JSON.parse(readFileSync("translation.config.json", "utf8"));
+    return { enabled: true, ...(parsed.transliteration || {}) };
+  } catch {
+    return { enabled: true };
+  }
+}
+
+function extractAttrValue(content, attrName) {
+  const m = content.match(new RegExp(`^:${attrName}:\\s*(.+)\\s*$`, "im"));
+  return m ? (m[1] || "").trim().toLowerCase() : "";
+}
+
+// Page ids (paths relative to modules/ROOT/pages) per language.
+function listPages(lang) {
+  const root = pagesRoot(LANGUAGES, lang);
+  if (!existsSync(root)) return [];
+  return readdirSync(root, { recursive: true })
+    .map((p) => p.toString().replace(/\\/g, "/"))
+    .filter((p) => p.endsWith(".adoc"))
+    .sort();
+}
+
+function pagePath(lang, pageId) {
+  return `${pagesRoot(LANGUAGES, lang)}/${pageId}`;
+}
+
+function runScript(scriptFile, args) {
+  return spawnSync(process.execPath, [path.join("scripts", scriptFile), ...args], {
+    encoding: "utf8",
+    stdio: "pipe",
+    shell: false,
+  });
+}
+
+/**
+ * Runs a validator with --format=json and re-reports its issues.
+ * Returns the parsed report, or null if the tool failed without a report.
+ */
+function runJsonValidator(reporter, scriptFile, args, label) {
+  const r = runScript(scriptFile, ["--format=json", ...args]);
+  let report = null;
+  try {
+    report = JSON.parse(r.stdout || "");
+  } catch {
+    reporter.report({
+      ruleId: "audit/tool-failure",
+      message: `${scriptFile} failed for ${label} (exit code ${r.status}).`,
+      details: (r.stderr || "").trim().split("\n").slice(-5),
+    });
+    return null;
+  }
+
+  if (report.issues.length) reporter.info(`📄 ${label}`);
+  for (const issue of report.issues) {
+    reporter.report({
+      ruleId: issue.ruleId,
+      severity: issue.severity,
+      message: issue.message,
+      details: issue.details || [],
+      file: issue.file,
+      line: issue.line,
+    });
+  }
+  return report;
+}
+
+function checkFileNames(reporter, pagesByLang) {
+  for (const [lang, pages] of pagesByLang) {
+    for (const pageId of pages) {
+      const v = isValidPageFileName(pageId);
+      if (!v.ok) {
+        reporter.report({
+          ruleId: "page/file-name",
+          message: `Invalid page filename ${pagePath(lang, pageId)} (${v.reason})`,
+          file: pagePath(lang, pageId),
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Checks metadata of every file of a page group and returns its source-of-truth
+ * language ("" if it cannot be determined).
+ */
+function checkPageGroupMetadata(reporter, pageId, langs) {
+  const declared = new Map();
+
+  for (const lang of langs) {
+    const file = pagePath(lang, pageId);
+    const content = readFileSync(file, "utf8");
+    const pageLang = normalizeLangValue(LANGUAGES, extractAttrValue(content, "page-lang"), "");
+    const source = extractAttrValue(content, "translation-source");
+
+    if (pageLang !== lang) {
+      reporter.report({
+        ruleId: "metadata/page-lang",
+        message: `${file}: ${pageLang ? `:page-lang: ${pageLang}` : "missing :page-lang:"} (expected ${lang})`,
+        file,
+      });
+    }
+
+    if (!source) {
+      reporter.report({
+        ruleId: "metadata/translation-source",
+        message: `${file}: missing :translation-source:`,
+        file,
+      });
+    } else if (!LANGUAGES.codes.includes(source)) {
+      reporter.report({
+        ruleId: "metadata/translation-source",
+        message: `${file}: :translation-source: ${source} is not one of ${LANGUAGES.codes.join(", ")}`,
+        file,
+      });
+    } else {
+      declared.set(file, source);
+    }
+  }
+
+  const sources = new Set(declared.values());
+  if (sources.size > 1) {
+    reporter.report({
+      ruleId: "metadata/translation-source-mismatch",
+      message: `Page ${pageId} has different :translation-source: values: ${[...declared]
+        .map(([file, source]) => `${file} (${source})`)
+        .join(" <> ")}`,
+      file: [...declared.keys()][0],
+    });
+    return "";
+  }
+
+  return sources.size === 1 ? [...sources][0] : "";
+}
+
+async function main() {
+  let format;
+  try {
+    ({ format } = parseFormatArg(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const reporter = createReporter({ tool: "audit-docs", rules: RULES, format });
+  reporter.info(`🔍 Auditing ${LANGUAGES.codes.map((l) => languageDir(LANGUAGES, l)).join(", ")}...`);
+
+  const pagesByLang = new Map(LANGUAGES.codes.map((lang) => [lang, listPages(lang)]));
+  const allPageIds = [...new Set([...pagesByLang.values()].flat())].sort();
+
+  // 1) Filenames
+  checkFileNames(reporter, pagesByLang);
+
+  // 2) + 3) Metadata and missing translations
+  const sourcePages = [];
+  const pairs = [];
+
+  for (const pageId of allPageIds) {
+    const langs = LANGUAGES.codes.filter((lang) => pagesByLang.get(lang).includes(pageId));
+    const sourceLang = checkPageGroupMetadata(reporter, pageId, langs);
+
+    for (const lang of LANGUAGES.codes) {
+      if (langs.includes(lang)) continue;
+      reporter.report({
+        ruleId: "page/missing-translation",
+        message: `${pageId} has no ${lang.toUpperCase()} page (${pagePath(lang, pageId)})`,
+        file: pagePath(langs[0], pageId),
+      });
+    }
+
+    if (!sourceLang || !langs.includes(sourceLang)) continue;
+    sourcePages.push(pagePath(sourceLang, pageId));
+    for (const lang of langs) {
+      if (lang !== sourceLang) pairs.push([pagePath(sourceLang, pageId), pagePath(lang, pageId)]);
+    }
+  }
+
+  // 4) Structural parity, with every validate-translation rule
+  reporter.info(`📐 Validating ${pairs.length} translated page(s)...`);
+  for (const [sourceFile, targetFile] of pairs) {
+    runJsonValidator(reporter, "validate-translation.mjs", [sourceFile, targetFile], `${sourceFile} -> ${targetFile}`);
+  }
+
+  // 5) Navigation coverage and consistency
+  reporter.info("🧭 Validating navigation...");
+  if (sourcePages.length) {
+    runJsonValidator(reporter, "validate-nav.mjs", ["--pre", ...sourcePages], "nav coverage");
+  }
+  runJsonValidator(reporter, "validate-nav.mjs", ["--check"], "nav consistency");
+
+  // 6) Serbian Cyrillic component
+  const transliteration = readTransliterationConfig();
+  if (transliteration.enabled && existsSync(path.join("scripts", "transliterate-sr.mjs"))) {
+    reporter.info("🔤 Checking the Serbian Cyrillic component...");
+    const r = runScript("transliterate-sr.mjs", ["--check"]);
+    if (r.status !== 0) {
+      reporter.report({
+        ruleId: "cyrillic/out-of-date",
+        message: `${transliteration.targetDir || "docs-sr-cyrl"} is out of date. Run: node scripts/transliterate-sr.mjs`,
+        details: (r.stdout || r.stderr || "").trim().split("\n").slice(1),
+        file: transliteration.targetDir || "docs-sr-cyrl",
+      });
+    }
+  }
+
+  // 7) Stale translations
+  const lock = loadLock(getDefaultLockPath(process.cwd()));
+  for (const [sourceFile, targetFile] of pairs) {
+    const state = translationState(lock, { sourceFile, targetFile });
+    if (state === "current") continue;
+    reporter.report({
+      ruleId: "translation/stale",
+      severity: "warning",
+      message:
+        state === "stale"
+          ? `${targetFile} is stale: ${sourceFile} changed since it was translated`
+          : `${targetFile} is not recorded in translation.lock.json`,
+      details: ["Run: npm run translations:stale"],
+      file: targetFile,
+    });
+  }
+
+  const errors = reporter.errorCount();
+  const warnings = reporter.warningCount();
+  reporter.finish({ pages: allPageIds.length, translatedPages: pairs.length });
+
+  reporter.info("");
+  reporter.info("📊 Docs audit summary:");
+  reporter.info(`   PAGES:             ${allPageIds.length}`);
+  reporter.info(`   TRANSLATED PAGES:  ${pairs.length}`);
+  reporter.info(`   ERRORS:            ${errors}`);
+  reporter.info(`   WARNINGS:          ${warnings}`);
+
+  if (errors > 0) {
+    reporter.info("⛔ Docs audit FAILED.");
+    process.exit(1);
+  }
+  reporter.info("✅ Docs audit passed.");
+}
+
+main().catch((err) => {
+  console.error("❌ audit-docs.mjs failed with error:", err);
+  process.exit(1);
+});
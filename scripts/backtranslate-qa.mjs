@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// backtranslate-qa.mjs
+// Optional QA stage after translate-adoc: translates the target page back into
+// the source language through the configured provider and scores every
+// paragraph by its similarity to the original paragraph.
+//
+// Usage:
+//   node scripts/backtranslate-qa.mjs <source.adoc> <target.adoc> [--direction=en-sr] [--strict]
+//
+// Paragraphs are the blank-line separated segments used by the translation memory,
+// paired by position; code blocks, attribute lines, macro targets, URLs and other
+// protected spans are not compared. The score is the Dice coefficient of character
+// trigrams of the original and the back-translated prose (0 = unrelated, 1 = identical).
+//
+// Paragraphs scoring below backtranslationQa.threshold are listed, lowest first.
+// With --strict (or backtranslationQa.strict) they fail the run (exit code 1), and a
+// QA run that cannot complete (provider error, invalid reply, unpaired paragraphs)
+// exits with code 2. Otherwise the report is informational and such errors are
+// only printed as a warning (exit code 0).
+// Token usage is appended to .translation-usage.jsonl (script: backtranslate-qa).
+//
+// Enabled in the pre-commit hook by features.backtranslationQa in translation.config.json.
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { hasTranslatableLines, segmentText, splitIntoSegments } from './adoc-blocks.mjs';
+import {
+  directionChoices,
+  languageName,
+  loadLanguages,
+  parseDirection,
+} from './languages.mjs';
+import { appendUsageEntry, getDefaultLedgerPath } from './token-ledger.mjs';
+import { createProvider, pickModel, resolveProviderSettings } from './translation-provider.mjs';
+import { DEFAULT_QUALITY_OPTIONS, proseText } from './translation-quality.mjs';
+
+const LANGUAGES = loadLanguages();
+
+const EXIT_LOW_SCORES = 1;
+const EXIT_ERROR = 2;
+
+async function loadConfig() {
+  const defaultConfig = {
+    backtranslationQa: {
+      threshold: 0.45,
+      strict: false,
+      batchSize: 20,
+      minWords: DEFAULT_QUALITY_OPTIONS.minWords,
+    },
+  };
+
+  try {
+    const raw = await fs.readFile(
+      path.join(process.cwd(), 'translation.config.json'),
+      'utf8'
+    );
+    const parsed = JSON.parse(raw);
+    return {
+      backtranslationQa: {
+        ...defaultConfig.backtranslationQa,
+        ...(parsed.backtranslationQa || {}),
+      },
+    };
+  } catch {
+    return defaultConfig;
+  }
+}
+
+function trigrams(text) {
+  const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+  const grams = new Map();
+  for (let i = 0; i < normalized.length - 2; i++) {
+    const gram = normalized.slice(i, i + 3);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Dice coefficient of character trigrams (with multiplicity), 0..1.
+function similarity(a, b) {
+  const ga = trigrams(a);
+  const gb = trigrams(b);
+  let total = 0;
+  let common = 0;
+
+  for (const count of ga.values()) total += count;
+  for (const [gram, count] of gb) {
+    total += count;
+    common += Math.min(count, ga.get(gram) || 0);
+  }
+  return total === 0 ? 1 : (2 * common) / total;
+}
+
+function wordCount(prose) {
+  return (prose.match(/\p{L}[\p{L}\p{N}'-]*/gu) || []).length;
+}
+
+/**
+ * Paired prose paragraphs: [{ line, source, target }] (line = 1-based target line).
+ */
+function collectParagraphs(sourceText, targetText, minWords) {
+  const sourceLines = sourceText.split('\n');
+  const targetLines = targetText.split('\n');
+  const sourceSegments = splitIntoSegments(sourceLines);
+  const targetSegments = splitIntoSegments(targetLines);
+
+  if (sourceSegments.length !== targetSegments.length) {
+    throw new Error(
+      `Source and target have a different number of paragraphs (${sourceSegments.length} vs ${targetSegments.length}). ` +
+      'Run validate-translation.mjs first.'
+    );
+  }
+
+  const paragraphs = [];
+  for (let i = 0; i < sourceSegments.length; i++) {
+    const source = segmentText(sourceLines, sourceSegments[i]);
+    if (!hasTranslatableLines(source)) continue;
+
+    const sourceProse = proseText(source);
+    if (wordCount(sourceProse) < minWords) continue;
+
+    paragraphs.push({
+      line: targetSegments[i].start + 1,
+      source: sourceProse,
+      target: proseText(segmentText(targetLines, targetSegments[i])),
+    });
+  }
+  return paragraphs;
+}
+
+function parseArrayResponse(text, expectedCount) {
+  const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== expectedCount) return null;
+  if (parsed.some((item) => typeof item !== 'string')) return null;
+  return parsed;
+}
+
+async function backTranslate(texts, { provider, model, srcLang, tgtLang, direction, ledgerPath }) {
+  const result = await provider.complete({
+    task: 'backtranslate',
+    model,
+    instructions:
+      `You receive a JSON array of paragraphs written in ${languageName(LANGUAGES, tgtLang)}. ` +
+      `Translate every paragraph literally into ${languageName(LANGUAGES, srcLang)}. ` +
+      'Do not improve, merge or split paragraphs. ' +
+      'Return ONLY a JSON array of strings with exactly the same number of items, in the same order.',
+    input: JSON.stringify(texts),
+    temperature: 0,
+    targetLang: srcLang,
+  });
+
+  try {
+    await appendUsageEntry(ledgerPath, {
+      ts: new Date().toISOString(),
+      script: 'backtranslate-qa',
+      provider: provider.name,
+      model,
+      direction,
+      prompt: result.usage.prompt,
+      completion: result.usage.completion,
+      total: result.usage.total,
+    });
+  } catch {
+    // ignore usage logging errors
+  }
+
+  if (result.error || result.status !== 'completed') {
+    throw new Error(`Back-translation request failed (${provider.name}, status=${result.status}).`);
+  }
+
+  const parsed = parseArrayResponse(result.text || '', texts.length);
+  if (!parsed) {
+    throw new Error('Back-translation returned an invalid JSON array (wrong length or non-string items).');
+  }
+  return parsed;
+}
+
+function preview(text, max = 90) {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+/**
+ * Back-translates the prose paragraphs of the target page and scores them.
+ * Throws on provider errors, invalid replies and unpaired paragraphs.
+ */
+async function scoreParagraphs(sourcePath, targetPath, { srcLang, tgtLang, direction, config }) {
+  const [sourceContent, targetContent] = await Promise.all([
+    fs.readFile(sourcePath, 'utf8'),
+    fs.readFile(targetPath, 'utf8'),
+  ]);
+
+  const paragraphs = collectParagraphs(sourceContent, targetContent, config.minWords);
+  if (!paragraphs.length) return paragraphs;
+
+  const settings = resolveProviderSettings();
+  const context = {
+    provider: createProvider(settings),
+    model: pickModel(settings, 'translate'),
+    srcLang,
+    tgtLang,
+    direction: direction.direction,
+    ledgerPath: getDefaultLedgerPath(process.cwd()),
+  };
+
+  if (!context.model) {
+    throw new Error(
+      'Missing model configuration. Set OPENAI_MODEL_DEFAULT (and optionally OPENAI_MODEL_TRANSLATE) ' +
+      'or TRANSLATION_PROVIDER_MODEL in .env'
+    );
+  }
+
+  console.log(
+    `🔁 Back-translation QA (${srcLang.toUpperCase()} ← ${tgtLang.toUpperCase()}): ${paragraphs.length} paragraph(s) in ${targetPath}...`
+  );
+
+  const batchSize = Math.max(1, Number(config.batchSize) || 20);
+  for (let i = 0; i < paragraphs.length; i += batchSize) {
+    const batch = paragraphs.slice(i, i + batchSize);
+    const back = await backTranslate(batch.map((p) => p.target), context);
+    batch.forEach((p, idx) => {
+      p.back = back[idx];
+      p.score = similarity(p.source, p.back);
+    });
+  }
+  return paragraphs;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const usageLine =
+    'Usage: node backtranslate-qa.mjs <source.adoc> <target.adoc> ' +
+    `[--direction=${directionChoices(LANGUAGES)}] [--strict]`;
+
+  const files = [];
+  let direction = null;
+  let strictArg = false;
+
+  for (const arg of argv) {
+    if (arg === '--strict') {
+      strictArg = true;
+    } else if (arg.startsWith('--direction=')) {
+      const value = arg.split('=')[1];
+      direction = parseDirection(LANGUAGES, value);
+      if (!direction) {
+        console.error(`Unknown direction value: ${value}. Expected one of: ${directionChoices(LANGUAGES)}.`);
+        process.exit(EXIT_ERROR);
+      }
+    } else {
+      files.push(arg);
+    }
+  }
+
+  const [sourcePath, targetPath] = files;
+  if (!sourcePath || !targetPath || files.length > 2) {
+    console.error(usageLine);
+    process.exit(EXIT_ERROR);
+  }
+
+  if (!direction) {
+    const [primary, firstTarget] = LANGUAGES.codes;
+    direction = parseDirection(LANGUAGES, `${primary}-${firstTarget}`);
+  }
+  const { srcLang, tgtLang } = direction;
+  const config = (await loadConfig()).backtranslationQa;
+  const strict = strictArg || Boolean(config.strict);
+
+  let paragraphs;
+  try {
+    paragraphs = await scoreParagraphs(sourcePath, targetPath, { srcLang, tgtLang, direction, config });
+  } catch (err) {
+    // Provider errors, invalid replies or unpaired paragraphs say nothing about the translation quality.
+    if (strict) {
+      console.error(`⛔ Back-translation QA could not run for ${targetPath}: ${err.message || err}`);
+      process.exit(EXIT_ERROR);
+    }
+    console.log(`⚠️  Back-translation QA skipped for ${targetPath}: ${err.message || err}`);
+    return;
+  }
+
+  if (!paragraphs.length) {
+    console.log(`ℹ️  Back-translation QA: no prose paragraphs to check in ${targetPath}.`);
+    return;
+  }
+
+  const suspicious = paragraphs
+    .filter((p) => p.score < config.threshold)
+    .sort((a, b) => a.score - b.score);
+
+  const average = paragraphs.reduce((sum, p) => sum + p.score, 0) / paragraphs.length;
+
+  if (!suspicious.length) {
+    console.log(
+      `✅ Back-translation QA passed: all paragraphs score >= ${config.threshold} (average ${average.toFixed(2)}).`
+    );
+    return;
+  }
+
+  console.log(
+    `${strict ? '⛔' : '⚠️ '} Back-translation QA: ${suspicious.length} of ${paragraphs.length} paragraph(s) ` +
+    `below ${config.threshold} (average ${average.toFixed(2)}), most suspicious first:`
+  );
+  for (const p of suspicious) {
+    console.log(`   ${p.score.toFixed(2)}  ${targetPath}:${p.line}`);
+    console.log(`         original:         "${preview(p.source)}"`);
+    console.log(`         back-translation: "${preview(p.back)}"`);
+  }
+
+  if (strict) {
+    console.log('   Review the paragraphs above, fix the translation and retry the commit.');
+    process.exit(EXIT_LOW_SCORES);
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ backtranslate-qa.mjs failed with error:', err.message || err);
+  process.exit(EXIT_ERROR);
+});
@@ -0,0 +1,186 @@
+// code-comments.mjs
+// Helpers for translatable comments inside XML and DataWeave code blocks:
+// - detection of the blocks whose comments are translated: every [source,xml] /
+//   [source,dataweave] block for the page languages in codeComments.targetLanguages,
+//   or single blocks with the translate-comments role ([source.translate-comments,xml])
+// - extraction and replacement of comment text (<!-- ... -->, // ..., /* ... */)
+// - a comment-free "skeleton" of the code used to prove that a translated block
+//   still contains exactly the same code
+//
+// Comments may span several lines; each line of such a comment is a separate
+// piece of text. Only comment text that contains at least one letter is translated.
+
+import { collectVerbatimBlocks } from './adoc-blocks.mjs';
+
+export const COMMENT_CODE_LANGUAGES = ['xml', 'dataweave'];
+
+export const TRANSLATE_COMMENTS_ROLE = 'translate-comments';
+
+const LANGUAGE_ALIASES = { dw: 'dataweave' };
+
+// { language, roles } of a [source,...] / [listing,...] / ```lang block.
+function blockSourceInfo(lines, block) {
+  const opener = lines[block.contentStart - 1].trim();
+  const fenced = opener.match(/^```\s*([a-z]+)/i);
+  if (fenced) return { language: fenced[1].toLowerCase(), roles: [] };
+
+  if (block.start === block.contentStart - 1) return { language: '', roles: [] };
+  const attrs = lines[block.start].trim().match(/^\[([^\]]*)\]$/);
+  if (!attrs) return { language: '', roles: [] };
+
+  const positional = attrs[1].split(',').map((part) => part.trim());
+  const [style, ...shorthand] = positional[0].split(/(?=[.#%])/);
+  const roles = shorthand.filter((s) => s.startsWith('.')).map((s) => s.slice(1));
+  for (const part of positional) {
+    const named = part.match(/^role=["']?([^"']*)["']?$/);
+    if (named) roles.push(...named[1].split(/\s+/).filter(Boolean));
+  }
+
+  const language = ['source', 'listing'].includes(style.toLowerCase()) ? (positional[1] || '').toLowerCase() : '';
+  return { language, roles };
+}
+
+/**
+ * XML/DataWeave code blocks whose comments are translated, in order (see
+ * collectVerbatimBlocks for the shape), each with its `language`.
+ * allBlocks: every such block (the page language is in codeComments.targetLanguages);
+ * otherwise only blocks with the translate-comments role.
+ */
+export function collectCommentBlocks(lines, { allBlocks = false } = {}) {
+  return collectVerbatimBlocks(lines)
+    .filter((block) => block.kind === 'listing' || block.kind === 'fenced')
+    .map((block) => {
+      const { language, roles } = blockSourceInfo(lines, block);
+      return { ...block, language: LANGUAGE_ALIASES[language] || language, roles };
+    })
+    .filter(
+      (block) =>
+        COMMENT_CODE_LANGUAGES.includes(block.language) && (allBlocks || block.roles.includes(TRANSLATE_COMMENTS_ROLE))
+    );
+}
+
+// True if the comments of a target language are translated in all XML/DataWeave blocks.
+export function translatesAllComments(config, targetLang) {
+  const languages = (config.codeComments && config.codeComments.targetLanguages) || [];
+  return Boolean(targetLang) && languages.includes(targetLang);
+}
+
+// A comment span, trimmed to its text (surrounding whitespace stays in the code).
+function commentSpan(line, lineIndex, start, end) {
+  const text = line.slice(start, end);
+  const lead = text.length - text.trimStart().length;
+  const trimmed = text.trim();
+  return { line: lineIndex, start: start + lead, end: start + lead + trimmed.length, text: trimmed };
+}
+
+function xmlComments(contentLines) {
+  const spans = [];
+  let inComment = false;
+
+  contentLines.forEach((line, idx) => {
+    let cursor = 0;
+    while (cursor <= line.length) {
+      if (!inComment) {
+        const open = line.indexOf('<!--', cursor);
+        if (open === -1) break;
+        cursor = open + 4;
+        inComment = true;
+      }
+      const close = line.indexOf('-->', cursor);
+      spans.push(commentSpan(line, idx, cursor, close === -1 ? line.length : close));
+      if (close === -1) break;
+      cursor = close + 3;
+      inComment = false;
+    }
+  });
+
+  return spans;
+}
+
+function dataweaveComments(contentLines) {
+  const spans = [];
+  let inBlockComment = false;
+
+  contentLines.forEach((line, idx) => {
+    let i = 0;
+    let quote = null;
+
+    while (i < line.length) {
+      if (inBlockComment) {
+        const close = line.indexOf('*/', i);
+        spans.push(commentSpan(line, idx, i, close === -1 ? line.length : close));
+        if (close === -1) return;
+        i = close + 2;
+        inBlockComment = false;
+        continue;
+      }
+
+      const ch = line[i];
+      if (quote) {
+        if (ch === '\\') i += 1;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'" || ch === '`') {
+        quote = ch;
+      } else if (line.startsWith('//', i)) {
+        spans.push(commentSpan(line, idx, i + 2, line.length));
+        return;
+      } else if (line.startsWith('/*', i)) {
+        inBlockComment = true;
+        i += 2;
+        continue;
+      }
+      i += 1;
+    }
+  });
+
+  return spans;
+}
+
+/**
+ * Translatable comment text of a code block body: [{ line, start, end, text }]
+ * (line: 0-based index into contentLines, start/end: the text on that line).
+ */
+export function findCodeComments(contentLines, language) {
+  const spans = language === 'xml' ? xmlComments(contentLines) : dataweaveComments(contentLines);
+  return spans.filter((span) => /\p{L}/u.test(span.text));
+}
+
+/**
+ * Replaces comment text; translate(text, index) returns the new text of the
+ * index-th comment piece.
+ */
+export function replaceCodeComments(contentLines, language, translate) {
+  const out = [...contentLines];
+  const comments = findCodeComments(contentLines, language);
+
+  // Right to left, so earlier spans on the same line stay valid.
+  for (let i = comments.length - 1; i >= 0; i--) {
+    const { line, start, end, text } = comments[i];
+    out[line] = out[line].slice(0, start) + translate(text, i) + out[line].slice(end);
+  }
+  return out;
+}
+
+/**
+ * The code without its comment text.
+ */
+export function codeSkeleton(contentLines, language) {
+  return replaceCodeComments(contentLines, language, () => '…');
+}
+
+/**
+ * Compares two code block bodies. Returns null if the code is identical,
+ * otherwise { line, source, target } for the first differing skeleton line (1-based).
+ */
+export function compareCodeSkeletons(sourceContentLines, targetContentLines, language) {
+  const sourceSkeleton = codeSkeleton(sourceContentLines, language);
+  const targetSkeleton = codeSkeleton(targetContentLines, language);
+  const length = Math.max(sourceSkeleton.length, targetSkeleton.length);
+
+  for (let i = 0; i < length; i++) {
+    if (sourceSkeleton[i] !== targetSkeleton[i]) {
+      return { line: i + 1, source: sourceSkeleton[i] ?? '', target: targetSkeleton[i] ?? '' };
+    }
+  }
+  return null;
+}
@@ -4,10 +4,10 @@
 // Detects whether an AsciiDoc page is written in the language declared by metadata.
 //
 // New metadata model:
-//   :page-lang: en|sr
+//   :page-lang: <lang>   (any language configured in translation.config.json)
 //
 // Transitional fallback:
-//   :primary-lang: en|sr
+//   :primary-lang: <lang>
 //
 // Exit codes:
 //   0  -> match
@@ -15,35 +15,32 @@
 //   10 -> language mismatch
 
 import fs from "fs/promises";
-import OpenAI from "openai";
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
-const MODEL =
-  (process.env.OPENAI_MODEL_DETECT_LANGUAGE || "").trim() ||
-  (process.env.OPENAI_MODEL_DEFAULT || "").trim() ||
-  "gpt-4.1-mini";
-
-if (!OPENAI_API_KEY) {
-  console.error("Missing OPENAI_API_KEY in environment.");
+import { languageName, loadLanguages, normalizeLangValue } from "./languages.mjs";
+import {
+  createProvider,
+  isProviderConfigured,
+  pickModel,
+  resolveProviderSettings,
+} from "./translation-provider.mjs";
+
+const PROVIDER_SETTINGS = resolveProviderSettings();
+const MODEL = pickModel(PROVIDER_SETTINGS, "detect") || "gpt-4.1-mini";
+
+if (!isProviderConfigured(PROVIDER_SETTINGS)) {
+  console.error(
+    `Translation provider "${PROVIDER_SETTINGS.name}" is not configured (missing API key or base URL).`
+  );
   process.exit(1);
 }
 
-const client = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-});
+const provider = createProvider(PROVIDER_SETTINGS);
+const LANGUAGES = loadLanguages();
 
 function usage() {
   console.error("Usage: node scripts/detect-language.mjs <file.adoc>");
   process.exit(1);
 }
 
-function normalizeLangValue(raw) {
-  const v = (raw || "").trim().toLowerCase();
-  if (v.startsWith("en")) return "en";
-  if (v.startsWith("sr")) return "sr";
-  return "";
-}
-
 function extractAttr(content, attrName) {
   const re = new RegExp(`^:${attrName}:\\s*(.+)\\s*$`, "im");
   const m = content.match(re);
@@ -51,7 +48,7 @@ function extractAttr(content, attrName) {
 }
 
 function extractExpectedLanguage(content) {
-  const pageLang = normalizeLangValue(extractAttr(content, "page-lang"));
+  const pageLang = normalizeLangValue(LANGUAGES, extractAttr(content, "page-lang"));
   if (pageLang) {
     return {
       lang: pageLang,
@@ -59,7 +56,7 @@ function extractExpectedLanguage(content) {
     };
   }
 
-  const primaryLang = normalizeLangValue(extractAttr(content, "primary-lang"));
+  const primaryLang = normalizeLangValue(LANGUAGES, extractAttr(content, "primary-lang"));
   if (primaryLang) {
     return {
       lang: primaryLang,
@@ -134,53 +131,24 @@ function removeProtectedRegions(text) {
   return kept.join("\n").trim();
 }
 
-function languageName(lang) {
-  if (lang === "en") return "English";
-  if (lang === "sr") return "Serbian";
-  return lang;
+function languageChoices() {
+  return LANGUAGES.codes.map((code) => `${languageName(LANGUAGES, code)} (${code})`).join(", ");
 }
 
 async function detectLanguage(text) {
-  const response = await client.responses.create({
+  const result = await provider.complete({
+    task: "detect-language",
     model: MODEL,
     temperature: 0,
-    input: [
-      {
-        role: "system",
-        content: [
-          {
-            type: "input_text",
-            text:
-              "You are a language detector for documentation pages. " +
-              "Decide whether the given text is primarily written in English or Serbian (Latin). " +
-              "Return strict JSON only with keys: language, confidence. " +
-              'Example: {"language":"en","confidence":0.98}',
-          },
-        ],
-      },
-      {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text: text,
-          },
-        ],
-      },
-    ],
+    instructions:
+      "You are a language detector for documentation pages. " +
+      `Decide which of these languages the given text is primarily written in: ${languageChoices()}. ` +
+      "Return strict JSON only with keys: language (the language code), confidence. " +
+      'Example: {"language":"en","confidence":0.98}',
+    input: text,
   });
 
-  const output =
-    response.output_text ||
-    response.output?.flatMap((item) => item.content || [])
-      .map((c) => {
-        if (typeof c?.text === "string") return c.text;
-        if (typeof c?.text?.value === "string") return c.text.value;
-        return "";
-      })
-      .join("")
-      .trim() ||
-    "";
+  const output = (result.text || "").trim();
 
   if (!output) {
     throw new Error("Empty response from language detector.");
@@ -194,7 +162,7 @@ async function detectLanguage(text) {
   }
 
   return {
-    language: normalizeLangValue(parsed.language),
+    language: normalizeLangValue(LANGUAGES, parsed.language),
     confidence:
       typeof parsed.confidence === "number" ? parsed.confidence : 0,
   };
@@ -215,7 +183,7 @@ async function main() {
   }
 
   if ((process.env.OPENAI_LOG_MODEL || "").trim() === "1") {
-    console.log(`ℹ️  Using OpenAI model (detect-language): ${MODEL}`);
+    console.log(`ℹ️  Using ${provider.name} model (detect-language): ${MODEL}`);
   }
 
   const cleaned = removeProtectedRegions(content);
@@ -229,9 +197,9 @@ async function main() {
   const status = detected.language === expected.lang ? "match" : "mismatch";
 
   console.log(
-    `LANGUAGE_CHECK expected=${expected.lang} (${languageName(expected.lang)}) ` +
+    `LANGUAGE_CHECK expected=${expected.lang} (${languageName(LANGUAGES, expected.lang)}) ` +
       `via=${expected.attr} detected=${detected.language || "unknown"} ` +
-      `(${languageName(detected.language || "unknown")}) ` +
+      `(${languageName(LANGUAGES, detected.language || "unknown")}) ` +
       `confidence=${detected.confidence.toFixed(2)} status=${status}`
   );
 
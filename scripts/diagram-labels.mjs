@@ -0,0 +1,108 @@
+// diagram-labels.mjs
+// Helpers for Mermaid and PlantUML diagram blocks:
+// - detection of diagram blocks ([mermaid,...] / [plantuml,...] / ```mermaid)
+// - extraction and replacement of quoted human labels ("Main Flow", -->|"yes"|)
+// - a label-free "skeleton" of a diagram (ids, arrows, directives) used to prove
+//   that a translated diagram still describes the same graph
+//
+// Only double-quoted strings that contain at least one letter are labels.
+// Directive, style and comment lines (%%, classDef, style, linkStyle, click,
+// skinparam, !include, ...) never contain labels.
+
+import { collectVerbatimBlocks } from './adoc-blocks.mjs';
+
+export const DIAGRAM_LANGUAGES = ['mermaid', 'plantuml'];
+
+const LABEL_RE = /"((?:[^"\\\n]|\\.)*)"/g;
+
+function isDirectiveLine(line) {
+  const trimmed = line.trim();
+  return (
+    trimmed.startsWith('%%') ||
+    trimmed.startsWith("'") ||
+    trimmed.startsWith('!') ||
+    /^(?:classDef|class|style|linkStyle|click|skinparam)\b/.test(trimmed)
+  );
+}
+
+function blockLanguage(lines, block) {
+  const opener = lines[block.contentStart - 1].trim();
+  const fenced = opener.match(/^```\s*([a-z]+)/i);
+  if (fenced) return fenced[1].toLowerCase();
+
+  if (block.start === block.contentStart - 1) return '';
+  const attrs = lines[block.start].trim().match(/^\[([^\]]*)\]$/);
+  if (!attrs) return '';
+
+  const positional = attrs[1].split(',').map((part) => part.trim().toLowerCase());
+  // [mermaid,name,svg] (Kroki) or [source,mermaid]
+  return positional[0] === 'source' ? positional[1] || '' : positional[0].replace(/[%#.].*$/, '');
+}
+
+/**
+ * Mermaid/PlantUML blocks of a document, in order (see collectVerbatimBlocks for the shape),
+ * each with its `language`.
+ */
+export function collectDiagramBlocks(lines) {
+  return collectVerbatimBlocks(lines)
+    .map((block) => ({ ...block, language: blockLanguage(lines, block) }))
+    .filter((block) => DIAGRAM_LANGUAGES.includes(block.language));
+}
+
+/**
+ * Quoted labels of one diagram line: [{ start, end, text }] where start/end
+ * span the text between the quotes.
+ */
+export function findDiagramLabels(line) {
+  if (isDirectiveLine(line)) return [];
+
+  const labels = [];
+  for (const m of line.matchAll(LABEL_RE)) {
+    if (!/\p{L}/u.test(m[1])) continue;
+    labels.push({ start: m.index + 1, end: m.index + 1 + m[1].length, text: m[1] });
+  }
+  return labels;
+}
+
+export function diagramLabels(contentLines) {
+  return contentLines.flatMap((line) => findDiagramLabels(line).map((label) => label.text));
+}
+
+/**
+ * Replaces labels line by line; translate(text) returns the new label text.
+ */
+export function replaceDiagramLabels(contentLines, translate) {
+  return contentLines.map((line) => {
+    let out = '';
+    let cursor = 0;
+    for (const { start, end, text } of findDiagramLabels(line)) {
+      out += line.slice(cursor, start) + translate(text);
+      cursor = end;
+    }
+    return out + line.slice(cursor);
+  });
+}
+
+/**
+ * The diagram without its labels: ids, shapes, arrows and directives only.
+ */
+export function diagramSkeleton(contentLines) {
+  return replaceDiagramLabels(contentLines, () => '…');
+}
+
+/**
+ * Compares two diagram bodies. Returns null if the graphs are identical,
+ * otherwise { line, source, target } for the first differing skeleton line (1-based).
+ */
+export function compareDiagramSkeletons(sourceContentLines, targetContentLines) {
+  const sourceSkeleton = diagramSkeleton(sourceContentLines);
+  const targetSkeleton = diagramSkeleton(targetContentLines);
+  const length = Math.max(sourceSkeleton.length, targetSkeleton.length);
+
+  for (let i = 0; i < length; i++) {
+    if (sourceSkeleton[i] !== targetSkeleton[i]) {
+      return { line: i + 1, source: sourceSkeleton[i] ?? '', target: targetSkeleton[i] ?? '' };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,153 @@
+// git-diff.mjs
+// Shared git diff helpers used by analyze-changes and translate-adoc.
+
+import { execSync } from 'child_process';
+
+export function getStagedDiff(filePath) {
+  try {
+    return execSync(`git diff --cached -U0 -- "${filePath}"`, {
+      encoding: 'utf8',
+    });
+  } catch {
+    return '';
+  }
+}
+
+// Diff between a committed revision (HEAD by default) and the working tree file.
+export function getWorkingTreeDiff(filePath, rev = 'HEAD') {
+  try {
+    return execSync(`git diff -U0 ${rev} -- "${filePath}"`, {
+      encoding: 'utf8',
+    });
+  } catch {
+    return '';
+  }
+}
+
+// Returns file content at the given revision, or null if it does not exist there.
+export function readRevisionContent(rev, filePath) {
+  try {
+    return execSync(`git show ${rev}:"${filePath}"`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch {
+    return null;
+  }
+}
+
+// Parse diff hunks and return changed line numbers in the new/old staged file.
+export function getChangedLineNumbers(diffOutput) {
+  const lines = diffOutput.split('\n');
+  const changed = [];
+
+  let oldLine = 0;
+  let newLine = 0;
+  let inHunk = false;
+
+  for (const line of lines) {
+    if (line.startsWith('diff --git ')) {
+      inHunk = false;
+      continue;
+    }
+
+    const hunk = line.match(/^@@ -(\d+),?\d* \+(\d+),?\d* @@/);
+    if (hunk) {
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+      inHunk = true;
+      continue;
+    }
+
+    // File headers (--- a/..., +++ b/...) only come before the first hunk of a
+    // file; inside a hunk "---" is a removed "--" delimiter line.
+    if (!inHunk) {
+      continue;
+    }
+
+    if (line.startsWith(' ')) {
+      oldLine++;
+      newLine++;
+    } else if (line.startsWith('-')) {
+      changed.push({ type: 'removed', oldLine, newLine: null });
+      oldLine++;
+    } else if (line.startsWith('+')) {
+      changed.push({ type: 'added', oldLine: null, newLine });
+      newLine++;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Parses a -U0 diff into hunks:
+ * [{ oldStart, oldLines, newStart, newLines, removed: [text], added: [text] }]
+ * (1-based start lines, as in the @@ header).
+ */
+export function parseDiffHunks(diffOutput) {
+  const hunks = [];
+  let current = null;
+
+  for (const line of diffOutput.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = null;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = {
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        removed: [],
+        added: [],
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    // File headers (--- a/..., +++ b/...) come before the first hunk.
+    if (!current) continue;
+
+    if (line.startsWith('-')) {
+      current.removed.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      current.added.push(line.slice(1));
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Maps every line of the new file to its line in the old file using the
+ * changed line numbers of a diff. Added lines map to null.
+ *
+ * Returns an array indexed by 0-based new line index, holding 0-based old
+ * line indexes (or null).
+ */
+export function mapNewLinesToOld(changedLineNumbers, newLineCount) {
+  const added = new Set();
+  const removed = new Set();
+
+  for (const ch of changedLineNumbers) {
+    if (ch.type === 'added') added.add(ch.newLine);
+    if (ch.type === 'removed') removed.add(ch.oldLine);
+  }
+
+  const mapping = new Array(newLineCount).fill(null);
+  let oldLine = 1;
+
+  for (let newLine = 1; newLine <= newLineCount; newLine++) {
+    if (added.has(newLine)) continue;
+
+    while (removed.has(oldLine)) oldLine++;
+    mapping[newLine - 1] = oldLine - 1;
+    oldLine++;
+  }
+
+  return mapping;
+}
@@ -0,0 +1,122 @@
+// glossary.mjs
+// Terminology glossary shared by translate-adoc (prompt injection) and
+// validate-translation (term consistency checks).
+//
+// translation.glossary.json:
+//   {
+//     "terms": [
+//       { "term": "Flow Reference", "doNotTranslate": true },
+//       { "term": "connector", "translations": { "en": "connector", "sr": "konektor" } }
+//     ]
+//   }
+//
+// Matching is case-insensitive and prefix-based at word start, so inflected
+// forms (e.g. "konektora", "Mule Event-a") still count as the same term.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeRegExp, protectCodeAndLiteralBlocks } from './adoc-blocks.mjs';
+
+export function getDefaultGlossaryPath(repoRoot) {
+  return path.join(repoRoot, 'translation.glossary.json');
+}
+
+export async function loadGlossary(glossaryPath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(glossaryPath, 'utf8'));
+  } catch {
+    return [];
+  }
+
+  const terms = Array.isArray(parsed?.terms) ? parsed.terms : [];
+  return terms.filter((t) => typeof t?.term === 'string' && t.term.trim());
+}
+
+/**
+ * Rendering of a glossary entry in the given language:
+ * - do-not-translate terms always render as the term itself
+ * - otherwise the per-language rendering, falling back to the term
+ */
+export function renderTerm(entry, lang) {
+  if (entry.doNotTranslate) return entry.term;
+  return (entry.translations && entry.translations[lang]) || entry.term;
+}
+
+function termRegex(rendering) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(rendering)}`, 'giu');
+}
+
+function countTerm(text, rendering) {
+  const matches = text.match(termRegex(rendering));
+  return matches ? matches.length : 0;
+}
+
+// Human-readable text only: code blocks, attribute lines and macro lines are dropped.
+function proseOnly(adocText) {
+  const { protectedText } = protectCodeAndLiteralBlocks(adocText);
+  return protectedText
+    .split('\n')
+    .filter((line) => !/^@@PROTECTED_LINE_\d{6}@@$/.test(line.trim()))
+    .join('\n');
+}
+
+/**
+ * Returns glossary entries whose source-language rendering occurs in the text.
+ */
+export function findGlossaryEntries(glossary, text, srcLang) {
+  const prose = proseOnly(text);
+  return glossary.filter((entry) => countTerm(prose, renderTerm(entry, srcLang)) > 0);
+}
+
+/**
+ * Builds the prompt section listing the relevant glossary entries.
+ * Returns an empty string if there is nothing to enforce.
+ */
+export function buildGlossaryInstructions(entries, srcLang, tgtLang) {
+  if (!entries.length) return '';
+
+  const lines = entries.map((entry) => {
+    const source = renderTerm(entry, srcLang);
+    const target = renderTerm(entry, tgtLang);
+
+    if (entry.doNotTranslate) {
+      return `- "${source}": do NOT translate, keep exactly "${target}" (grammatical suffixes like "-a" or "-u" are allowed).`;
+    }
+    return `- "${source}": always translate as "${target}" (inflect as required by grammar).`;
+  });
+
+  return `
+GLOSSARY (MUST FOLLOW):
+The following terms MUST be rendered consistently:
+${lines.join('\n')}
+`.trim();
+}
+
+/**
+ * Compares glossary term usage between source and target prose.
+ * A term is reported when it occurs in the source, but its expected target
+ * rendering occurs fewer times in the target.
+ *
+ * Returns an array of { term, expected, sourceCount, targetCount }.
+ */
+export function checkGlossaryUsage(glossary, sourceText, targetText, srcLang, tgtLang) {
+  const sourceProse = proseOnly(sourceText);
+  const targetProse = proseOnly(targetText);
+  const issues = [];
+
+  for (const entry of glossary) {
+    const source = renderTerm(entry, srcLang);
+    const expected = renderTerm(entry, tgtLang);
+
+    const sourceCount = countTerm(sourceProse, source);
+    if (sourceCount === 0) continue;
+
+    const targetCount = countTerm(targetProse, expected);
+    if (targetCount < sourceCount) {
+      issues.push({ term: source, expected, sourceCount, targetCount });
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,70 @@
+// incremental-segments.mjs
+// Plans an incremental translation (translate-adoc --incremental): which
+// segments of the changed source can keep their existing translation and
+// which have to be sent to the model again.
+
+import { segmentText, splitIntoSegments } from './adoc-blocks.mjs';
+import { blockShape } from './adoc-reorder.mjs';
+import { getChangedLineNumbers, mapNewLinesToOld } from './git-diff.mjs';
+
+/**
+ * Plans which segments of the new source can reuse the existing target.
+ *
+ * The existing target is aligned with the previous (HEAD) source segment by
+ * segment. Diff hunks between HEAD and the current source tell which lines are
+ * unchanged; a new segment whose lines map 1:1 onto a whole previous segment
+ * with the same text reuses the corresponding target segment verbatim, as long
+ * as that target segment has the same shape (heading, list item, delimited
+ * block...). Everything else is left for translation (reuse: null).
+ *
+ * Returns { newLines, plan: [{ segment, reuse }] }, or null if the existing
+ * target is not aligned with the previous source.
+ */
+export function planIncrementalSegments(previousSource, newSource, existingTarget, diffOutput) {
+  const previousLines = previousSource.split('\n');
+  const newLines = newSource.split('\n');
+  const targetLines = existingTarget.split('\n');
+
+  const previousSegments = splitIntoSegments(previousLines);
+  const newSegments = splitIntoSegments(newLines);
+  const targetSegments = splitIntoSegments(targetLines);
+
+  if (previousSegments.length !== targetSegments.length) {
+    return null;
+  }
+
+  const lineMapping = mapNewLinesToOld(getChangedLineNumbers(diffOutput), newLines.length);
+  const previousByStart = new Map(previousSegments.map((seg, idx) => [seg.start, idx]));
+
+  const plan = newSegments.map((seg) => {
+    const oldStart = lineMapping[seg.start];
+    const previousIndex = oldStart === null ? undefined : previousByStart.get(oldStart);
+
+    if (previousIndex === undefined) {
+      return { segment: seg, reuse: null };
+    }
+
+    const previousSegment = previousSegments[previousIndex];
+    const targetSegment = targetSegments[previousIndex];
+
+    let unchanged = previousSegment.end - previousSegment.start === seg.end - seg.start;
+    for (let i = seg.start; unchanged && i <= seg.end; i++) {
+      if (lineMapping[i] !== oldStart + (i - seg.start)) unchanged = false;
+    }
+
+    // The diff can be off (or the target drifted from the previous source):
+    // only trust a segment whose text really is the same and whose target
+    // counterpart looks like the same kind of block.
+    const reusable =
+      unchanged &&
+      segmentText(previousLines, previousSegment) === segmentText(newLines, seg) &&
+      blockShape(previousLines, previousSegment) === blockShape(targetLines, targetSegment);
+
+    return {
+      segment: seg,
+      reuse: reusable ? segmentText(targetLines, targetSegment) : null,
+    };
+  });
+
+  return { newLines, plan };
+}
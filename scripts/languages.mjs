@@ -0,0 +1,192 @@
+// scripts/languages.mjs
+// Language layout of the documentation, derived from the "languages" map in
+// translation.config.json. Scripts resolve component dirs, nav paths, directions
+// and language names through this module instead of hardcoding EN/SR.
+//
+// translation.config.json:
+//   "languages": {
+//     "sr": { "enabled": true, "direction": "en->sr", "sourceDir": "docs-en", "targetDir": "docs-sr" },
+//     "de": { "enabled": true, "direction": "en->de", "sourceDir": "docs-en", "targetDir": "docs-de", "name": "German" }
+//   }
+//
+// Each entry declares one target language and the primary language it is
+// translated from. A page may still be authored in any configured language
+// (:translation-source:); all other languages of that page are then translated
+// from it. Directions are written as "<src>-<tgt>" (e.g. en-sr, sr-en, en-de).
+import { readFileSync } from "node:fs";
+import path from "node:path";
+
+const BUILTIN_LANGUAGE_NAMES = {
+  en: "English",
+  sr: "Serbian (latin alphabet)",
+  hr: "Croatian",
+  bs: "Bosnian",
+  de: "German",
+  fr: "French",
+  es: "Spanish",
+  it: "Italian",
+};
+
+const DEFAULT_LANGUAGES = {
+  sr: {
+    enabled: true,
+    direction: "en->sr",
+    sourceDir: "docs-en",
+    targetDir: "docs-sr",
+  },
+};
+
+function readLanguagesConfig(repoRoot) {
+  try {
+    const raw = readFileSync(path.join(repoRoot, "translation.config.json"), "utf8");
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed.languages === "object" && parsed.languages
+      ? parsed.languages
+      : DEFAULT_LANGUAGES;
+  } catch {
+    return DEFAULT_LANGUAGES;
+  }
+}
+
+function parseConfigDirection(value) {
+  const m = (value || "").trim().toLowerCase().match(/^([a-z][a-z0-9_]*)\s*-+>?\s*([a-z][a-z0-9_]*)$/);
+  return m ? { srcLang: m[1], tgtLang: m[2] } : null;
+}
+
+/**
+ * Loads the language layout. Synchronous, so it can also be used by the pre-commit hook.
+ *
+ * Returns {
+ *   primary: "en",
+ *   codes: ["en", "sr", ...],            // primary first, then config order
+ *   byCode: Map(code -> { code, name, dir })
+ * }
+ */
+export function loadLanguages(repoRoot = process.cwd()) {
+  const config = readLanguagesConfig(repoRoot);
+  const byCode = new Map();
+  let primary = "";
+
+  const register = (code, dir, name) => {
+    const existing = byCode.get(code);
+    if (existing && existing.dir !== dir) {
+      throw new Error(
+        `translation.config.json: language "${code}" is mapped to both ${existing.dir} and ${dir}.`
+      );
+    }
+    if (!existing) {
+      byCode.set(code, { code, name: name || BUILTIN_LANGUAGE_NAMES[code] || code, dir });
+    } else if (name) {
+      existing.name = name;
+    }
+  };
+
+  for (const [code, entry] of Object.entries(config)) {
+    if (!entry || entry.enabled === false) continue;
+
+    const direction = parseConfigDirection(entry.direction);
+    if (!direction) {
+      throw new Error(
+        `translation.config.json: languages.${code}.direction must look like "en->${code}".`
+      );
+    }
+    if (direction.tgtLang !== code) {
+      throw new Error(
+        `translation.config.json: languages.${code}.direction targets "${direction.tgtLang}" instead of "${code}".`
+      );
+    }
+
+    primary = primary || direction.srcLang;
+    register(direction.srcLang, entry.sourceDir || `docs-${direction.srcLang}`, "");
+    register(code, entry.targetDir || `docs-${code}`, entry.name);
+  }
+
+  const codes = [...byCode.keys()];
+  if (primary) {
+    codes.splice(codes.indexOf(primary), 1);
+    codes.unshift(primary);
+  }
+
+  return { primary, codes, byCode };
+}
+
+export function languageDir(layout, lang) {
+  return layout.byCode.get(lang)?.dir || "";
+}
+
+export function languageName(layout, lang) {
+  return layout.byCode.get(lang)?.name || BUILTIN_LANGUAGE_NAMES[lang] || lang;
+}
+
+export function pagesRoot(layout, lang) {
+  return `${languageDir(layout, lang)}/modules/ROOT/pages`;
+}
+
+export function navPath(layout, lang) {
+  return `${languageDir(layout, lang)}/modules/ROOT/nav.adoc`;
+}
+
+/**
+ * Language of a repo-relative path based on its component dir ("" if none).
+ */
+export function langFromPath(layout, filePath) {
+  const normalized = (filePath || "").replace(/\\/g, "/");
+  for (const { code, dir } of layout.byCode.values()) {
+    if (normalized.startsWith(`${dir}/`)) return code;
+  }
+  return "";
+}
+
+/**
+ * Same page in another language component ("" if the path is not inside one).
+ */
+export function counterpartPath(layout, filePath, targetLang) {
+  const normalized = (filePath || "").replace(/\\/g, "/");
+  const selfLang = langFromPath(layout, normalized);
+  if (!selfLang || !layout.byCode.has(targetLang)) return "";
+
+  return `${languageDir(layout, targetLang)}/${normalized.slice(languageDir(layout, selfLang).length + 1)}`;
+}
+
+/**
+ * Maps a :page-lang: / :translation-source: style value onto a configured
+ * language code ("sr-latn" -> "sr"). Returns fallback if nothing matches.
+ */
+export function normalizeLangValue(layout, raw, fallback = "") {
+  const v = (raw || "").trim().toLowerCase();
+  if (!v) return fallback || "";
+  if (layout.byCode.has(v)) return v;
+
+  const match = layout.codes.find((code) => v.startsWith(`${code}-`) || v.startsWith(`${code}_`));
+  return match || fallback || "";
+}
+
+/**
+ * Parses a --direction value ("en-sr" or "en->sr") into configured languages.
+ * Returns null if either side is unknown or both are the same.
+ */
+export function parseDirection(layout, value) {
+  const direction = parseConfigDirection(value);
+  if (!direction) return null;
+  if (!layout.byCode.has(direction.srcLang) || !layout.byCode.has(direction.tgtLang)) return null;
+  if (direction.srcLang === direction.tgtLang) return null;
+  return { ...direction, direction: `${direction.srcLang}-${direction.tgtLang}` };
+}
+
+/**
+ * All valid directions, e.g. "en-sr|sr-en" (for usage/error messages).
+ */
+export function directionChoices(layout) {
+  const choices = [];
+  for (const src of layout.codes) {
+    for (const tgt of layout.codes) {
+      if (src !== tgt) choices.push(`${src}-${tgt}`);
+    }
+  }
+  return choices.join("|");
+}
+
+export function formatDirection(direction) {
+  const [srcLang, tgtLang] = direction.split("-");
+  return `${srcLang.toUpperCase()} → ${tgtLang.toUpperCase()}`;
+}
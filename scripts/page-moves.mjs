@@ -0,0 +1,111 @@
+// scripts/page-moves.mjs
+// Text helpers the pre-commit hook uses to propagate a deleted or renamed
+// source-of-truth page to the other language components:
+// - xref rewriting (xref:old.adoc[...], xref:ROOT:old.adoc#id[...], <<old.adoc#id,...>>)
+// - removal of the nav.adoc entries of a deleted page
+// - :page-aliases: entries, so the URL of a renamed page keeps working
+//
+// Page ids are relative to the pages folder of a component (e.g. "index.adoc",
+// "guides/setup.adoc"). An xref is only treated as pointing to the page if it has
+// no module or uses ROOT, and names no component or one of `components`
+// (the language components share page ids).
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// xref:[version@][component:][module:]<pageId> followed by #fragment or [text]
+function xrefPattern(pageId) {
+  return new RegExp(`(xref:)((?:[^\\s\\[:#]+:){0,2})${escapeRegExp(pageId)}(?=[#\\[])`, "g");
+}
+
+function crossRefPattern(pageId) {
+  return new RegExp(`(<<)${escapeRegExp(pageId)}(?=#|,|>>)`, "g");
+}
+
+function pointsToSameModule(coordinates, components) {
+  const parts = coordinates.split(":").slice(0, -1);
+  const module = parts.length ? parts[parts.length - 1] : "";
+  const component = parts.length === 2 ? parts[0].replace(/^[^@]*@/, "") : "";
+
+  if (module && module !== "ROOT") return false;
+  return !component || components.includes(component);
+}
+
+/**
+ * Points every reference to `oldId` at `newId`. Returns { content, count }.
+ */
+export function rewriteXrefs(content, oldId, newId, { components = [] } = {}) {
+  let count = 0;
+
+  const next = content
+    .replace(xrefPattern(oldId), (match, macro, coordinates) => {
+      if (!pointsToSameModule(coordinates, components)) return match;
+      count++;
+      return `${macro}${coordinates}${newId}`;
+    })
+    .replace(crossRefPattern(oldId), (match, open) => {
+      count++;
+      return `${open}${newId}`;
+    });
+
+  return { content: next, count };
+}
+
+/**
+ * 1-based line numbers of the references to `pageId`.
+ */
+export function findXrefLines(content, pageId, { components = [] } = {}) {
+  return content
+    .split("\n")
+    .map((line, idx) => ({ line, number: idx + 1 }))
+    .filter(({ line }) => rewriteXrefs(line, pageId, "", { components }).count > 0)
+    .map(({ number }) => number);
+}
+
+/**
+ * Drops the nav.adoc entries (`* xref:page.adoc[...]`) of a deleted page.
+ * Nested entries below it stay; validate-nav.mjs aligns their depth.
+ * Returns { content, removed }.
+ */
+export function removeNavEntries(navContent, pageId, { components = [] } = {}) {
+  const lines = navContent.split("\n");
+  const kept = lines.filter(
+    (line) => !(/^\s*\*+\s+xref:/.test(line) && rewriteXrefs(line, pageId, "", { components }).count > 0)
+  );
+  return { content: kept.join("\n"), removed: lines.length - kept.length };
+}
+
+function parseAliases(value) {
+  return value
+    .split(",")
+    .map((alias) => alias.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Adds `alias` to the :page-aliases: attribute of the page header (creating it
+ * after the last header attribute) and drops `pageId` itself from the list, in
+ * case a page is renamed back to a former name. Returns the new content.
+ */
+export function addPageAlias(content, alias, pageId = "") {
+  const lines = content.split("\n");
+  const titleIndex = lines.findIndex((line) => /^=\s+\S/.test(line));
+  let headerEnd = lines.findIndex((line, idx) => idx > titleIndex && !line.trim());
+  if (headerEnd === -1) headerEnd = lines.length;
+
+  const existing = lines.slice(0, headerEnd).findIndex((line) => /^:page-aliases:/.test(line));
+  if (existing !== -1) {
+    const aliases = parseAliases(lines[existing].replace(/^:page-aliases:/, ""));
+    const next = [...aliases.filter((a) => a !== pageId && a !== alias), alias];
+    lines[existing] = `:page-aliases: ${next.join(", ")}`;
+    return lines.join("\n");
+  }
+
+  let insertAt = titleIndex !== -1 && titleIndex < headerEnd ? titleIndex + 1 : 0;
+  for (let i = 0; i < headerEnd; i++) {
+    if (/^:[^:\s][^:]*:/.test(lines[i])) insertAt = i + 1;
+  }
+  lines.splice(insertAt, 0, `:page-aliases: ${alias}`);
+  return lines.join("\n");
+}
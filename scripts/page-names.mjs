@@ -0,0 +1,49 @@
+// page-names.mjs
+// Filename rules for Antora pages, shared by the pre-commit hook and audit-docs.
+//
+// Page filenames are technical identifiers used by xrefs, nav sync and the
+// translation pipelines, so they must be stable and ASCII-safe.
+
+import path from "path";
+
+export const PAGE_FILE_NAME_RULES = [
+  "ASCII characters only (no diacritics)",
+  "no spaces",
+  "allowed characters: a-z, 0-9, '_' and '-'",
+  "must end with .adoc",
+];
+
+function isNonAscii(s) {
+  return /[^\x00-\x7F]/.test(s);
+}
+
+/**
+ * Checks the basename of a page path.
+ * Returns { ok: true } or { ok: false, reason }. Non-.adoc files are always ok.
+ */
+export function isValidPageFileName(filePath) {
+  const base = path.posix.basename(filePath);
+
+  if (!base.endsWith(".adoc")) return { ok: true };
+
+  if (base.includes(" ")) {
+    return { ok: false, reason: "contains spaces" };
+  }
+
+  if (isNonAscii(base)) {
+    return {
+      ok: false,
+      reason: "contains non-ASCII characters (e.g. diacritics)",
+    };
+  }
+
+  const name = base.slice(0, -".adoc".length);
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    return {
+      ok: false,
+      reason: "contains invalid characters (allowed: a-z, 0-9, '_' and '-')",
+    };
+  }
+
+  return { ok: true };
+}
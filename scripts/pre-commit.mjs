@@ -3,39 +3,52 @@
  * Cross-platform pre-commit hook (Node.js) for Antora EN/SR docs.
  *
  * New metadata model:
- *   :page-lang: en|sr
- *   :translation-source: en|sr
+ *   :page-lang: en|sr|...
+ *   :translation-source: en|sr|...
  *
  * Meaning:
  * - page-lang: actual language of this concrete file
- * - translation-source: source of truth for the EN/SR page pair
+ * - translation-source: source of truth for the page group (same page in every language)
+ *
+ * Languages and their component dirs come from translation.config.json ("languages").
  *
  * Behavior:
  * - nav PRE-check for NEW pages
  * - ensure page metadata
  * - enforce metadata consistency
  * - prevent manual edits on secondary pages
- * - translation pipelines:
- *    EN-source: docs-en -> docs-sr
- *    SR-source: docs-sr -> docs-en
+ * - deleted / renamed source-of-truth pages: counterparts are deleted / renamed in every
+ *   language, nav entries and xrefs follow, and a renamed page keeps its old URL via
+ *   :page-aliases: (a pure rename needs no translation; an edited one is translated)
+ * - translation pipelines (source-of-truth page -> every other configured language):
+ *    EN-source: docs-en -> docs-sr (, docs-de, ...)
+ *    SR-source: docs-sr -> docs-en (, docs-de, ...)
+ * - AI-free sync of whitespace, attribute, link and image edits and moved blocks
+ *   (WHITESPACE_ONLY, METADATA_ONLY, LINK_ONLY, IMAGE_ONLY, REORDER_ONLY), with AI translation as fallback
  * - SAFE fallback logic depending on TRANSLATION_MODE
+ * - optional back-translation QA of translated pages (features.backtranslationQa)
  * - language detection for source pages
  * - format staged .adoc files
  * - nav POST validation (+ stage nav files)
+ * - regenerate the Serbian Cyrillic component from docs-sr (+ stage it)
  *
  * Temp workflow:
  * - generated files are first written into a temp folder
  * - validation runs against temp output
  * - only after success is temp output promoted to final destination
+ * - every promoted page gets the hash of its source recorded in translation.lock.json
  *
  * Env vars:
  *   TRANSLATION_MODE=normal|strict|off
  *   LANGUAGE_CHECK_MODE=strict|warn|off
  *   LANGUAGE_CHECK_INCLUDE_UPDATED=0|1
+ *   TRANSLATION_PROVIDER=openai|openai-compatible|mock
+ *   TRANSLATION_DECISION_LOG=0|1  (append analyzer results per page to .translation-decisions.jsonl)
  */
 
 import { spawnSync } from "node:child_process";
 import {
+  appendFileSync,
   existsSync,
   readFileSync,
   writeFileSync,
@@ -44,6 +57,36 @@ import {
   copyFileSync,
 } from "node:fs";
 import path from "node:path";
+import { isProviderConfigured, resolveProviderSettings } from "./translation-provider.mjs";
+import {
+  counterpartPath,
+  formatDirection,
+  langFromPath,
+  languageDir,
+  loadLanguages,
+  navPath,
+  pagesRoot,
+} from "./languages.mjs";
+import { addPageAlias, findXrefLines, removeNavEntries, rewriteXrefs } from "./page-moves.mjs";
+import { PAGE_FILE_NAME_RULES, isValidPageFileName } from "./page-names.mjs";
+import {
+  getDefaultLockPath,
+  hashSource,
+  loadLock,
+  recordTranslation,
+  removeTranslation,
+  saveLock,
+  translationState,
+} from "./translation-lock.mjs";
+
+const LANGUAGES = loadLanguages();
+
+// Git pathspecs for every configured language component, e.g. "docs-en/modules/ROOT/pages/*.adoc".
+function languageGlobs(...suffixes) {
+  return LANGUAGES.codes.flatMap((lang) =>
+    suffixes.map((suffix) => `${languageDir(LANGUAGES, lang)}/${suffix}`)
+  );
+}
 
 function run(cmd, args, opts = {}) {
   return spawnSync(cmd, args, {
@@ -144,7 +187,7 @@ function getStagedNameStatus(patterns) {
       const oldPath = parts[i] || "";
       const newPath = parts[i + 1] || "";
       i += 2;
-      if (newPath) res.push({ status, file: newPath });
+      if (newPath) res.push({ status, file: newPath, oldFile: oldPath });
       else if (oldPath) res.push({ status, file: oldPath });
       continue;
     }
@@ -193,9 +236,7 @@ function fileMeta(file) {
 }
 
 function defaultLangFromFolder(file) {
-  if (file.startsWith("docs-en/")) return "en";
-  if (file.startsWith("docs-sr/")) return "sr";
-  return "";
+  return langFromPath(LANGUAGES, file);
 }
 
 function ensureMetadata(file) {
@@ -227,37 +268,6 @@ function ensureMetadata(file) {
   }
 }
 
-function isNonAscii(s) {
-  return /[^\x00-\x7F]/.test(s);
-}
-
-function isValidPageFileName(filePath) {
-  const base = path.posix.basename(filePath);
-
-  if (!base.endsWith(".adoc")) return { ok: true };
-
-  if (base.includes(" ")) {
-    return { ok: false, reason: "contains spaces" };
-  }
-
-  if (isNonAscii(base)) {
-    return {
-      ok: false,
-      reason: "contains non-ASCII characters (e.g. diacritics)",
-    };
-  }
-
-  const name = base.slice(0, -".adoc".length);
-  if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
-    return {
-      ok: false,
-      reason: "contains invalid characters (allowed: a-z, 0-9, '_' and '-')",
-    };
-  }
-
-  return { ok: true };
-}
-
 function abortInvalidPageFileNames(badFiles) {
   console.log("");
   console.log("⛔ Commit aborted: invalid Antora page filename(s) detected.");
@@ -266,10 +276,9 @@ function abortInvalidPageFileNames(badFiles) {
   console.log("navigation sync and translation pipelines. Unsafe names cause unstable builds.");
   console.log("");
   console.log("Filename rules for *.adoc pages:");
-  console.log("  - ASCII characters only (no diacritics)");
-  console.log("  - no spaces");
-  console.log("  - allowed characters: a-z, 0-9, '_' and '-'");
-  console.log("  - must end with .adoc");
+  for (const rule of PAGE_FILE_NAME_RULES) {
+    console.log(`  - ${rule}`);
+  }
   console.log("");
   console.log("Invalid file(s):");
   for (const b of badFiles) {
@@ -285,10 +294,38 @@ function abortInvalidPageFileNames(badFiles) {
   process.exit(1);
 }
 
-function stripStatusPrefixes(s) {
-  let out = (s ?? "").trim();
-  while (out.startsWith("STATUS=")) out = out.slice("STATUS=".length);
-  return out.trim();
+/**
+ * Runs analyze-changes.mjs --json for a staged source page.
+ * Returns { status, hunks } (status "" if the analyzer gave no readable result).
+ */
+function analyzeStagedChanges(file) {
+  const r = run(process.execPath, [path.join("scripts", "analyze-changes.mjs"), "--json", file], {
+    stdio: "pipe",
+    shell: false,
+    encoding: "utf8",
+  });
+
+  try {
+    const result = JSON.parse((r.stdout ?? "").toString());
+    return { status: result.status || "", hunks: result.hunks || [] };
+  } catch {
+    if (r.stderr) console.log(r.stderr.toString().trim());
+    return { status: "", hunks: [] };
+  }
+}
+
+// "Guide › Setup (text), Guide › Links (link)" for the changed hunks of a page.
+function describeChangedSections(hunks) {
+  const seen = new Set();
+  for (const h of hunks) {
+    seen.add(`${h.section.length ? h.section.join(" › ") : "(top of page)"} (${h.kind})`);
+  }
+  return [...seen].join(", ");
+}
+
+function appendDecisionLog(entry) {
+  const logPath = path.join(getRepoRootSafe(), ".translation-decisions.jsonl");
+  appendFileSync(logPath, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + "\n", "utf8");
 }
 
 function getRepoRootSafe() {
@@ -304,13 +341,31 @@ function getLedgerPath(repoRoot) {
   return path.join(repoRoot, ".translation-usage.jsonl");
 }
 
-function hasOpenAIKey() {
-  return Boolean((process.env.OPENAI_API_KEY || "").trim());
+function readTransliterationConfig() {
+  try {
+    const parsed = JSON.parse(readFileSync("translation.config.json", "utf8"));
+    return { enabled: true, targetDir: "docs-sr-cyrl", ...(parsed.transliteration || {}) };
+  } catch {
+    return { enabled: true, targetDir: "docs-sr-cyrl" };
+  }
+}
+
+function isBacktranslationQaEnabled() {
+  try {
+    const parsed = JSON.parse(readFileSync("translation.config.json", "utf8"));
+    return parsed.features?.backtranslationQa === true;
+  } catch {
+    return false;
+  }
+}
+
+function hasProviderConfigured() {
+  return isProviderConfigured(resolveProviderSettings());
 }
 
 function abortMissingEnvOrKey({ reason }) {
   console.log("");
-  console.log("❌ Missing .env / OpenAI configuration, but AI work is required for this commit.");
+  console.log("❌ Missing .env / translation provider configuration, but AI work is required for this commit.");
   if (reason) console.log(`   Reason: ${reason}`);
   console.log("");
   console.log("Fix:");
@@ -318,6 +373,8 @@ function abortMissingEnvOrKey({ reason }) {
   console.log("     cp .env.example .env");
   console.log("  2) Edit .env and set:");
   console.log("     OPENAI_API_KEY=sk-...");
+  console.log("     (or TRANSLATION_PROVIDER=openai-compatible + TRANSLATION_PROVIDER_BASE_URL=...,");
+  console.log("      or TRANSLATION_PROVIDER=mock for offline runs)");
   console.log("");
   console.log("Then re-run the commit.");
   console.log("");
@@ -368,7 +425,7 @@ function runLanguageCheck(file, status, LANGUAGE_CHECK_MODE, LANGUAGE_CHECK_INCL
 
   if (!shouldCheck) return;
 
-  if (!hasOpenAIKey()) {
+  if (!hasProviderConfigured()) {
     abortMissingEnvOrKey({
       reason: `Language detection is enabled and required for: ${file}`,
     });
@@ -395,30 +452,16 @@ function runLanguageCheck(file, status, LANGUAGE_CHECK_MODE, LANGUAGE_CHECK_INCL
   }
 }
 
-function pagePairFor(file) {
-  if (file.startsWith("docs-en/")) {
-    return {
-      self: file,
-      other: file.replace(/^docs-en\//, "docs-sr/"),
-      selfLang: "en",
-      otherLang: "sr",
-    };
-  }
-  if (file.startsWith("docs-sr/")) {
-    return {
-      self: file,
-      other: file.replace(/^docs-sr\//, "docs-en/"),
-      selfLang: "sr",
-      otherLang: "en",
-    };
-  }
-  return null;
+// Path of the page inside its language component, shared by all languages of the page group.
+function pageGroupKey(file) {
+  const lang = defaultLangFromFolder(file);
+  return lang ? file.slice(languageDir(LANGUAGES, lang).length + 1) : "";
 }
 
-function checkMetadataConsistency(stagedEn, stagedSr) {
+function checkMetadataConsistency(stagedFiles) {
   const bad = [];
 
-  for (const f of [...stagedEn, ...stagedSr]) {
+  for (const f of stagedFiles) {
     if (!existsSync(f)) continue;
     if (f.endsWith("/nav.adoc")) continue;
 
@@ -433,7 +476,7 @@ function checkMetadataConsistency(stagedEn, stagedSr) {
 
     if (!meta.translationSource) {
       bad.push(`${f} (missing :translation-source:)`);
-    } else if (!["en", "sr"].includes(meta.translationSource)) {
+    } else if (!LANGUAGES.codes.includes(meta.translationSource)) {
       bad.push(`${f} (:translation-source: ${meta.translationSource} is invalid)`);
     }
   }
@@ -443,87 +486,71 @@ function checkMetadataConsistency(stagedEn, stagedSr) {
     for (const b of bad) console.log(`   - ${b}`);
     console.log("");
     console.log("Expected:");
-    console.log("  * docs-en/... files must have :page-lang: en");
-    console.log("  * docs-sr/... files must have :page-lang: sr");
-    console.log("  * :translation-source: must be either en or sr");
+    for (const lang of LANGUAGES.codes) {
+      console.log(`  * ${languageDir(LANGUAGES, lang)}/... files must have :page-lang: ${lang}`);
+    }
+    console.log(`  * :translation-source: must be one of ${LANGUAGES.codes.join(", ")}`);
     console.log("");
     process.exit(1);
   }
 }
 
-function checkPairTranslationSourceConsistency(stagedEn, stagedSr) {
-  const touched = new Set([...stagedEn, ...stagedSr].filter((f) => !f.endsWith("/nav.adoc")));
-
-  const pairs = new Map();
+function checkPairTranslationSourceConsistency(stagedFiles) {
+  const keys = new Set();
 
-  for (const f of touched) {
-    const pair = pagePairFor(f);
-    if (!pair) continue;
-    const key = pair.self.replace(/^docs-(en|sr)\//, "");
-    if (!pairs.has(key)) {
-      pairs.set(key, {
-        en: key.startsWith("modules/") ? `docs-en/${key}` : "",
-        sr: key.startsWith("modules/") ? `docs-sr/${key}` : "",
-      });
-    }
+  for (const f of stagedFiles) {
+    if (f.endsWith("/nav.adoc")) continue;
+    const key = pageGroupKey(f);
+    if (key.startsWith("modules/")) keys.add(key);
   }
 
   const bad = [];
 
-  for (const entry of pairs.values()) {
-    const enPath = entry.en;
-    const srPath = entry.sr;
-
-    if (!enPath || !srPath) continue;
-    if (!existsSync(enPath) || !existsSync(srPath)) continue;
+  for (const key of keys) {
+    const declared = LANGUAGES.codes
+      .map((lang) => `${languageDir(LANGUAGES, lang)}/${key}`)
+      .filter((file) => existsSync(file))
+      .map((file) => ({ file, translationSource: fileMeta(file).translationSource }))
+      .filter((x) => x.translationSource);
 
-    const enMeta = fileMeta(enPath);
-    const srMeta = fileMeta(srPath);
-
-    if (
-      enMeta.translationSource &&
-      srMeta.translationSource &&
-      enMeta.translationSource !== srMeta.translationSource
-    ) {
+    if (new Set(declared.map((x) => x.translationSource)).size > 1) {
       bad.push(
-        `${enPath} (:translation-source: ${enMeta.translationSource}) <> ${srPath} (:translation-source: ${srMeta.translationSource})`
+        declared.map((x) => `${x.file} (:translation-source: ${x.translationSource})`).join(" <> ")
       );
     }
   }
 
   if (bad.length) {
-    console.log("⛔ EN/SR page pairs have inconsistent :translation-source: values:");
+    console.log(`⛔ ${LANGUAGES.codes.map((l) => l.toUpperCase()).join("/")} page groups have inconsistent :translation-source: values:`);
     for (const b of bad) console.log(`   - ${b}`);
     console.log("");
-    console.log("Both files of the same page pair must share the same :translation-source: value.");
+    console.log("All files of the same page must share the same :translation-source: value.");
     console.log("");
     process.exit(1);
   }
 }
 
 function detectManualEditsOnSecondaryPages() {
-  const stagedPages = getStagedFiles([
-    "docs-en/modules/ROOT/*.adoc",
-    "docs-en/modules/ROOT/pages/*.adoc",
-    "docs-sr/modules/ROOT/*.adoc",
-    "docs-sr/modules/ROOT/pages/*.adoc",
-  ]).filter((f) => f.endsWith(".adoc") && !f.endsWith("/nav.adoc"));
+  const stagedPages = getStagedFiles(
+    languageGlobs("modules/ROOT/*.adoc", "modules/ROOT/pages/*.adoc")
+  ).filter((f) => f.endsWith(".adoc") && !f.endsWith("/nav.adoc"));
 
   const manual = [];
 
   for (const file of stagedPages) {
     if (!existsSync(file)) continue;
 
-    const pair = pagePairFor(file);
-    if (!pair) continue;
+    const selfLang = defaultLangFromFolder(file);
+    if (!selfLang) continue;
 
     const meta = fileMeta(file);
     if (!meta.translationSource) continue;
 
-    const isSecondary = meta.translationSource !== pair.selfLang;
+    const isSecondary = meta.translationSource !== selfLang;
     if (!isSecondary) continue;
 
-    const sourceFile = meta.translationSource === "en" ? pair.other : pair.other;
+    const sourceFile = counterpartPath(LANGUAGES, file, meta.translationSource);
+    if (!sourceFile) continue;
 
     const sourceStaged = getStagedFiles([sourceFile]).length > 0;
     if (sourceStaged) continue;
@@ -587,9 +614,81 @@ function cleanupTempRoot(tempRoot) {
   }
 }
 
-function stagePromotedFile(tempPath, finalPath) {
+// Records the hash of the staged source of a translated page in translation.lock.json and stages
+// the lockfile. A page that was only synced without AI (structure, code blocks, attributes, ...)
+// is recorded only if it was current with the HEAD source: syncing one edit into a stale
+// translation does not make it up to date.
+function updateTranslationLock(sourceFile, targetFile, direction, { retranslated = false } = {}) {
+  const lockPath = getDefaultLockPath(getRepoRootSafe());
+  const lock = loadLock(lockPath);
+
+  if (!retranslated) {
+    const headSource = gitTryRaw(["show", `HEAD:${sourceFile}`]);
+    const state = headSource ? translationState(lock, { sourceFile, targetFile, sourceContent: headSource }) : "untracked";
+    if (state !== "current") {
+      console.log(`ℹ️  ${targetFile} was ${state} before this commit; its translation.lock.json entry is left as it is.`);
+      return;
+    }
+  }
+
+  const sourceContent = gitTryRaw(["show", `:${sourceFile}`]) || undefined;
+  saveLock(lockPath, recordTranslation(lock, { sourceFile, targetFile, direction, sourceContent }));
+  git(["add", lockPath], { stdio: "inherit" });
+}
+
+// Promotes a generated page, records its source hash in translation.lock.json and stages both.
+function stagePromotedFile(tempPath, finalPath, sourceFile, direction, lockOptions = {}) {
   promoteTempFile(tempPath, finalPath);
   git(["add", finalPath], { stdio: "inherit" });
+  updateTranslationLock(sourceFile, finalPath, direction, lockOptions);
+}
+
+// Deterministic handlers of the finer analyzer results (see analyze-changes.mjs).
+const AI_FREE_SYNC_STEPS = {
+  WHITESPACE_ONLY: null,
+  METADATA_ONLY: { script: "sync-attributes.mjs", args: [], label: "attribute lines" },
+  LINK_ONLY: { script: "sync-targets.mjs", args: ["--kind=link"], label: "link and xref targets" },
+  IMAGE_ONLY: { script: "sync-targets.mjs", args: ["--kind=image"], label: "image paths" },
+  REORDER_ONLY: { script: "sync-reorder.mjs", args: [], label: "block order" },
+};
+
+/**
+ * Copies a whitespace, attribute, link, image or block order edit into the counterpart page
+ * without AI, validates and stages it. Returns false if the counterpart cannot
+ * be patched this way (the caller then translates the page).
+ */
+function syncWithoutAi(status, { sourceFile, targetFile, tempTargetFile, direction }) {
+  const [SRC, TGT] = direction.toUpperCase().split("-");
+
+  if (!existsSync(targetFile)) {
+    console.log(`ℹ️  ${targetFile} does not exist yet. Translating instead of syncing ${status}.`);
+    return false;
+  }
+
+  const step = AI_FREE_SYNC_STEPS[status];
+  if (!step) {
+    console.log(`ℹ️  Analyzer result (${SRC}-source): ${status} for ${sourceFile}. ${targetFile} stays as it is.`);
+    updateTranslationLock(sourceFile, targetFile, direction);
+    return true;
+  }
+
+  console.log(`ℹ️  Analyzer result (${SRC}-source): ${status} for ${sourceFile}. Syncing ${step.label} ${SRC} -> ${TGT} without AI.`);
+  const synced = nodeScript(
+    step.script,
+    [sourceFile, targetFile, tempTargetFile, `--direction=${direction}`, ...step.args],
+    { allowFail: true }
+  );
+  const valid = synced === 0
+    ? nodeScript("validate-translation.mjs", [sourceFile, tempTargetFile], { allowFail: true })
+    : synced;
+
+  if (valid !== 0) {
+    console.log(`⚠️  Could not sync ${step.label} into ${targetFile}. Falling back to AI translation.`);
+    return false;
+  }
+
+  stagePromotedFile(tempTargetFile, targetFile, sourceFile, direction);
+  return true;
 }
 
 function validateOrAbort(sourceFile, tempTargetFile, failMessageLines) {
@@ -604,21 +703,192 @@ function validateOrAbort(sourceFile, tempTargetFile, failMessageLines) {
   process.exit(1);
 }
 
+// Stores validated segment pairs so later translations can reuse them without AI.
+function recordTranslationMemory(sourceFile, tempTargetFile, direction) {
+  const code = nodeScript(
+    "translation-memory-cli.mjs",
+    ["record", sourceFile, tempTargetFile, `--direction=${direction}`],
+    { allowFail: true }
+  );
+  if (code !== 0) {
+    console.log(`⚠️  Could not update translation memory for ${sourceFile}. Continuing.`);
+  }
+}
+
+// Lets translate-adoc reuse the current target page and retranslate only changed segments.
+function existingTargetArgs(targetFile) {
+  return existsSync(targetFile) ? [`--existing=${targetFile}`] : [];
+}
+
 function getTranslationSource(file) {
   const meta = fileMeta(file);
   return meta.translationSource || defaultLangFromFolder(file);
 }
 
+// ---------------- deleted / renamed source pages ----------------
+
+// Page id relative to the pages folder of its component, e.g. "index.adoc".
+function pageIdOf(file) {
+  const lang = defaultLangFromFolder(file);
+  return lang ? path.posix.relative(pagesRoot(LANGUAGES, lang), file.replace(/\\/g, "/")) : "";
+}
+
+// Antora component names of the language components (xref:docs-en::page.adoc[]).
+function languageComponentNames() {
+  return LANGUAGES.codes.map((lang) => {
+    const dir = languageDir(LANGUAGES, lang);
+    const m = readFileSafe(path.join(dir, "antora.yml")).match(/^name:\s*(\S+)/m);
+    return m ? m[1] : dir;
+  });
+}
+
+// Language of a page as committed in HEAD if it was the source of truth of its group, "" otherwise.
+function headSourceLang(file) {
+  const lang = defaultLangFromFolder(file);
+  const declared = extractAttrValue(gitTryRaw(["show", `HEAD:${file}`]), "translation-source");
+  return lang && (declared || lang) === lang ? lang : "";
+}
+
+// Every tracked .adoc file (pages and navs) of the language components, as staged.
+function languageAdocFiles() {
+  return gitTryRaw(["ls-files", "-z", "--", ...languageGlobs("**/*.adoc")])
+    .split("\0")
+    .filter((f) => f.endsWith(".adoc") && existsSync(f));
+}
+
+function stageRewrittenFile(file, content) {
+  writeFileSync(file, content, "utf8");
+  git(["add", file], { stdio: "inherit" });
+}
+
+/**
+ * Deleted source page: removes its counterparts, their lock entries and the nav
+ * entries in every language, and reports xrefs that still point to it.
+ */
+function propagatePageDeletions(deletedFiles) {
+  const components = languageComponentNames();
+  const lockPath = getDefaultLockPath(getRepoRootSafe());
+  const lock = loadLock(lockPath);
+
+  for (const file of deletedFiles) {
+    const sourceLang = headSourceLang(file);
+    if (!sourceLang) continue;
+
+    const pageId = pageIdOf(file);
+    console.log(`🗑️  Source page deleted: ${file}. Removing it from every language...`);
+
+    for (const lang of LANGUAGES.codes) {
+      if (lang === sourceLang) continue;
+      const target = counterpartPath(LANGUAGES, file, lang);
+      if (existsSync(target)) {
+        git(["rm", "-q", "--", target], { stdio: "inherit" });
+        console.log(`   - deleted ${target}`);
+      }
+      removeTranslation(lock, target);
+    }
+
+    for (const lang of LANGUAGES.codes) {
+      const langNavPath = navPath(LANGUAGES, lang);
+      if (!existsSync(langNavPath)) continue;
+      const nav = removeNavEntries(readFileSafe(langNavPath), pageId, { components });
+      if (nav.removed) {
+        stageRewrittenFile(langNavPath, nav.content);
+        console.log(`   - removed ${nav.removed} entry(ies) from ${langNavPath}`);
+      }
+    }
+
+    const dangling = languageAdocFiles().flatMap((f) =>
+      findXrefLines(readFileSafe(f), pageId, { components }).map((line) => `${f}:${line}`)
+    );
+    if (dangling.length) {
+      console.log(`⚠️  These references still point to the deleted page ${pageId}:`);
+      for (const location of dangling) console.log(`   - ${location}`);
+    }
+  }
+
+  saveLock(lockPath, lock);
+  git(["add", lockPath], { stdio: "inherit" });
+}
+
+/**
+ * Renamed source page: renames its counterparts, moves their lock entries,
+ * rewrites xrefs (navs included) in every language and records the old name
+ * in :page-aliases:. Returns the pages renamed without content changes (R100),
+ * whose counterparts need no translation.
+ */
+function propagatePageRenames(renames) {
+  const components = languageComponentNames();
+  const lockPath = getDefaultLockPath(getRepoRootSafe());
+  const lock = loadLock(lockPath);
+  const pureRenames = [];
+
+  for (const { status, file, oldFile } of renames) {
+    const sourceLang = headSourceLang(oldFile);
+    if (!sourceLang || defaultLangFromFolder(file) !== sourceLang) continue;
+
+    const oldId = pageIdOf(oldFile);
+    const newId = pageIdOf(file);
+    const headSourceHash = hashSource(gitTryRaw(["show", `HEAD:${oldFile}`]));
+    console.log(`🚚 Source page renamed: ${oldFile} -> ${file}. Renaming it in every language...`);
+
+    stageRewrittenFile(file, addPageAlias(readFileSafe(file), oldId, newId));
+
+    for (const lang of LANGUAGES.codes) {
+      if (lang === sourceLang) continue;
+      const oldTarget = counterpartPath(LANGUAGES, oldFile, lang);
+      const newTarget = counterpartPath(LANGUAGES, file, lang);
+
+      if (existsSync(oldTarget)) {
+        if (existsSync(newTarget)) {
+          console.log(`⚠️  ${newTarget} already exists. Leaving ${oldTarget} in place.`);
+          continue;
+        }
+        mkdirSync(path.dirname(newTarget), { recursive: true });
+        git(["mv", "--", oldTarget, newTarget], { stdio: "inherit" });
+        console.log(`   - renamed ${oldTarget} -> ${newTarget}`);
+      }
+      if (!existsSync(newTarget)) continue;
+
+      stageRewrittenFile(newTarget, addPageAlias(readFileSafe(newTarget), oldId, newId));
+
+      // A translation that was current stays current; a stale one stays stale.
+      const entry = lock.pages[oldTarget];
+      removeTranslation(lock, oldTarget);
+      if (entry && status === "R100" && entry.sourceHash === headSourceHash) {
+        recordTranslation(lock, {
+          sourceFile: file,
+          targetFile: newTarget,
+          direction: entry.direction,
+          sourceContent: gitTryRaw(["show", `:${file}`]) || undefined,
+        });
+      } else if (entry) {
+        lock.pages[newTarget] = { ...entry, source: file };
+      }
+    }
+
+    for (const f of languageAdocFiles()) {
+      const rewritten = rewriteXrefs(readFileSafe(f), oldId, newId, { components });
+      if (rewritten.count) {
+        stageRewrittenFile(f, rewritten.content);
+        console.log(`   - ${rewritten.count} xref(s) updated in ${f}`);
+      }
+    }
+
+    if (status === "R100") pureRenames.push(file);
+  }
+
+  saveLock(lockPath, lock);
+  git(["add", lockPath], { stdio: "inherit" });
+  return pureRenames;
+}
+
 // ---------------------------- MAIN ----------------------------
 let __TEMP_ROOT__ = "";
 
 try {
   loadDotEnvIfPresent();
 
-  const stagedPageCandidates = getStagedFiles([
-    "docs-en/modules/ROOT/pages/*.adoc",
-    "docs-sr/modules/ROOT/pages/*.adoc",
-  ]);
+  const stagedPageCandidates = getStagedFiles(languageGlobs("modules/ROOT/pages/*.adoc"));
 
   const badPages = [];
   for (const f of stagedPageCandidates) {
@@ -635,7 +905,7 @@ try {
 
   const envMissing = !existsSync(envFilePath(repoRoot));
   if (envMissing) {
-    console.log("ℹ️  .env not found. Create it via: cp .env.example .env (then set OPENAI_API_KEY)");
+    console.log("ℹ️  .env not found. Create it via: cp .env.example .env (then set OPENAI_API_KEY or TRANSLATION_PROVIDER)");
   }
 
   const ledgerPath = getLedgerPath(repoRoot);
@@ -654,9 +924,12 @@ try {
   const LANGUAGE_CHECK_INCLUDE_UPDATED =
     cleanEnvValue(process.env.LANGUAGE_CHECK_INCLUDE_UPDATED) || "0";
 
+  const DECISION_LOG = cleanEnvValue(process.env.TRANSLATION_DECISION_LOG) === "1";
+
   let NO_CHANGES_COUNT = 0;
   let STRUCTURAL_ONLY_COUNT = 0;
   let CODE_ONLY_COUNT = 0;
+  const AI_FREE_SYNC_COUNTS = Object.fromEntries(Object.keys(AI_FREE_SYNC_STEPS).map((status) => [status, 0]));
   let TEXT_AND_STRUCTURE_COUNT = 0;
   let SAFE_FALLBACK_COUNT = 0;
   let AI_JOB_COUNT = 0;
@@ -664,10 +937,7 @@ try {
 
   console.log("🧭 Pre-checking navigation for new primary pages...");
 
-  const newPages = getStagedNameStatus([
-    "docs-en/modules/ROOT/pages/*.adoc",
-    "docs-sr/modules/ROOT/pages/*.adoc",
-  ])
+  const newPages = getStagedNameStatus(languageGlobs("modules/ROOT/pages/*.adoc"))
     .filter((x) => x.status === "A")
     .map((x) => x.file);
 
@@ -690,254 +960,208 @@ try {
   console.log("🔁 pre-commit: checking docs .adoc files for translation & sync...");
   console.log(`ℹ️  TRANSLATION_MODE=${TRANSLATION_MODE}`);
 
-  const stagedEnAll = getStagedFiles(["docs-en/**/*.adoc", "docs-en/**/**/*.adoc"]).filter(
-    (f) => f.endsWith(".adoc")
-  );
-  const stagedSrAll = getStagedFiles(["docs-sr/**/*.adoc", "docs-sr/**/**/*.adoc"]).filter(
+  const stagedDocsAll = getStagedFiles(languageGlobs("**/*.adoc", "**/**/*.adoc")).filter(
     (f) => f.endsWith(".adoc")
   );
 
-  for (const f of [...new Set([...stagedEnAll, ...stagedSrAll])]) {
+  for (const f of [...new Set(stagedDocsAll)]) {
     ensureMetadata(f);
   }
 
-  checkMetadataConsistency(stagedEnAll, stagedSrAll);
-  checkPairTranslationSourceConsistency(stagedEnAll, stagedSrAll);
+  checkMetadataConsistency(stagedDocsAll);
+  checkPairTranslationSourceConsistency(stagedDocsAll);
   detectManualEditsOnSecondaryPages();
 
-  const EN_PAGES = getStagedNameStatus([
-    "docs-en/modules/ROOT/*.adoc",
-    "docs-en/modules/ROOT/pages/*.adoc",
-  ])
-    .filter(({ status, file }) => status !== "D" && file && !file.endsWith("/nav.adoc"))
-    .map(({ file }) => file);
-
-  const SR_PAGES = getStagedNameStatus([
-    "docs-sr/modules/ROOT/*.adoc",
-    "docs-sr/modules/ROOT/pages/*.adoc",
-  ])
-    .filter(({ status, file }) => status !== "D" && file && !file.endsWith("/nav.adoc"))
-    .map(({ file }) => file);
+  const stagedPageStatus = getStagedNameStatus(languageGlobs("modules/ROOT/pages/*.adoc"));
+  const deletedPages = stagedPageStatus.filter((x) => x.status === "D").map((x) => x.file);
+  const renamedPages = stagedPageStatus.filter((x) => x.status.startsWith("R") && x.oldFile);
 
-  const EN_SOURCE_FILES = EN_PAGES.filter((f) => getTranslationSource(f) === "en");
-  const SR_SOURCE_FILES = SR_PAGES.filter((f) => getTranslationSource(f) === "sr");
+  if (deletedPages.length) propagatePageDeletions(deletedPages);
+  const PURE_RENAMES = renamedPages.length ? propagatePageRenames(renamedPages) : [];
 
-  AI_JOB_TOTAL = EN_SOURCE_FILES.length + SR_SOURCE_FILES.length;
+  const STAGED_PAGES = getStagedNameStatus(
+    languageGlobs("modules/ROOT/*.adoc", "modules/ROOT/pages/*.adoc")
+  )
+    .filter(({ status, file }) => status !== "D" && file && !file.endsWith("/nav.adoc"))
+    .map(({ file }) => file)
+    .filter((file) => !PURE_RENAMES.includes(file));
+
+  // Source-of-truth pages grouped by language, primary language first.
+  const SOURCE_FILES_BY_LANG = LANGUAGES.codes.map((lang) => ({
+    lang,
+    files: STAGED_PAGES.filter(
+      (f) => defaultLangFromFolder(f) === lang && getTranslationSource(f) === lang
+    ),
+  }));
+
+  AI_JOB_TOTAL = SOURCE_FILES_BY_LANG.reduce(
+    (sum, group) => sum + group.files.length * (LANGUAGES.codes.length - 1),
+    0
+  );
 
   if (TRANSLATION_MODE !== "off" && AI_JOB_TOTAL > 0) {
     console.log(`🤖 Potential AI translation jobs in this commit: ${AI_JOB_TOTAL}`);
   }
 
-  if (TRANSLATION_MODE !== "off" && EN_SOURCE_FILES.length) {
-    console.log("📄 Staged EN source-of-truth .adoc files:");
-    for (const f of EN_SOURCE_FILES) console.log(f);
-  }
+  for (const { lang: SOURCE_LANG, files: SOURCE_FILES } of SOURCE_FILES_BY_LANG) {
+    if (TRANSLATION_MODE === "off" || !SOURCE_FILES.length) continue;
+
+    const SRC = SOURCE_LANG.toUpperCase();
+    console.log(`📄 Staged ${SRC} source-of-truth .adoc files:`);
+    for (const f of SOURCE_FILES) console.log(f);
 
-  if (TRANSLATION_MODE !== "off") {
-    for (const FILE of EN_SOURCE_FILES) {
+    for (const FILE of SOURCE_FILES) {
       const ns = getStagedNameStatus([FILE])[0];
       const STATUS = ns?.status ?? "";
 
       runLanguageCheck(FILE, STATUS, LANGUAGE_CHECK_MODE, LANGUAGE_CHECK_INCLUDE_UPDATED);
 
-      const SR_FILE = FILE.replace(/^docs-en\//, "docs-sr/");
-      const TEMP_SR_FILE = toTempPath(__TEMP_ROOT__, SR_FILE);
+      const ANALYSIS = analyzeStagedChanges(FILE);
+      const ANALYZER_RESULT = ANALYSIS.status;
+      if (ANALYSIS.hunks.length) {
+        console.log(`ℹ️  Changed sections in ${FILE}: ${describeChangedSections(ANALYSIS.hunks)}`);
+      }
 
-      const r = run(
-        process.execPath,
-        [path.join("scripts", "analyze-changes.mjs"), FILE, SR_FILE],
-        {
-          stdio: "pipe",
-          shell: false,
-          encoding: "utf8",
+      for (const TARGET_LANG of LANGUAGES.codes) {
+        if (TARGET_LANG === SOURCE_LANG) continue;
+
+        const DIRECTION = `${SOURCE_LANG}-${TARGET_LANG}`;
+        const ARROW = formatDirection(DIRECTION);
+        const TGT = TARGET_LANG.toUpperCase();
+        const TARGET_FILE = counterpartPath(LANGUAGES, FILE, TARGET_LANG);
+        const TEMP_TARGET_FILE = toTempPath(__TEMP_ROOT__, TARGET_FILE);
+
+        if (DECISION_LOG) {
+          appendDecisionLog({
+            file: FILE,
+            target: TARGET_FILE,
+            direction: DIRECTION,
+            status: ANALYZER_RESULT,
+            hunks: ANALYSIS.hunks,
+          });
         }
-      );
-
-      const raw = (r.stdout ?? "").toString().trim();
-      const ANALYZER_RESULT = stripStatusPrefixes(raw);
-
-      switch (ANALYZER_RESULT) {
-        case "NO_CHANGES":
-          NO_CHANGES_COUNT++;
-          break;
-
-        case "STRUCTURAL_ONLY":
-          console.log(`ℹ️  Analyzer result (EN-source): STRUCTURAL_ONLY for ${FILE}. Syncing structure EN -> SR without AI.`);
-          STRUCTURAL_ONLY_COUNT++;
-          nodeScript("sync-structure.mjs", [FILE, SR_FILE, TEMP_SR_FILE, "--direction=en-sr"]);
-          stagePromotedFile(TEMP_SR_FILE, SR_FILE);
-          break;
-
-        case "CODE_ONLY":
-          console.log(`ℹ️  Analyzer result (EN-source): CODE_ONLY for ${FILE}. Syncing code blocks EN -> SR without AI.`);
-          CODE_ONLY_COUNT++;
-          nodeScript("sync-code-blocks.mjs", [FILE, SR_FILE, TEMP_SR_FILE, "--direction=en-sr"]);
-          stagePromotedFile(TEMP_SR_FILE, SR_FILE);
-          break;
-
-        case "TEXT_AND_STRUCTURE":
-          AI_JOB_COUNT++;
-          console.log(`🤖 AI job ${AI_JOB_COUNT}/${AI_JOB_TOTAL} — EN → SR: ${FILE}`);
-          console.log(`ℹ️  Analyzer result (EN-source): TEXT_AND_STRUCTURE for ${FILE}. Calling AI translation EN -> SR.`);
-          TEXT_AND_STRUCTURE_COUNT++;
-
-          if (!hasOpenAIKey()) {
-            abortMissingEnvOrKey({
-              reason: `Translation is required (EN → SR) for: ${FILE}`,
-            });
-          }
-
-          if (TRANSLATION_MODE === "strict") {
-            console.log(`🌐 Translating (EN → SR, SAFE MODE ONLY): ${FILE}`);
-            nodeScript("translate-adoc.mjs", [FILE, TEMP_SR_FILE, "--direction=en-sr", "--safe"]);
-
-            validateOrAbort(FILE, TEMP_SR_FILE, [
-              `❌ Translation validation FAILED (EN → SR, STRICT/SAFE ONLY) for ${FILE}.`,
-              "    Please fix the translation manually and retry the commit.",
-            ]);
-          } else {
-            console.log(`🌐 Translating (EN → SR, NORMAL MODE): ${FILE}`);
-            nodeScript("translate-adoc.mjs", [FILE, TEMP_SR_FILE, "--direction=en-sr"]);
-
-            const v1 = nodeScript("validate-translation.mjs", [FILE, TEMP_SR_FILE], {
-              allowFail: true,
-            });
-
-            if (v1 !== 0) {
-              console.log(`⚠️ Validation failed for ${FILE} in EN → SR NORMAL MODE. Retrying in SAFE MODE...`);
-              nodeScript("translate-adoc.mjs", [FILE, TEMP_SR_FILE, "--direction=en-sr", "--safe"]);
-
-              const v2 = nodeScript("validate-translation.mjs", [FILE, TEMP_SR_FILE], {
-                allowFail: true,
-              });
 
-              if (v2 !== 0) {
-                console.log(`❌ SAFE MODE translation validation FAILED for ${FILE} (EN → SR).`);
-                console.log("    Please inspect the EN/SR files and fix manually.");
-                process.exit(1);
-              }
-
-              SAFE_FALLBACK_COUNT++;
+        switch (ANALYZER_RESULT) {
+          case "NO_CHANGES":
+            NO_CHANGES_COUNT++;
+            break;
+
+          case "STRUCTURAL_ONLY":
+            console.log(`ℹ️  Analyzer result (${SRC}-source): STRUCTURAL_ONLY for ${FILE}. Syncing structure ${SRC} -> ${TGT} without AI.`);
+            STRUCTURAL_ONLY_COUNT++;
+            nodeScript("sync-structure.mjs", [FILE, TARGET_FILE, TEMP_TARGET_FILE, `--direction=${DIRECTION}`]);
+            stagePromotedFile(TEMP_TARGET_FILE, TARGET_FILE, FILE, DIRECTION);
+            break;
+
+          case "CODE_ONLY":
+            console.log(`ℹ️  Analyzer result (${SRC}-source): CODE_ONLY for ${FILE}. Syncing code blocks ${SRC} -> ${TGT} without AI.`);
+            CODE_ONLY_COUNT++;
+            nodeScript("sync-code-blocks.mjs", [FILE, TARGET_FILE, TEMP_TARGET_FILE, `--direction=${DIRECTION}`]);
+            stagePromotedFile(TEMP_TARGET_FILE, TARGET_FILE, FILE, DIRECTION);
+            break;
+
+          case "WHITESPACE_ONLY":
+          case "METADATA_ONLY":
+          case "LINK_ONLY":
+          case "IMAGE_ONLY":
+          case "REORDER_ONLY":
+            if (
+              syncWithoutAi(ANALYZER_RESULT, {
+                sourceFile: FILE,
+                targetFile: TARGET_FILE,
+                tempTargetFile: TEMP_TARGET_FILE,
+                direction: DIRECTION,
+              })
+            ) {
+              AI_FREE_SYNC_COUNTS[ANALYZER_RESULT]++;
+              break;
             }
-          }
-
-          stagePromotedFile(TEMP_SR_FILE, SR_FILE);
-          break;
-
-        default:
-          if (ANALYZER_RESULT) {
-            console.log(`⚠️  Unknown analyzer result for EN-source page ${FILE}: STATUS=${ANALYZER_RESULT}`);
-          } else {
-            console.log(`⚠️  Analyzer did not return a status for EN-source page ${FILE}. Skipping.`);
-          }
-          break;
-      }
-    }
-  }
-
-  if (TRANSLATION_MODE !== "off" && SR_SOURCE_FILES.length) {
-    console.log("🔍 Analyzing SR source-of-truth page changes in:");
-    for (const f of SR_SOURCE_FILES) console.log(f);
-  }
+          // falls through: the counterpart could not be patched, so it is translated
 
-  if (TRANSLATION_MODE !== "off") {
-    for (const FILE of SR_SOURCE_FILES) {
-      const ns = getStagedNameStatus([FILE])[0];
-      const STATUS = ns?.status ?? "";
-
-      runLanguageCheck(FILE, STATUS, LANGUAGE_CHECK_MODE, LANGUAGE_CHECK_INCLUDE_UPDATED);
+          case "TEXT_AND_STRUCTURE":
+            AI_JOB_COUNT++;
+            console.log(`🤖 AI job ${AI_JOB_COUNT}/${AI_JOB_TOTAL} — ${ARROW}: ${FILE}`);
+            console.log(`ℹ️  Analyzer result (${SRC}-source): TEXT_AND_STRUCTURE for ${FILE}. Calling AI translation ${SRC} -> ${TGT}.`);
+            TEXT_AND_STRUCTURE_COUNT++;
 
-      const EN_FILE = FILE.replace(/^docs-sr\//, "docs-en/");
-      const TEMP_EN_FILE = toTempPath(__TEMP_ROOT__, EN_FILE);
-
-      const r = run(
-        process.execPath,
-        [path.join("scripts", "analyze-changes.mjs"), FILE, EN_FILE],
-        {
-          stdio: "pipe",
-          shell: false,
-          encoding: "utf8",
-        }
-      );
-
-      const raw = (r.stdout ?? "").toString().trim();
-      const ANALYZER_RESULT = stripStatusPrefixes(raw);
-
-      switch (ANALYZER_RESULT) {
-        case "NO_CHANGES":
-          NO_CHANGES_COUNT++;
-          break;
-
-        case "STRUCTURAL_ONLY":
-          console.log(`ℹ️  Analyzer result (SR-source): STRUCTURAL_ONLY for ${FILE}. Syncing structure SR -> EN without AI.`);
-          STRUCTURAL_ONLY_COUNT++;
-          nodeScript("sync-structure.mjs", [FILE, EN_FILE, TEMP_EN_FILE, "--direction=sr-en"]);
-          stagePromotedFile(TEMP_EN_FILE, EN_FILE);
-          break;
-
-        case "CODE_ONLY":
-          console.log(`ℹ️  Analyzer result (SR-source): CODE_ONLY for ${FILE}. Syncing code blocks SR -> EN without AI.`);
-          CODE_ONLY_COUNT++;
-          nodeScript("sync-code-blocks.mjs", [FILE, EN_FILE, TEMP_EN_FILE, "--direction=sr-en"]);
-          stagePromotedFile(TEMP_EN_FILE, EN_FILE);
-          break;
-
-        case "TEXT_AND_STRUCTURE":
-          AI_JOB_COUNT++;
-          console.log(`🤖 AI job ${AI_JOB_COUNT}/${AI_JOB_TOTAL} — SR → EN: ${FILE}`);
-          console.log(`ℹ️  Analyzer result (SR-source): TEXT_AND_STRUCTURE for ${FILE}. Calling AI translation SR -> EN.`);
-          TEXT_AND_STRUCTURE_COUNT++;
-
-          if (!hasOpenAIKey()) {
-            abortMissingEnvOrKey({
-              reason: `Translation is required (SR → EN) for: ${FILE}`,
-            });
-          }
-
-          if (TRANSLATION_MODE === "strict") {
-            console.log(`🌐 Translating (SR → EN, SAFE MODE ONLY): ${FILE}`);
-            nodeScript("translate-adoc.mjs", [FILE, TEMP_EN_FILE, "--direction=sr-en", "--safe"]);
-
-            validateOrAbort(FILE, TEMP_EN_FILE, [
-              `❌ Translation validation FAILED (SR → EN, STRICT/SAFE ONLY) for ${FILE}.`,
-              "    Please fix the translation manually and retry the commit.",
-            ]);
-          } else {
-            console.log(`🌐 Translating (SR → EN, NORMAL MODE): ${FILE}`);
-            nodeScript("translate-adoc.mjs", [FILE, TEMP_EN_FILE, "--direction=sr-en"]);
-
-            const v1 = nodeScript("validate-translation.mjs", [FILE, TEMP_EN_FILE], {
-              allowFail: true,
-            });
-
-            if (v1 !== 0) {
-              console.log(`⚠️ Validation failed for ${FILE} in SR → EN NORMAL MODE. Retrying in SAFE MODE...`);
-              nodeScript("translate-adoc.mjs", [FILE, TEMP_EN_FILE, "--direction=sr-en", "--safe"]);
-
-              const v2 = nodeScript("validate-translation.mjs", [FILE, TEMP_EN_FILE], {
-                allowFail: true,
+            if (!hasProviderConfigured()) {
+              abortMissingEnvOrKey({
+                reason: `Translation is required (${ARROW}) for: ${FILE}`,
               });
+            }
 
-              if (v2 !== 0) {
-                console.log(`❌ SAFE MODE translation validation FAILED for ${FILE} (SR → EN).`);
-                console.log("    Please inspect the SR/EN files and fix manually.");
+            if (TRANSLATION_MODE === "strict") {
+              console.log(`🌐 Translating (${ARROW}, SAFE MODE ONLY): ${FILE}`);
+              nodeScript("translate-adoc.mjs", [FILE, TEMP_TARGET_FILE, `--direction=${DIRECTION}`, "--safe", ...existingTargetArgs(TARGET_FILE)]);
+
+              validateOrAbort(FILE, TEMP_TARGET_FILE, [
+                `❌ Translation validation FAILED (${ARROW}, STRICT/SAFE ONLY) for ${FILE}.`,
+                "    Please fix the translation manually and retry the commit.",
+              ]);
+            } else {
+              console.log(`🌐 Translating (${ARROW}, NORMAL MODE): ${FILE}`);
+              const t1 = nodeScript(
+                "translate-adoc.mjs",
+                [FILE, TEMP_TARGET_FILE, `--direction=${DIRECTION}`, ...existingTargetArgs(TARGET_FILE)],
+                { allowFail: true }
+              );
+
+              // A failed NORMAL translation (e.g. lost inline placeholders) gets the same SAFE retry as a failed validation.
+              const v1 = t1 === 0
+                ? nodeScript("validate-translation.mjs", [FILE, TEMP_TARGET_FILE], { allowFail: true })
+                : t1;
+
+              if (v1 !== 0) {
+                console.log(
+                  `⚠️ ${t1 === 0 ? "Validation" : "Translation"} failed for ${FILE} in ${ARROW} NORMAL MODE. Retrying in SAFE MODE...`
+                );
+                nodeScript("translate-adoc.mjs", [FILE, TEMP_TARGET_FILE, `--direction=${DIRECTION}`, "--safe", ...existingTargetArgs(TARGET_FILE)]);
+
+                const v2 = nodeScript("validate-translation.mjs", [FILE, TEMP_TARGET_FILE], {
+                  allowFail: true,
+                });
+
+                if (v2 !== 0) {
+                  console.log(`❌ SAFE MODE translation validation FAILED for ${FILE} (${ARROW}).`);
+                  console.log(`    Please inspect the ${SRC}/${TGT} files and fix manually.`);
+                  process.exit(1);
+                }
+
+                SAFE_FALLBACK_COUNT++;
+              }
+            }
+
+            if (isBacktranslationQaEnabled()) {
+              const qa = nodeScript(
+                "backtranslate-qa.mjs",
+                [FILE, TEMP_TARGET_FILE, `--direction=${DIRECTION}`],
+                { allowFail: true }
+              );
+              // Exit code 1: paragraphs below the threshold; anything else: QA could not run (strict mode only).
+              if (qa === 1) {
+                console.log(`❌ Back-translation QA failed for ${FILE} (${ARROW}).`);
+                console.log("    Review the paragraphs listed above (or lower backtranslationQa.threshold) and retry the commit.");
+                process.exit(1);
+              }
+              if (qa !== 0) {
+                console.log(`❌ Back-translation QA could not run for ${FILE} (${ARROW}).`);
+                console.log("    Check the provider settings and the error above, or set backtranslationQa.strict to false.");
                 process.exit(1);
               }
+            }
+
+            recordTranslationMemory(FILE, TEMP_TARGET_FILE, DIRECTION);
+            stagePromotedFile(TEMP_TARGET_FILE, TARGET_FILE, FILE, DIRECTION, { retranslated: true });
+            break;
 
-              SAFE_FALLBACK_COUNT++;
+          default:
+            if (ANALYZER_RESULT) {
+              console.log(`⚠️  Unknown analyzer result for ${SRC}-source page ${FILE} (${ARROW}): STATUS=${ANALYZER_RESULT}`);
+            } else {
+              console.log(`⚠️  Analyzer did not return a status for ${SRC}-source page ${FILE} (${ARROW}). Skipping.`);
             }
-          }
-
-          stagePromotedFile(TEMP_EN_FILE, EN_FILE);
-          break;
-
-        default:
-          if (ANALYZER_RESULT) {
-            console.log(`⚠️  Unknown analyzer result for SR-source page ${FILE}: STATUS=${ANALYZER_RESULT}`);
-          } else {
-            console.log(`⚠️  Analyzer did not return a status for SR-source page ${FILE}. Skipping.`);
-          }
-          break;
+            break;
+        }
       }
     }
   }
@@ -957,29 +1181,45 @@ try {
     }
   }
 
-  console.log("🧭 Validating EN/SR navigation (nav.adoc) consistency...");
+  console.log(`🧭 Validating ${LANGUAGES.codes.map((l) => l.toUpperCase()).join("/")} navigation (nav.adoc) consistency...`);
   if (existsSync(path.join("scripts", "validate-nav.mjs"))) {
     const navCode = nodeScript("validate-nav.mjs", [], { allowFail: true });
     if (navCode !== 0) {
       console.log("⛔ pre-commit: navigation POST validation failed. Aborting commit.");
       process.exit(navCode);
     }
-    if (existsSync("docs-en/modules/ROOT/nav.adoc")) {
-      git(["add", "docs-en/modules/ROOT/nav.adoc"], { stdio: "inherit" });
-    }
-    if (existsSync("docs-sr/modules/ROOT/nav.adoc")) {
-      git(["add", "docs-sr/modules/ROOT/nav.adoc"], { stdio: "inherit" });
+    for (const lang of LANGUAGES.codes) {
+      const langNavPath = navPath(LANGUAGES, lang);
+      if (existsSync(langNavPath)) {
+        git(["add", langNavPath], { stdio: "inherit" });
+      }
     }
   } else {
     console.log("ℹ️  validate-nav.mjs not found. Skipping navigation validation.");
   }
 
+  const transliteration = readTransliterationConfig();
+  if (transliteration.enabled && existsSync(path.join("scripts", "transliterate-sr.mjs"))) {
+    console.log("🔤 Regenerating Serbian Cyrillic component...");
+    const code = nodeScript("transliterate-sr.mjs", [], { allowFail: true });
+    if (code !== 0) {
+      console.log("⛔ pre-commit: Cyrillic transliteration failed. Aborting commit.");
+      process.exit(code);
+    }
+    if (existsSync(transliteration.targetDir)) {
+      git(["add", "-A", transliteration.targetDir], { stdio: "inherit" });
+    }
+  }
+
   console.log("📊 Translation summary for this commit:");
   console.log(`   MODE:                ${TRANSLATION_MODE}`);
   console.log(`   LANGUAGE_CHECK_MODE: ${LANGUAGE_CHECK_MODE} (updated=${LANGUAGE_CHECK_INCLUDE_UPDATED})`);
   console.log(`   NO_CHANGES:          ${NO_CHANGES_COUNT} file(s)`);
   console.log(`   STRUCTURAL_ONLY:     ${STRUCTURAL_ONLY_COUNT} file(s)`);
   console.log(`   CODE_ONLY:           ${CODE_ONLY_COUNT} file(s)`);
+  for (const [status, count] of Object.entries(AI_FREE_SYNC_COUNTS)) {
+    console.log(`   ${`${status}:`.padEnd(21)}${count} file(s)`);
+  }
   console.log(`   TEXT_AND_STRUCTURE:  ${TEXT_AND_STRUCTURE_COUNT} file(s)`);
   console.log(`   SAFE_FALLBACK_USED:  ${SAFE_FALLBACK_COUNT} time(s)`);
 
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// stale-translations.mjs
+// Lists translated pages whose source changed since they were generated,
+// based on the source hashes in translation.lock.json (see translation-lock.mjs).
+//
+// Usage:
+//   node scripts/stale-translations.mjs [pages...]                 -> list stale/untracked pairs (exit 1 if any)
+//   node scripts/stale-translations.mjs --retranslate [pages...]   -> retranslate stale pairs (AI), validate, update the lock
+//   node scripts/stale-translations.mjs --accept [pages...]        -> record the current sources as translated (no AI)
+//
+// pages: optional source or target page paths to limit the run to.
+// States:
+//   stale      the source changed since the target was generated
+//   untracked  no lock entry yet (e.g. pages from before the lockfile; use --accept once)
+//
+// --retranslate only touches stale pairs and does not stage anything; review and commit the result.
+
+import { spawnSync } from "node:child_process";
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadLanguages, normalizeLangValue, pagesRoot } from "./languages.mjs";
+import {
+  getDefaultLockPath,
+  loadLock,
+  recordTranslation,
+  saveLock,
+  translationState,
+} from "./translation-lock.mjs";
+
+const LANGUAGES = loadLanguages();
+
+function extractAttrValue(content, attrName) {
+  const m = content.match(new RegExp(`^:${attrName}:\\s*(.+)\\s*$`, "im"));
+  return m ? (m[1] || "").trim().toLowerCase() : "";
+}
+
+function listPages(lang) {
+  const root = pagesRoot(LANGUAGES, lang);
+  if (!existsSync(root)) return [];
+  return readdirSync(root, { recursive: true })
+    .map((p) => p.toString().replace(/\\/g, "/"))
+    .filter((p) => p.endsWith(".adoc"))
+    .sort();
+}
+
+/**
+ * Source-of-truth page -> each existing translation:
+ * [{ sourceFile, targetFile, direction }]
+ */
+function collectPairs() {
+  const pairs = [];
+
+  for (const sourceLang of LANGUAGES.codes) {
+    for (const pageId of listPages(sourceLang)) {
+      const sourceFile = `${pagesRoot(LANGUAGES, sourceLang)}/${pageId}`;
+      const declared = normalizeLangValue(
+        LANGUAGES,
+        extractAttrValue(readFileSync(sourceFile, "utf8"), "translation-source"),
+        ""
+      );
+      if (declared !== sourceLang) continue;
+
+      for (const targetLang of LANGUAGES.codes) {
+        const targetFile = `${pagesRoot(LANGUAGES, targetLang)}/${pageId}`;
+        if (targetLang === sourceLang || !existsSync(targetFile)) continue;
+        pairs.push({ sourceFile, targetFile, direction: `${sourceLang}-${targetLang}` });
+      }
+    }
+  }
+
+  return pairs;
+}
+
+function nodeScript(scriptFile, args) {
+  const r = spawnSync(process.execPath, [path.join("scripts", scriptFile), ...args], {
+    stdio: "inherit",
+    shell: false,
+  });
+  return r.status ?? 1;
+}
+
+function retranslate(pair, tempRoot) {
+  const tempTarget = path.join(tempRoot, pair.targetFile);
+  mkdirSync(path.dirname(tempTarget), { recursive: true });
+
+  console.log(`🌐 Retranslating ${pair.sourceFile} -> ${pair.targetFile}`);
+  if (nodeScript("translate-adoc.mjs", [pair.sourceFile, tempTarget, `--direction=${pair.direction}`]) !== 0) {
+    return false;
+  }
+  if (nodeScript("validate-translation.mjs", [pair.sourceFile, tempTarget]) !== 0) {
+    return false;
+  }
+
+  copyFileSync(tempTarget, pair.targetFile);
+  return true;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const mode = args.includes("--retranslate") ? "retranslate" : args.includes("--accept") ? "accept" : "list";
+  const filters = args.filter((a) => !a.startsWith("--")).map((a) => a.replace(/\\/g, "/"));
+
+  const lockPath = getDefaultLockPath(process.cwd());
+  const lock = loadLock(lockPath);
+
+  const pairs = collectPairs()
+    .filter((p) => !filters.length || filters.includes(p.sourceFile) || filters.includes(p.targetFile))
+    .map((p) => ({ ...p, state: translationState(lock, p) }));
+
+  const pending = pairs.filter((p) => p.state !== "current");
+
+  if (!pending.length) {
+    console.log(`✅ All ${pairs.length} translated page(s) are up to date with their sources.`);
+    return 0;
+  }
+
+  if (mode === "list") {
+    console.log(`⚠️  ${pending.length} of ${pairs.length} translated page(s) need attention:`);
+    for (const p of pending) {
+      console.log(`   - [${p.state}] ${p.targetFile} (source: ${p.sourceFile})`);
+    }
+    console.log("");
+    console.log("   Retranslate stale pages:  node scripts/stale-translations.mjs --retranslate");
+    console.log("   Accept current targets:   node scripts/stale-translations.mjs --accept");
+    return 1;
+  }
+
+  if (mode === "accept") {
+    for (const p of pending) {
+      recordTranslation(lock, p);
+      console.log(`🔒 Accepted ${p.targetFile} (source: ${p.sourceFile})`);
+    }
+    saveLock(lockPath, lock);
+    console.log(`🔒 ${pending.length} page(s) recorded in ${path.basename(lockPath)}.`);
+    return 0;
+  }
+
+  const stale = pending.filter((p) => p.state === "stale");
+  const untracked = pending.length - stale.length;
+  if (untracked) {
+    console.log(`ℹ️  ${untracked} untracked page(s) skipped (no recorded source). Use --accept to record them.`);
+  }
+
+  const tempRoot = path.join(os.tmpdir(), `stale-translations-${Date.now()}-${process.pid}`);
+  const failed = [];
+
+  try {
+    for (const p of stale) {
+      if (retranslate(p, tempRoot)) {
+        recordTranslation(lock, p);
+        saveLock(lockPath, lock);
+      } else {
+        failed.push(p.targetFile);
+      }
+    }
+  } finally {
+    rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log(`🔁 Retranslated ${stale.length - failed.length} of ${stale.length} stale page(s).`);
+  if (failed.length) {
+    console.log("❌ Failed (left unchanged):");
+    for (const f of failed) console.log(`   - ${f}`);
+    return 1;
+  }
+  console.log("   Review the changes and commit them together with translation.lock.json.");
+  return 0;
+}
+
+try {
+  process.exit(main());
+} catch (err) {
+  console.error("❌ stale-translations.mjs failed with error:", err);
+  process.exit(1);
+}
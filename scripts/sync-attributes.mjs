@@ -0,0 +1,198 @@
+// sync-attributes.mjs
+// Copies document attribute lines (:name: value) from a source AsciiDoc file
+// to its translated counterpart, without calling AI. Used by the pre-commit
+// hook for METADATA_ONLY changes (see analyze-changes.mjs).
+//
+// Usage:
+//   node sync-attributes.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> [--direction=<src>-<tgt>]
+//
+// Behavior:
+// - attributes are matched by name (and occurrence, if an attribute is set twice)
+// - changed values are copied, attributes missing in the target are inserted
+//   after the attribute that precedes them in the source, attributes no longer
+//   in the source are removed
+// - :page-lang:, :translation-source: and translatableAttributes (their values
+//   are translated) are left as they are
+// - lines inside verbatim blocks are never touched
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  PIPELINE_ATTRIBUTES,
+  collectVerbatimBlocks,
+  isTranslatableAttribute,
+} from './adoc-blocks.mjs';
+import { directionChoices, langFromPath, loadLanguages, parseDirection } from './languages.mjs';
+
+const LANGUAGES = loadLanguages();
+
+async function loadConfig() {
+  const defaultConfig = {
+    translatableAttributes: DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  };
+
+  try {
+    const raw = await fs.readFile(
+      path.join(process.cwd(), 'translation.config.json'),
+      'utf8'
+    );
+    const parsed = JSON.parse(raw);
+    return {
+      translatableAttributes: parsed.translatableAttributes || defaultConfig.translatableAttributes,
+    };
+  } catch {
+    return defaultConfig;
+  }
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+
+  const positional = args.filter((a) => !a.startsWith('--'));
+  if (positional.length !== 3) {
+    console.error(
+      'Usage:\n' +
+        '  node sync-attributes.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> [--direction=<src>-<tgt>]'
+    );
+    process.exit(1);
+  }
+
+  let direction = '';
+  for (const arg of args.filter((a) => a.startsWith('--'))) {
+    if (arg.startsWith('--direction=')) {
+      direction = arg.split('=')[1] || '';
+    } else {
+      console.error(`Unexpected argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  if (direction) {
+    const parsed = parseDirection(LANGUAGES, direction);
+    if (!parsed) {
+      console.error(`Invalid --direction value: ${direction}. Expected one of: ${directionChoices(LANGUAGES)}.`);
+      process.exit(1);
+    }
+    direction = parsed.direction;
+  }
+
+  const [sourcePath, existingTargetPath, outputPath] = positional;
+  return { sourcePath, existingTargetPath, outputPath, direction };
+}
+
+function detectDirection(sourcePath, targetPath, explicitDirection) {
+  if (explicitDirection) return explicitDirection;
+
+  const sourceLang = langFromPath(LANGUAGES, sourcePath);
+  const targetLang = langFromPath(LANGUAGES, targetPath);
+  if (sourceLang && targetLang && sourceLang !== targetLang) {
+    return `${sourceLang}-${targetLang}`;
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Attribute entries outside verbatim blocks, in document order:
+ * [{ key, name, index }] where key is "name#occurrence".
+ */
+function attributeEntries(lines) {
+  const blocks = collectVerbatimBlocks(lines);
+  const seen = new Map();
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    if (blocks.some((b) => index >= b.contentStart && index <= b.contentEnd)) return;
+
+    // :name: value, :name!: and :!name: (unset)
+    const m = line.match(/^:!?([^:!]+)!?:/);
+    if (!m) return;
+
+    const name = m[1].trim().toLowerCase();
+    const occurrence = seen.get(name) || 0;
+    seen.set(name, occurrence + 1);
+    entries.push({ key: `${name}#${occurrence}`, name, index });
+  });
+
+  return entries;
+}
+
+function documentTitleIndex(lines) {
+  return lines.findIndex((line) => /^=\s+\S/.test(line));
+}
+
+function syncAttributes(sourceContent, targetContent, translatableAttributes) {
+  const sourceLines = sourceContent.split('\n');
+  const targetLines = targetContent.split('\n');
+
+  const isCopied = (entry) =>
+    !PIPELINE_ATTRIBUTES.includes(entry.name) && !isTranslatableAttribute(entry.name, translatableAttributes);
+
+  const sourceTitle = documentTitleIndex(sourceLines);
+  const sourceEntries = attributeEntries(sourceLines);
+  const sourceKeys = new Set(sourceEntries.map((e) => e.key));
+  let changed = 0;
+
+  // 1) Attributes removed from the source (bottom-up, so indexes stay valid)
+  const removed = attributeEntries(targetLines).filter((e) => isCopied(e) && !sourceKeys.has(e.key));
+  for (const entry of removed.reverse()) {
+    console.log(`ℹ️  Removing :${entry.name}: (line ${entry.index + 1})`);
+    targetLines.splice(entry.index, 1);
+    changed += 1;
+  }
+
+  // 2) Changed and added attributes, in source order
+  let previous = null;
+  for (const se of sourceEntries) {
+    const targetEntries = attributeEntries(targetLines);
+    const te = targetEntries.find((e) => e.key === se.key);
+    const sourceLine = sourceLines[se.index];
+
+    if (isCopied(se)) {
+      if (te && targetLines[te.index] !== sourceLine) {
+        targetLines[te.index] = sourceLine;
+        changed += 1;
+      } else if (!te) {
+        const anchor = previous && targetEntries.find((e) => e.key === previous.key);
+        const targetTitle = documentTitleIndex(targetLines);
+        let at = anchor ? anchor.index + 1 : 0;
+        // Below the document title instead, if the title sits between the preceding attribute and this one in the source.
+        const titleBetween = sourceTitle < se.index && sourceTitle > (anchor ? previous.index : -1);
+        if (titleBetween && targetTitle >= at) at = targetTitle + 1;
+        console.log(`ℹ️  Adding :${se.name}: (line ${at + 1})`);
+        targetLines.splice(at, 0, sourceLine);
+        changed += 1;
+      }
+    }
+
+    if (te || isCopied(se)) previous = se;
+  }
+
+  return { content: targetLines.join('\n'), changed };
+}
+
+async function main() {
+  const { sourcePath, existingTargetPath, outputPath, direction } = parseArgs(process.argv);
+  const resolvedDirection = detectDirection(sourcePath, existingTargetPath, direction);
+
+  console.log(`Syncing attributes (${resolvedDirection}) from source to target: ${sourcePath} -> ${existingTargetPath}`);
+
+  const [sourceContent, targetContent] = await Promise.all([
+    fs.readFile(sourcePath, 'utf8'),
+    fs.readFile(existingTargetPath, 'utf8'),
+  ]);
+
+  const config = await loadConfig();
+  const result = syncAttributes(sourceContent, targetContent, config.translatableAttributes);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, result.content, 'utf8');
+
+  console.log(`Attribute sync completed (${result.changed} changed).`);
+}
+
+main().catch((err) => {
+  console.error('Error while syncing attributes:', err);
+  process.exit(1);
+});
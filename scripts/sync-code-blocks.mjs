@@ -7,19 +7,69 @@
 //     node sync-code-blocks.mjs <sourceFile.adoc> <targetFile.adoc>
 //
 //   Temp-output mode:
-//     node sync-code-blocks.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=en-sr|sr-en
+//     node sync-code-blocks.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=<src>-<tgt>
+//     (any pair of languages configured in translation.config.json, e.g. en-sr|sr-en)
 //
-// It copies block contents for:
-// - [source,...] + ---- ... ----
-// - [listing,...] + ---- ... ----
-// - [literal,...] + .... ... ....
-// - [mermaid,...] + .... ... ....
-// - bare ---- ... ---- blocks
-// - bare .... ... .... literal blocks
+// It copies block contents (including the block attribute line above, if any) for
+// the verbatim blocks recognized by adoc-blocks.mjs:
+// - [source,...] / [listing,...] / [mermaid,...] + ---- ... ----
+// - [literal,...] / [mermaid,...] + .... ... ....
+// - bare ---- ... ---- and .... ... .... blocks
 // - ``` ... ``` fenced blocks
+// - ++++ ... ++++ passthrough blocks
+// - //// ... //// comment blocks
+//
+// Source and target blocks are paired by block ID, or else by block type, language,
+// block title and enclosing section (in document order), not by position alone:
+// - a target block without a source counterpart is removed
+// - a new source block is inserted at the matching place of the target, found from
+//   the nearest preceding paired block or heading (blank-line separated paragraphs
+//   in between are counted, so a block added below a paragraph lands below its translation)
+//
+// With features.translateDiagramLabels, Mermaid/PlantUML blocks whose graph is
+// unchanged keep their translated labels. XML/DataWeave blocks with translated
+// comments (code-comments.mjs) get the new code with the translated comments of
+// the target, as long as the number of comment lines is unchanged.
 
 import fs from 'fs/promises';
 import path from 'path';
+import { collectVerbatimBlocks, splitIntoSegments } from './adoc-blocks.mjs';
+import { collectCommentBlocks, findCodeComments, replaceCodeComments, translatesAllComments } from './code-comments.mjs';
+import { collectDiagramBlocks, compareDiagramSkeletons } from './diagram-labels.mjs';
+import { directionChoices, langFromPath, loadLanguages, parseDirection } from './languages.mjs';
+
+const LANGUAGES = loadLanguages();
+
+async function loadConfig() {
+  const defaultConfig = {
+    features: {
+      translateDiagramLabels: false,
+    },
+    codeComments: {
+      targetLanguages: [],
+    },
+  };
+
+  try {
+    const raw = await fs.readFile(
+      path.join(process.cwd(), 'translation.config.json'),
+      'utf8'
+    );
+    const parsed = JSON.parse(raw);
+    return {
+      features: {
+        ...defaultConfig.features,
+        ...(parsed.features || {}),
+      },
+      codeComments: {
+        ...defaultConfig.codeComments,
+        ...(parsed.codeComments || {}),
+      },
+    };
+  } catch {
+    return defaultConfig;
+  }
+}
 
 function parseArgs(argv) {
   const args = argv.slice(2);
@@ -28,7 +78,7 @@ function parseArgs(argv) {
     console.error(
       'Usage:\n' +
         '  node sync-code-blocks.mjs <sourceFile.adoc> <targetFile.adoc>\n' +
-        '  node sync-code-blocks.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=en-sr|sr-en'
+        '  node sync-code-blocks.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=<src>-<tgt>'
     );
     process.exit(1);
   }
@@ -51,9 +101,13 @@ function parseArgs(argv) {
     }
   }
 
-  if (direction && direction !== 'en-sr' && direction !== 'sr-en') {
-    console.error(`Invalid --direction value: ${direction}. Expected en-sr or sr-en.`);
-    process.exit(1);
+  if (direction) {
+    const parsed = parseDirection(LANGUAGES, direction);
+    if (!parsed) {
+      console.error(`Invalid --direction value: ${direction}. Expected one of: ${directionChoices(LANGUAGES)}.`);
+      process.exit(1);
+    }
+    direction = parsed.direction;
   }
 
   return {
@@ -67,130 +121,248 @@ function parseArgs(argv) {
 function detectDirection(sourcePath, targetPath, explicitDirection) {
   if (explicitDirection) return explicitDirection;
 
-  if (sourcePath.startsWith('docs-en/') && targetPath.startsWith('docs-sr/')) {
-    return 'en-sr';
-  }
-  if (sourcePath.startsWith('docs-sr/') && targetPath.startsWith('docs-en/')) {
-    return 'sr-en';
+  const sourceLang = langFromPath(LANGUAGES, sourcePath);
+  const targetLang = langFromPath(LANGUAGES, targetPath);
+  if (sourceLang && targetLang && sourceLang !== targetLang) {
+    return `${sourceLang}-${targetLang}`;
   }
 
   return 'unknown';
 }
 
-function isListingBlockAttributeLine(line) {
+// Lines that belong to the block below them: .Block title and [[id]] anchors.
+function isLeadingLine(line) {
   const trimmed = line.trim();
-  return /^\[(source|listing|literal|mermaid)(%[^\]]+)?(?:,[^\]]*)?\]$/i.test(trimmed);
+  return /^\.[^.\s]/.test(trimmed) || /^\[\[[^\]]+\]\]$/.test(trimmed);
 }
 
-function isBacktickFence(line) {
-  return /^```/.test(line.trim());
+function isHeadingLine(line) {
+  return /^=+\s+\S/.test(line);
 }
 
-function isSupportedDelimiter(line) {
-  const trimmed = line.trim();
-  return trimmed === '----' || trimmed === '....' || isBacktickFence(trimmed);
+/**
+ * Verbatim blocks with what identifies them across languages:
+ * [{ kind, start, end, leadStart, id, language, hasTitle, section }]
+ * - leadStart: first block title/anchor line above the block (start if none)
+ * - id: [source#id,...], [#id], [id=...] or [[id]] ('' if none)
+ * - language: source language, diagram type or fence info ('' if none)
+ * - section: index of the enclosing heading (-1 before the first one)
+ */
+function describeVerbatimBlocks(lines) {
+  const blocks = collectVerbatimBlocks(lines);
+  const inBlock = (idx) => blocks.some((b) => idx >= b.start && idx <= b.end);
+  const headings = lines.map((line, idx) => (isHeadingLine(line) && !inBlock(idx) ? idx : -1)).filter((i) => i !== -1);
+
+  return blocks.map((block) => {
+    let leadStart = block.start;
+    while (leadStart > 0 && isLeadingLine(lines[leadStart - 1])) leadStart -= 1;
+
+    const lead = lines.slice(leadStart, block.start).map((l) => l.trim());
+    const attributes = block.start < block.end && /^\[.*\]$/.test(lines[block.start].trim()) ? lines[block.start].trim() : '';
+    const anchor = lead.map((l) => l.match(/^\[\[([^\],\s]+)/)).find(Boolean);
+    const attributeId = attributes.match(/^\[[^\]]*?#([\w-]+)/) || attributes.match(/\bid=["']?([\w-]+)/);
+
+    const positional = attributes.slice(1, -1).split(',').map((p) => p.replace(/[#.%].*$/, '').trim().toLowerCase());
+    const fence = lines[block.start].trim().match(/^```\s*([\w+-]+)/);
+    const language = fence
+      ? fence[1].toLowerCase()
+      : ['source', 'listing'].includes(positional[0])
+        ? positional[1] || ''
+        : positional[0] === 'literal'
+          ? ''
+          : positional[0] || '';
+
+    return {
+      ...block,
+      leadStart,
+      id: (anchor && anchor[1]) || (attributeId && attributeId[1]) || '',
+      language,
+      hasTitle: lead.some((l) => l.startsWith('.')),
+      section: headings.filter((h) => h < block.start).length - 1,
+    };
+  });
 }
 
-function findClosingDelimiter(lines, startIndex, openerLine) {
-  const openerTrimmed = openerLine.trim();
+function blockText(lines, block) {
+  return lines.slice(block.start, block.end + 1).join('\n');
+}
+
+// 0 if the blocks cannot be the same block, higher is a better match.
+function matchScore(sourceLines, s, targetLines, t) {
+  if (s.kind !== t.kind) return 0;
+  if (s.id || t.id) return s.id === t.id ? 4 : 0;
+  if (s.language !== t.language || s.section !== t.section || s.hasTitle !== t.hasTitle) return 0;
+  return blockText(sourceLines, s) === blockText(targetLines, t) ? 3 : 2;
+}
 
-  if (isBacktickFence(openerTrimmed)) {
-    for (let i = startIndex + 1; i < lines.length; i++) {
-      if (isBacktickFence(lines[i])) {
-        return i;
-      }
+/**
+ * Pairs source and target blocks in order (weighted longest common subsequence).
+ * Returns [[sourceIndex, targetIndex]] in document order.
+ */
+function matchBlocks(sourceLines, sourceBlocks, targetLines, targetBlocks) {
+  const n = sourceBlocks.length;
+  const m = targetBlocks.length;
+  const score = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const w = matchScore(sourceLines, sourceBlocks[i], targetLines, targetBlocks[j]);
+      score[i][j] = Math.max(score[i + 1][j], score[i][j + 1], w ? w + score[i + 1][j + 1] : 0);
     }
-    return -1;
   }
 
-  for (let i = startIndex + 1; i < lines.length; i++) {
-    if (lines[i].trim() === openerTrimmed) {
-      return i;
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    const w = matchScore(sourceLines, sourceBlocks[i], targetLines, targetBlocks[j]);
+    if (w && score[i][j] === w + score[i + 1][j + 1]) {
+      pairs.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (score[i + 1][j] >= score[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
     }
   }
 
-  return -1;
+  return pairs;
 }
 
-function collectProtectedBlockRanges(lines) {
-  const ranges = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const currentLine = lines[i];
-    const nextLine = i + 1 < lines.length ? lines[i + 1] : null;
-
-    if (
-      isListingBlockAttributeLine(currentLine) &&
-      nextLine !== null &&
-      isSupportedDelimiter(nextLine)
-    ) {
-      const closingIndex = findClosingDelimiter(lines, i + 1, nextLine);
-      if (closingIndex !== -1) {
-        ranges.push({
-          start: i,
-          end: closingIndex,
-          type:
-            nextLine.trim() === '....'
-              ? 'literal'
-              : isBacktickFence(nextLine)
-                ? 'fenced'
-                : 'delimited',
-        });
-        i = closingIndex + 1;
-        continue;
-      }
-    }
+// Removes a block (with its title/anchor lines) and the blank line it leaves behind.
+function removeBlock(lines, block) {
+  let end = block.end;
+  const blankBefore = block.leadStart === 0 || lines[block.leadStart - 1].trim() === '';
+  if (blankBefore && end + 1 < lines.length && lines[end + 1].trim() === '') end += 1;
+  lines.splice(block.leadStart, end - block.leadStart + 1);
+}
 
-    if (isSupportedDelimiter(currentLine)) {
-      const closingIndex = findClosingDelimiter(lines, i, currentLine);
-      if (closingIndex !== -1) {
-        ranges.push({
-          start: i,
-          end: closingIndex,
-          type:
-            currentLine.trim() === '....'
-              ? 'literal'
-              : isBacktickFence(currentLine)
-                ? 'fenced'
-                : 'delimited',
-        });
-        i = closingIndex + 1;
-        continue;
-      }
-    }
+/**
+ * Target line index at which a new source block is inserted. The nearest
+ * preceding landmark in the source (a block already present in the target,
+ * or a heading) is located in the target, then as many blank-line separated
+ * segments are skipped as the source has between that landmark and the block.
+ */
+function insertionIndex(sourceLines, sourceBlock, landmark, targetLines, targetLandmarkLine) {
+  const sourceSegments = splitIntoSegments(sourceLines);
+  const targetSegments = splitIntoSegments(targetLines);
+  const segmentEnd = (segments, line) => (line < 0 ? -1 : (segments.find((seg) => line >= seg.start && line <= seg.end) || { end: line }).end);
+
+  const sourceFrom = segmentEnd(sourceSegments, landmark);
+  const skipped = sourceSegments.filter((seg) => seg.start > sourceFrom && seg.start < sourceBlock.leadStart).length;
+
+  const targetFrom = segmentEnd(targetSegments, targetLandmarkLine);
+  const following = targetSegments.filter((seg) => seg.start > targetFrom);
+  if (!skipped) return targetFrom + 1;
+  return (following[skipped - 1] || following[following.length - 1] || { end: targetLines.length - 1 }).end + 1;
+}
 
-    i += 1;
-  }
+function insertBlock(sourceLines, sourceBlock, targetLines, at) {
+  const blockLines = sourceLines.slice(sourceBlock.leadStart, sourceBlock.end + 1);
+  const blankBefore = sourceBlock.leadStart > 0 && sourceLines[sourceBlock.leadStart - 1].trim() === '';
+  const blankAfter = sourceBlock.end + 1 < sourceLines.length && sourceLines[sourceBlock.end + 1].trim() === '';
+
+  const inserted = [
+    ...(blankBefore && at > 0 && targetLines[at - 1].trim() !== '' ? [''] : []),
+    ...blockLines,
+    ...(blankAfter && at < targetLines.length && targetLines[at].trim() !== '' ? [''] : []),
+  ];
+  targetLines.splice(at, 0, ...inserted);
+}
 
-  return ranges;
+// Source block lines with the comment text of the translated target block.
+function withTranslatedComments(sourceBlockLines, targetBlockLines, language) {
+  const translated = findCodeComments(targetBlockLines, language);
+  if (findCodeComments(sourceBlockLines, language).length !== translated.length) return sourceBlockLines;
+  return replaceCodeComments(sourceBlockLines, language, (text, idx) => translated[idx].text);
 }
 
-function syncCodeBlocks(sourceContent, targetContent) {
+function syncCodeBlocks(
+  sourceContent,
+  targetContent,
+  { keepTranslatedDiagrams = false, translateCommentsInAllBlocks = false } = {}
+) {
   const sourceLines = sourceContent.split('\n');
   const targetLines = targetContent.split('\n');
 
-  const sourceRanges = collectProtectedBlockRanges(sourceLines);
-  const targetRanges = collectProtectedBlockRanges(targetLines);
-
-  const rangeCount = Math.min(sourceRanges.length, targetRanges.length);
+  const sourceBlocks = describeVerbatimBlocks(sourceLines);
+  const originalTargetBlocks = describeVerbatimBlocks(targetLines);
+  const pairs = matchBlocks(sourceLines, sourceBlocks, targetLines, originalTargetBlocks);
+  const sourceDiagramStarts = new Set(collectDiagramBlocks(sourceLines).map((block) => block.start));
+  const sourceCommentBlocks = new Map(
+    collectCommentBlocks(sourceLines, { allBlocks: translateCommentsInAllBlocks }).map((block) => [block.start, block])
+  );
 
-  let lineOffset = 0;
+  // 1) Target blocks without a source counterpart (bottom-up, so indexes stay valid)
+  const matchedTargets = new Set(pairs.map(([, t]) => t));
+  for (let t = originalTargetBlocks.length - 1; t >= 0; t--) {
+    if (matchedTargets.has(t)) continue;
+    console.log(`ℹ️  Removing target block ${t + 1} (line ${originalTargetBlocks[t].leadStart + 1}): not in the source.`);
+    removeBlock(targetLines, originalTargetBlocks[t]);
+  }
 
-  for (let r = 0; r < rangeCount; r++) {
-    const sourceRange = sourceRanges[r];
-    const originalTargetRange = targetRanges[r];
+  // 2) Source blocks without a target counterpart, top-down. Afterwards the
+  //    n-th present source block is always the n-th target block.
+  const present = new Set(pairs.map(([s]) => s));
+  const sourceHeadings = sourceLines.map((line, idx) => (isHeadingLine(line) ? idx : -1)).filter((i) => i !== -1);
+
+  sourceBlocks.forEach((block, s) => {
+    if (present.has(s)) return;
+
+    const targetBlocks = describeVerbatimBlocks(targetLines);
+    const previous = [...present].filter((p) => p < s).sort((a, b) => a - b);
+    const previousBlock = previous.length ? sourceBlocks[previous[previous.length - 1]] : null;
+    let landmark = previousBlock ? previousBlock.end : -1;
+    let targetLandmark = previousBlock ? targetBlocks[previous.length - 1].end : -1;
+
+    // A heading between the previous block and this one is a closer landmark,
+    // if the target has the same headings.
+    const targetHeadings = targetLines
+      .map((line, idx) => (isHeadingLine(line) && !targetBlocks.some((b) => idx >= b.start && idx <= b.end) ? idx : -1))
+      .filter((i) => i !== -1);
+    const headings = sourceHeadings.filter((h) => !sourceBlocks.some((b) => h >= b.start && h <= b.end));
+    const heading = headings.filter((h) => h > landmark && h < block.leadStart).pop();
+    if (heading !== undefined && headings.length === targetHeadings.length) {
+      landmark = heading;
+      targetLandmark = targetHeadings[headings.indexOf(heading)];
+    }
 
-    const adjustedTargetStart = originalTargetRange.start + lineOffset;
-    const adjustedTargetEnd = originalTargetRange.end + lineOffset;
+    const at = insertionIndex(sourceLines, block, landmark, targetLines, targetLandmark);
+    console.log(`ℹ️  Inserting source block ${s + 1} (line ${block.leadStart + 1}) at target line ${at + 1}.`);
+    insertBlock(sourceLines, block, targetLines, at);
+    present.add(s);
+  });
 
-    const sourceBlockLines = sourceLines.slice(sourceRange.start, sourceRange.end + 1);
-    const targetBlockLength = adjustedTargetEnd - adjustedTargetStart + 1;
+  // 3) Copy the contents, now block by block
+  const targetBlocks = collectVerbatimBlocks(targetLines);
+  if (targetBlocks.length !== sourceBlocks.length) {
+    console.warn(
+      `⚠️  Block count differs after matching: source=${sourceBlocks.length}, target=${targetBlocks.length}. Target left unchanged.`
+    );
+    return targetContent;
+  }
 
-    if (sourceRange.type !== originalTargetRange.type) {
-      console.warn(
-        `⚠️  Skipping block ${r + 1}: source block type is "${sourceRange.type}", target block type is "${originalTargetRange.type}".`
+  for (let r = sourceBlocks.length - 1; r >= 0; r--) {
+    const sourceRange = sourceBlocks[r];
+    const targetRange = targetBlocks[r];
+    let sourceBlockLines = sourceLines.slice(sourceRange.start, sourceRange.end + 1);
+    const targetBlockLength = targetRange.end - targetRange.start + 1;
+
+    if (sourceCommentBlocks.has(sourceRange.start)) {
+      sourceBlockLines = withTranslatedComments(
+        sourceBlockLines,
+        targetLines.slice(targetRange.start, targetRange.end + 1),
+        sourceCommentBlocks.get(sourceRange.start).language
       );
+    }
+
+    // Diagram labels translated by translate-adoc stay, as long as the graph itself is unchanged.
+    if (
+      keepTranslatedDiagrams &&
+      sourceDiagramStarts.has(sourceRange.start) &&
+      !compareDiagramSkeletons(sourceBlockLines, targetLines.slice(targetRange.start, targetRange.end + 1))
+    ) {
       continue;
     }
 
@@ -200,19 +372,7 @@ function syncCodeBlocks(sourceContent, targetContent) {
       );
     }
 
-    targetLines.splice(
-      adjustedTargetStart,
-      targetBlockLength,
-      ...sourceBlockLines
-    );
-
-    lineOffset += sourceBlockLines.length - targetBlockLength;
-  }
-
-  if (sourceRanges.length !== targetRanges.length) {
-    console.warn(
-      `⚠️  Block count differs: source=${sourceRanges.length}, target=${targetRanges.length}. Synced first ${rangeCount} matching block(s) only.`
-    );
+    targetLines.splice(targetRange.start, targetBlockLength, ...sourceBlockLines);
   }
 
   return targetLines.join('\n');
@@ -241,7 +401,11 @@ async function main() {
     fs.readFile(existingTargetPath, 'utf8'),
   ]);
 
-  const updatedTargetContent = syncCodeBlocks(sourceContent, targetContent);
+  const config = await loadConfig();
+  const updatedTargetContent = syncCodeBlocks(sourceContent, targetContent, {
+    keepTranslatedDiagrams: config.features.translateDiagramLabels,
+    translateCommentsInAllBlocks: translatesAllComments(config, resolvedDirection.split('-')[1]),
+  });
 
   await fs.mkdir(path.dirname(outputPath), { recursive: true });
   await fs.writeFile(outputPath, updatedTargetContent, 'utf8');
@@ -0,0 +1,152 @@
+// sync-reorder.mjs
+// Replays a reorder of paragraphs, list items, sections or delimited blocks of a
+// source AsciiDoc file on its translated counterpart, without calling AI. Used by
+// the pre-commit hook for REORDER_ONLY changes (see analyze-changes.mjs).
+//
+// Usage:
+//   node sync-reorder.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> [--direction=<src>-<tgt>] [--base=<rev>]
+//
+// Behavior:
+// - the permutation of blocks is computed between the source at --base (default
+//   HEAD, the version the target was translated from) and the current source
+// - the target blocks are moved the same way; their translated text stays as it is
+// Exit code 1 if the source is not a pure reorder, or if the target blocks do not
+// line up with the source blocks (the caller then translates the page instead).
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  applyBlockPermutation,
+  blockPermutation,
+  blockShape,
+  splitIntoMovableBlocks,
+} from './adoc-reorder.mjs';
+import { readRevisionContent } from './git-diff.mjs';
+import { directionChoices, langFromPath, loadLanguages, parseDirection } from './languages.mjs';
+
+const LANGUAGES = loadLanguages();
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+
+  const positional = args.filter((a) => !a.startsWith('--'));
+  if (positional.length !== 3) {
+    console.error(
+      'Usage:\n' +
+        '  node sync-reorder.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> [--direction=<src>-<tgt>] [--base=<rev>]'
+    );
+    process.exit(1);
+  }
+
+  let direction = '';
+  let base = 'HEAD';
+
+  for (const arg of args.filter((a) => a.startsWith('--'))) {
+    if (arg.startsWith('--direction=')) {
+      direction = arg.split('=')[1] || '';
+    } else if (arg.startsWith('--base=')) {
+      base = arg.split('=')[1] || 'HEAD';
+    } else {
+      console.error(`Unexpected argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  if (direction) {
+    const parsed = parseDirection(LANGUAGES, direction);
+    if (!parsed) {
+      console.error(`Invalid --direction value: ${direction}. Expected one of: ${directionChoices(LANGUAGES)}.`);
+      process.exit(1);
+    }
+    direction = parsed.direction;
+  }
+
+  const [sourcePath, existingTargetPath, outputPath] = positional;
+  return { sourcePath, existingTargetPath, outputPath, direction, base };
+}
+
+function detectDirection(sourcePath, targetPath, explicitDirection) {
+  if (explicitDirection) return explicitDirection;
+
+  const sourceLang = langFromPath(LANGUAGES, sourcePath);
+  const targetLang = langFromPath(LANGUAGES, targetPath);
+  if (sourceLang && targetLang && sourceLang !== targetLang) {
+    return `${sourceLang}-${targetLang}`;
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Returns { content, moved } or null if the target cannot be reordered safely.
+ */
+function syncReorder(baseSourceContent, sourceContent, targetContent) {
+  const order = blockPermutation(baseSourceContent, sourceContent);
+  if (!order) {
+    console.error('⚠️  The source is not a pure reorder of its previous version.');
+    return null;
+  }
+
+  const baseLines = baseSourceContent.replace(/\r\n/g, '\n').split('\n');
+  const targetLines = targetContent.replace(/\r\n/g, '\n').split('\n');
+  const baseBlocks = splitIntoMovableBlocks(baseLines);
+  const targetBlocks = splitIntoMovableBlocks(targetLines);
+
+  if (baseBlocks.length !== targetBlocks.length) {
+    console.error(
+      `⚠️  Block count differs: source=${baseBlocks.length}, target=${targetBlocks.length}. Cannot replay the reorder.`
+    );
+    return null;
+  }
+
+  const mismatch = baseBlocks.findIndex(
+    (block, idx) => blockShape(baseLines, block) !== blockShape(targetLines, targetBlocks[idx])
+  );
+  if (mismatch !== -1) {
+    console.error(
+      `⚠️  Block #${mismatch + 1} does not line up (source line ${baseBlocks[mismatch].start + 1}: ${blockShape(baseLines, baseBlocks[mismatch])}, ` +
+        `target line ${targetBlocks[mismatch].start + 1}: ${blockShape(targetLines, targetBlocks[mismatch])}). Cannot replay the reorder.`
+    );
+    return null;
+  }
+
+  for (const [to, from] of order.entries()) {
+    if (from !== to) console.log(`ℹ️  Moving block #${from + 1} (target line ${targetBlocks[from].start + 1}) to position #${to + 1}`);
+  }
+
+  return {
+    content: applyBlockPermutation(targetContent, sourceContent, order),
+    moved: order.filter((from, to) => from !== to).length,
+  };
+}
+
+async function main() {
+  const { sourcePath, existingTargetPath, outputPath, direction, base } = parseArgs(process.argv);
+  const resolvedDirection = detectDirection(sourcePath, existingTargetPath, direction);
+
+  console.log(`Syncing block order (${resolvedDirection}) from source to target: ${sourcePath} -> ${existingTargetPath}`);
+
+  const baseSourceContent = readRevisionContent(base, sourcePath);
+  if (baseSourceContent === null) {
+    console.error(`⚠️  ${sourcePath} does not exist at ${base}. Cannot compute the reorder.`);
+    process.exit(1);
+  }
+
+  const [sourceContent, targetContent] = await Promise.all([
+    fs.readFile(sourcePath, 'utf8'),
+    fs.readFile(existingTargetPath, 'utf8'),
+  ]);
+
+  const result = syncReorder(baseSourceContent, sourceContent, targetContent);
+  if (!result) process.exit(1);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, result.content, 'utf8');
+
+  console.log(`Block order sync completed (${result.moved} block(s) moved).`);
+}
+
+main().catch((err) => {
+  console.error('Error while syncing block order:', err);
+  process.exit(1);
+});
@@ -7,19 +7,36 @@
 //     node sync-structure.mjs <sourceFile.adoc> <targetFile.adoc>
 //
 //   Temp-output mode:
-//     node sync-structure.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=en-sr|sr-en
+//     node sync-structure.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=<src>-<tgt>
+//     (any pair of languages configured in translation.config.json, e.g. en-sr|sr-en)
 //
 // Behavior:
 // - Read source and existing target files
-// - Walk line by line (best-effort alignment)
-// - For lines that are headings or list items in both files,
-//   copy the marker part from source to target
+// - Align sections by the heading tree: the n-th heading of the source with the
+//   n-th heading of the target (by section number, e.g. 2.1, if a heading was
+//   added or removed), so line-count drift in one section does not shift the others
+// - Inside a section, align its text lines by ordinal; if their number differs,
+//   align list items, description list items and callouts by ordinal per kind
+// - Copy the structural markup from source to target:
+//   headings (=, ==, ...), list markers (*, **, ., 1., -), checklists (* [x]),
+//   description list markers (term::, term:::, term;;) and callouts (<1>, <.>),
+//   including a paragraph turned into a list item and back
+// - List continuations (+) and lines inside verbatim blocks are never touched
 // - Keep the target-language text as-is
 // - Write the result either back to targetFile (legacy mode)
 //   or to outputTargetFile (temp mode)
 
 import fs from 'fs/promises';
 import path from 'path';
+import {
+  collectVerbatimBlocks,
+  isAttributeLine,
+  isBlockAttributeLine,
+  isCompoundDelimiter,
+} from './adoc-blocks.mjs';
+import { directionChoices, langFromPath, loadLanguages, parseDirection } from './languages.mjs';
+
+const LANGUAGES = loadLanguages();
 
 function parseArgs(argv) {
   const args = argv.slice(2);
@@ -28,7 +45,7 @@ function parseArgs(argv) {
     console.error(
       'Usage:\n' +
       '  node sync-structure.mjs <sourceFile.adoc> <targetFile.adoc>\n' +
-      '  node sync-structure.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=en-sr|sr-en'
+      '  node sync-structure.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --direction=<src>-<tgt>'
     );
     process.exit(1);
   }
@@ -51,9 +68,13 @@ function parseArgs(argv) {
     }
   }
 
-  if (direction && direction !== 'en-sr' && direction !== 'sr-en') {
-    console.error(`Invalid --direction value: ${direction}. Expected en-sr or sr-en.`);
-    process.exit(1);
+  if (direction) {
+    const parsed = parseDirection(LANGUAGES, direction);
+    if (!parsed) {
+      console.error(`Invalid --direction value: ${direction}. Expected one of: ${directionChoices(LANGUAGES)}.`);
+      process.exit(1);
+    }
+    direction = parsed.direction;
   }
 
   return {
@@ -67,57 +88,179 @@ function parseArgs(argv) {
 function detectDirection(sourcePath, targetPath, explicitDirection) {
   if (explicitDirection) return explicitDirection;
 
-  if (sourcePath.startsWith('docs-en/') && targetPath.startsWith('docs-sr/')) {
-    return 'en-sr';
-  }
-  if (sourcePath.startsWith('docs-sr/') && targetPath.startsWith('docs-en/')) {
-    return 'sr-en';
+  const sourceLang = langFromPath(LANGUAGES, sourcePath);
+  const targetLang = langFromPath(LANGUAGES, targetPath);
+  if (sourceLang && targetLang && sourceLang !== targetLang) {
+    return `${sourceLang}-${targetLang}`;
   }
 
   return 'unknown';
 }
 
-function syncStructure(sourceContent, targetContent) {
-  const sourceLines = sourceContent.split('\n');
-  const targetLines = targetContent.split('\n');
+const HEADING_RE = /^(\s*)(=+)(\s+)(.+)$/;
+const CHECKLIST_RE = /^(\s*)([*-]+\s+\[[ xX*]\])(\s+)(.+)$/;
+const LIST_RE = /^(\s*)([*.+0-9#-]+)(\s+)(.+)$/;
+const CALLOUT_RE = /^(\s*)(<(?:\d+|\.)>)(\s+)(.+)$/;
+// term:: description / term:: (description on the next line); macros (image::x[]) have no space after ::
+const DESCRIPTION_RE = /^(\s*)(\S.*?)(:{2,4}|;;)(\s+.*|)$/;
+
+/**
+ * Structural role of a line outside verbatim blocks:
+ * { kind: heading|list|dlist|callout|continuation|text, lead, marker, space, text, term }
+ */
+function parseStructureLine(line) {
+  if (line.trim() === '+') return { kind: 'continuation' };
+
+  let m = line.match(HEADING_RE);
+  if (m) return { kind: 'heading', lead: m[1], marker: m[2], space: m[3], text: m[4] };
+
+  m = line.match(CHECKLIST_RE) || line.match(LIST_RE);
+  if (m && !/^[.+]{4,}$/.test(m[2]) && m[2] !== '+') {
+    return { kind: 'list', lead: m[1], marker: m[2], space: m[3], text: m[4] };
+  }
 
-  const max = Math.min(sourceLines.length, targetLines.length);
+  m = line.match(CALLOUT_RE);
+  if (m) return { kind: 'callout', lead: m[1], marker: m[2], space: m[3], text: m[4] };
 
-  for (let i = 0; i < max; i++) {
-    const sourceLine = sourceLines[i];
-    let targetLine = targetLines[i];
+  m = line.match(DESCRIPTION_RE);
+  if (m && !/^(?:https?|ftp|mailto)$/i.test(m[2])) {
+    return { kind: 'dlist', lead: m[1], term: m[2], marker: m[3], text: m[4] };
+  }
+
+  return { kind: 'text', lead: line.match(/^\s*/)[0], text: line.trim() };
+}
 
-    // Headings: =, ==, === etc.
-    const sourceHeading = sourceLine.match(/^(\s*)(=+)(\s+)(.+)$/);
-    const targetHeading = targetLine.match(/^(\s*)(=+)(\s+)(.+)$/);
+// Lines that carry no structure to sync: blank, attributes, block attributes,
+// anchors, comments, compound delimiters and lines of verbatim blocks.
+function structureLineIndexes(lines) {
+  const verbatim = collectVerbatimBlocks(lines);
+  const inVerbatim = (idx) => verbatim.some((b) => idx >= b.start && idx <= b.end);
 
-    if (sourceHeading && targetHeading) {
-      const [, , sourceMarks] = sourceHeading;
-      const [, targetLead, , targetSpace, targetText] = targetHeading;
+  return lines
+    .map((line, idx) => idx)
+    .filter((idx) => {
+      const trimmed = lines[idx].trim();
+      return (
+        trimmed !== '' &&
+        !inVerbatim(idx) &&
+        !isAttributeLine(trimmed) &&
+        !isBlockAttributeLine(trimmed) &&
+        !isCompoundDelimiter(trimmed) &&
+        !/^\[\[[^\]]+\]\]$/.test(trimmed) &&
+        !trimmed.startsWith('//')
+      );
+    });
+}
+
+/**
+ * Splits the structure lines of a document into sections:
+ * [{ heading, number, items }] where heading is the heading line index (-1 for
+ * the preamble), number the section number ("2.1") and items its other lines.
+ */
+function collectSections(lines) {
+  const sections = [{ heading: -1, number: '', items: [] }];
+  const counters = [];
 
-      // Copy heading markers (=, ==, ===) from source, keep target text
-      targetLine = `${targetLead}${sourceMarks}${targetSpace}${targetText}`;
-      targetLines[i] = targetLine;
-      continue;
+  for (const idx of structureLineIndexes(lines)) {
+    const parsed = parseStructureLine(lines[idx]);
+    if (parsed.kind === 'heading') {
+      const level = parsed.marker.length - 1;
+      counters.length = level + 1;
+      counters[level] = (counters[level] || 0) + 1;
+      sections.push({ heading: idx, number: counters.map((c) => c || 0).join('.'), items: [] });
+    } else {
+      sections[sections.length - 1].items.push(idx);
     }
+  }
+
+  return sections;
+}
 
-    // Lists: *, **, ., .., 1., 2., -, # etc.
-    const sourceList = sourceLine.match(/^(\s*)([*.+0-9#-]+)(\s+)(.+)$/);
-    const targetList = targetLine.match(/^(\s*)([*.+0-9#-]+)(\s+)(.+)$/);
+function alignSections(sourceSections, targetSections) {
+  if (sourceSections.length === targetSections.length) {
+    return sourceSections.map((section, idx) => [section, targetSections[idx]]);
+  }
 
-    if (sourceList && targetList) {
-      const [, , sourceMarker] = sourceList;
-      const [, targetLead, , targetSpace, targetText] = targetList;
+  console.warn(
+    `⚠️  Heading count differs: source=${sourceSections.length - 1}, target=${targetSections.length - 1}. Aligning sections by number.`
+  );
+  return sourceSections
+    .map((section) => [section, targetSections.find((t) => t.number === section.number)])
+    .filter(([, target]) => target);
+}
 
-      // Copy list marker (*, **, 1., etc.) from source, keep target text
-      targetLine = `${targetLead}${sourceMarker}${targetSpace}${targetText}`;
-      targetLines[i] = targetLine;
-      continue;
+// Pairs the lines of two aligned sections: by ordinal, or by ordinal per kind if the counts differ.
+function alignItems(sourceLines, sourceItems, targetLines, targetItems) {
+  if (sourceItems.length === targetItems.length) {
+    return sourceItems.map((idx, i) => [idx, targetItems[i]]);
+  }
+
+  const byKind = (lines, items, kind) => items.filter((idx) => parseStructureLine(lines[idx]).kind === kind);
+  return ['list', 'dlist', 'callout'].flatMap((kind) => {
+    const s = byKind(sourceLines, sourceItems, kind);
+    const t = byKind(targetLines, targetItems, kind);
+    return s.slice(0, Math.min(s.length, t.length)).map((idx, i) => [idx, t[i]]);
+  });
+}
+
+/**
+ * Target line with the structure of the source line, or null to keep it.
+ */
+function applyStructure(sourceLine, targetLine) {
+  const source = parseStructureLine(sourceLine);
+  const target = parseStructureLine(targetLine);
+
+  if (source.kind === 'continuation' || target.kind === 'continuation') return null;
+
+  if (source.kind === 'heading' || target.kind === 'heading') {
+    if (source.kind !== target.kind) return null;
+    return `${target.lead}${source.marker}${target.space}${target.text}`;
+  }
+
+  if (source.kind === 'dlist' || target.kind === 'dlist') {
+    // A term cannot be told apart from its description in plain translated text.
+    if (source.kind !== target.kind) return null;
+    return `${target.lead}${target.term}${source.marker}${target.text}`;
+  }
+
+  if (source.kind === 'text') {
+    return target.kind === 'text' ? null : `${target.lead}${target.text}`;
+  }
+
+  // list or callout marker from the source, text from the target
+  return `${target.lead}${source.marker}${source.space}${target.text}`;
+}
+
+function syncStructure(sourceContent, targetContent) {
+  const sourceLines = sourceContent.split('\n');
+  const targetLines = targetContent.split('\n');
+
+  const sourceSections = collectSections(sourceLines);
+  const targetSections = collectSections(targetLines);
+  let changed = 0;
+
+  const update = (sourceIdx, targetIdx) => {
+    const line = applyStructure(sourceLines[sourceIdx], targetLines[targetIdx]);
+    if (line !== null && line !== targetLines[targetIdx]) {
+      targetLines[targetIdx] = line;
+      changed += 1;
     }
+  };
+
+  for (const [source, target] of alignSections(sourceSections, targetSections)) {
+    if (source.heading !== -1) update(source.heading, target.heading);
 
-    // All other lines stay untouched
+    if (source.items.length !== target.items.length) {
+      console.warn(
+        `⚠️  Section ${source.number || '(preamble)'}: line count differs (source=${source.items.length}, target=${target.items.length}). Aligning list items per kind.`
+      );
+    }
+    for (const [sourceIdx, targetIdx] of alignItems(sourceLines, source.items, targetLines, target.items)) {
+      update(sourceIdx, targetIdx);
+    }
   }
 
+  console.log(`ℹ️  ${changed} structural line(s) updated.`);
   return targetLines.join('\n');
 }
 
@@ -0,0 +1,130 @@
+// sync-targets.mjs
+// Copies link targets or image paths from a source AsciiDoc file to its
+// translated counterpart, without calling AI. Used by the pre-commit hook for
+// LINK_ONLY and IMAGE_ONLY changes (see analyze-changes.mjs).
+//
+// Usage:
+//   node sync-targets.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --kind=link|image [--direction=<src>-<tgt>]
+//
+// Kinds (adoc-references.mjs):
+// - link:  xref targets (xref:page.adoc#id[...], <<id,...>>), link: targets and URLs
+// - image: image paths (image::file.svg[], image:icon.png[])
+//
+// Targets are replaced by position: the n-th target of the page gets the n-th
+// target of the source, the translated text around it stays as it is.
+// Exit code 1 if source and target do not have the same number of targets
+// (the caller then translates the page instead).
+
+import fs from 'fs/promises';
+import path from 'path';
+import { TARGET_KINDS, collectTargets, replaceTargets } from './adoc-references.mjs';
+import { directionChoices, langFromPath, loadLanguages, parseDirection } from './languages.mjs';
+
+const LANGUAGES = loadLanguages();
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const usage =
+    'Usage:\n' +
+    '  node sync-targets.mjs <sourceFile.adoc> <existingTargetFile.adoc> <outputTargetFile.adoc> --kind=link|image [--direction=<src>-<tgt>]';
+
+  const positional = args.filter((a) => !a.startsWith('--'));
+  if (positional.length !== 3) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  let kind = '';
+  let direction = '';
+
+  for (const arg of args.filter((a) => a.startsWith('--'))) {
+    if (arg.startsWith('--kind=')) {
+      kind = arg.split('=')[1] || '';
+    } else if (arg.startsWith('--direction=')) {
+      direction = arg.split('=')[1] || '';
+    } else {
+      console.error(`Unexpected argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  if (!TARGET_KINDS.includes(kind)) {
+    console.error(`Invalid --kind value: ${kind || '(missing)'}. Expected one of: ${TARGET_KINDS.join(', ')}.`);
+    process.exit(1);
+  }
+
+  if (direction) {
+    const parsed = parseDirection(LANGUAGES, direction);
+    if (!parsed) {
+      console.error(`Invalid --direction value: ${direction}. Expected one of: ${directionChoices(LANGUAGES)}.`);
+      process.exit(1);
+    }
+    direction = parsed.direction;
+  }
+
+  const [sourcePath, existingTargetPath, outputPath] = positional;
+  return { sourcePath, existingTargetPath, outputPath, kind, direction };
+}
+
+function detectDirection(sourcePath, targetPath, explicitDirection) {
+  if (explicitDirection) return explicitDirection;
+
+  const sourceLang = langFromPath(LANGUAGES, sourcePath);
+  const targetLang = langFromPath(LANGUAGES, targetPath);
+  if (sourceLang && targetLang && sourceLang !== targetLang) {
+    return `${sourceLang}-${targetLang}`;
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Returns { content, changed } or null if the target count differs.
+ */
+function syncTargets(sourceContent, targetContent, kind) {
+  const sourceTargets = collectTargets(sourceContent, kind);
+  const targetTargets = collectTargets(targetContent, kind);
+
+  if (sourceTargets.length !== targetTargets.length) {
+    console.error(
+      `⚠️  ${kind} target count differs: source=${sourceTargets.length}, target=${targetTargets.length}. Cannot sync by position.`
+    );
+    return null;
+  }
+
+  let changed = 0;
+  const content = replaceTargets(targetContent, targetTargets, (t, i) => {
+    if (t.value !== sourceTargets[i].value) {
+      console.log(`ℹ️  ${kind} #${i + 1} (line ${t.line + 1}): "${t.value}" -> "${sourceTargets[i].value}"`);
+      changed += 1;
+    }
+    return sourceTargets[i].value;
+  });
+
+  return { content, changed };
+}
+
+async function main() {
+  const { sourcePath, existingTargetPath, outputPath, kind, direction } = parseArgs(process.argv);
+  const resolvedDirection = detectDirection(sourcePath, existingTargetPath, direction);
+
+  console.log(`Syncing ${kind} targets (${resolvedDirection}) from source to target: ${sourcePath} -> ${existingTargetPath}`);
+
+  const [sourceContent, targetContent] = await Promise.all([
+    fs.readFile(sourcePath, 'utf8'),
+    fs.readFile(existingTargetPath, 'utf8'),
+  ]);
+
+  const result = syncTargets(sourceContent, targetContent, kind);
+  if (!result) process.exit(1);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, result.content, 'utf8');
+
+  console.log(`${kind} target sync completed (${result.changed} changed).`);
+}
+
+main().catch((err) => {
+  console.error('Error while syncing targets:', err);
+  process.exit(1);
+});
@@ -1,48 +1,132 @@
 // translate-adoc.mjs
-// Translates an AsciiDoc (.adoc) file between English and Serbian (latin alphabet)
-// while preserving all Antora / AsciiDoc structure.
+// Translates an AsciiDoc (.adoc) file between the documentation languages
+// configured in translation.config.json ("languages"), e.g. English and
+// Serbian (latin alphabet), while preserving all Antora / AsciiDoc structure.
 //
 // Supported directions:
-//   --direction=en-sr (default)  -> English (source) to Serbian (target)
-//   --direction=sr-en            -> Serbian (source) to English (target)
+//   --direction=<src>-<tgt>  -> any pair of configured languages
+//                               (default: primary language to the first target, e.g. en-sr)
+//
+// Incremental mode:
+//   --existing=<currentTarget.adoc>  -> reuse the current target page and
+//   retranslate only the segments whose source changed since HEAD
+//   (features.incrementalTranslation in translation.config.json).
+//
+// Translation memory:
+//   Segments already stored in .translation-memory.jsonl are reused verbatim
+//   before any AI call (features.translationMemory in translation.config.json).
+//
+// Glossary:
+//   Entries of translation.glossary.json that occur in the text are appended
+//   to the prompt so terminology stays consistent between pages.
+//
+// Chunking:
+//   Long pages are split at section (==) boundaries into chunks of at most
+//   chunking.maxTokens (estimated) and translated chunk by chunk, up to
+//   chunking.concurrency requests in parallel (features.chunkedTranslation).
+//   Oversized sections are split at blank lines, never inside a table or a
+//   sidebar/example/quote/open block.
+//   An incomplete response for any chunk fails the whole translation.
+//
+// Attributes:
+//   Attribute lines are never sent to the model, except for the attributes in
+//   translatableAttributes (:description:, :keywords:, ...), whose names stay
+//   protected while their values are translated.
+//
+// Code comments:
+//   Comments in [source,xml] / [source,dataweave] blocks are translated in one
+//   extra request for the page languages in codeComments.targetLanguages and for
+//   blocks with the translate-comments role (see code-comments.mjs).
 
 import 'dotenv/config';
 import fs from 'fs/promises';
 import path from 'path';
-import OpenAI from 'openai';
 import {
   appendUsageEntry,
-  extractUsageFromOpenAIResponse,
   getDefaultLedgerPath
 } from './token-ledger.mjs';
+import {
+  createProvider,
+  pickModel,
+  resolveProviderSettings,
+} from './translation-provider.mjs';
+import {
+  buildGlossaryInstructions,
+  findGlossaryEntries,
+  getDefaultGlossaryPath,
+  loadGlossary,
+} from './glossary.mjs';
+import { getDefaultMemoryPath, loadMemory, lookupSegment } from './translation-memory.mjs';
+import { collectDiagramBlocks, diagramLabels, replaceDiagramLabels } from './diagram-labels.mjs';
+import {
+  collectCommentBlocks,
+  findCodeComments,
+  replaceCodeComments,
+  translatesAllComments,
+} from './code-comments.mjs';
+import {
+  DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  collectCompoundBlocks,
+  hasTranslatableLines,
+  inLineProtectedTokens,
+  isAttributeLine,
+  protectCodeAndLiteralBlocks,
+  protectInlineSpans,
+  restoreInlineSpans,
+  restoreProtectedBlocks,
+  segmentText,
+  splitIntoSegments,
+  verifyInlineTokens,
+} from './adoc-blocks.mjs';
+import {
+  directionChoices,
+  formatDirection,
+  langFromPath,
+  languageName,
+  loadLanguages,
+  normalizeLangValue,
+  parseDirection,
+} from './languages.mjs';
+import { getWorkingTreeDiff, readRevisionContent } from './git-diff.mjs';
+import { planIncrementalSegments } from './incremental-segments.mjs';
 
 let __LAST_OUTPUT_PATH__ = null;
+let __GLOSSARY__ = [];
+let __CHUNKING__ = null;
+let __TRANSLATABLE_ATTRIBUTES__ = [];
+const __LANGUAGES__ = loadLanguages();
+
+let __PROVIDER__ = null;
+
+function getProvider() {
+  if (!__PROVIDER__) {
+    __PROVIDER__ = createProvider(resolveProviderSettings());
+  }
+  return __PROVIDER__;
+}
 
 function pickTranslateModel() {
-  const model =
-    (process.env.OPENAI_MODEL_TRANSLATE || '').trim() ||
-    (process.env.OPENAI_MODEL_DEFAULT || '').trim();
+  const settings = resolveProviderSettings();
+  const model = pickModel(settings, 'translate');
 
   if (!model) {
     throw new Error(
-      'Missing OpenAI model configuration. Set OPENAI_MODEL_DEFAULT (and optionally OPENAI_MODEL_TRANSLATE) in .env'
+      'Missing model configuration. Set OPENAI_MODEL_DEFAULT (and optionally OPENAI_MODEL_TRANSLATE) ' +
+      'or TRANSLATION_PROVIDER_MODEL in .env'
     );
   }
 
   if ((process.env.OPENAI_LOG_MODEL || '').trim() === '1') {
-    console.log(`ℹ️  Using OpenAI model (translate): ${model}`);
+    console.log(`ℹ️  Using ${settings.name} model (translate): ${model}`);
   }
 
   return model;
 }
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// System prompts for EN->SR (normal + SAFE)
-const normalInstructionsEnSr = `
-You are a professional technical translator from English to Serbian (latin alphabet).
+// System prompts (normal + SAFE), parametrized by language names from translation.config.json
+function normalInstructions(sourceName, targetName) {
+  return `
+You are a professional technical translator from ${sourceName} to ${targetName}.
 
 You are given an AsciiDoc (.adoc) document used in Antora documentation.
 
@@ -60,14 +144,22 @@ IMPORTANT RULES (MUST FOLLOW):
 - Keep table structure unchanged, only translate the cell text.
 - Do NOT add explanations or comments.
 - Placeholder lines that look like @@PROTECTED_LINE_...@@ must remain EXACTLY unchanged.
+- Inline placeholders that look like @@INLINE_...@@ stand for code, URLs, attributes or macro targets.
+  Keep each of them EXACTLY unchanged and exactly once; move one within its sentence only if the grammar requires it.
+- Inline placeholders that look like @@PROTECTED_CELL_...@@ are table cell separators.
+  Keep each of them EXACTLY unchanged, exactly once and in the same position; translate only the cell text between them.
+- Inline placeholders that look like @@PROTECTED_ATTR_...@@ are attribute names (e.g. :description:).
+  Keep each of them EXACTLY unchanged at the start of its line; translate only the value after it.
 - Keep metadata lines in place if present, but do not invent extra attributes.
 - If you are unsure how to translate a line without changing structure, leave that line unchanged.
 
-Return ONLY the translated AsciiDoc document, same structure, just with Serbian text where appropriate.
+Return ONLY the translated AsciiDoc document, same structure, just with ${targetName} text where appropriate.
 `.trim();
+}
 
-const safeModeInstructionsEnSr = `
-You are a professional technical translator from English to Serbian (latin alphabet) in SAFE MODE.
+function safeModeInstructions(sourceName, targetName) {
+  return `
+You are a professional technical translator from ${sourceName} to ${targetName} in SAFE MODE.
 
 You are given an AsciiDoc (.adoc) document used in Antora documentation.
 
@@ -85,70 +177,68 @@ STRUCTURE PRESERVATION (CRITICAL):
 PROTECTED PLACEHOLDERS (CRITICAL):
 - Placeholder lines that look like @@PROTECTED_LINE_...@@ must remain EXACTLY unchanged.
 - Do not translate them, do not wrap them, do not add punctuation, spaces or comments to them.
+- Inline placeholders that look like @@INLINE_...@@ must remain EXACTLY unchanged, each exactly once, in the same order.
+- Table cell separators that look like @@PROTECTED_CELL_...@@ must remain EXACTLY unchanged, each exactly once, in the same position.
+- Attribute names that look like @@PROTECTED_ATTR_...@@ must remain EXACTLY unchanged at the start of their line; translate only the value after them.
 
 TRANSLATION SCOPE:
 - Translate ONLY human-readable natural language text outside protected placeholders.
-- If translating a sentence would require you to modify any structure, macro, attribute name, code or delimiter, LEAVE THAT PART EXACTLY AS IN THE ORIGINAL ENGLISH.
+- If translating a sentence would require you to modify any structure, macro, attribute name, code or delimiter, LEAVE THAT PART EXACTLY AS IN THE ORIGINAL ${sourceName.toUpperCase()}.
 
 OUTPUT:
 - Return ONLY the translated AsciiDoc document.
 - The output MUST have the same number of lines and the same AsciiDoc structure as the input.
 `.trim();
+}
 
-// System prompts for SR->EN (normal + SAFE)
-const normalInstructionsSrEn = `
-You are a professional technical translator from Serbian (latin alphabet) to English.
-
-You are given an AsciiDoc (.adoc) document used in Antora documentation.
-
-IMPORTANT RULES (MUST FOLLOW):
-- Do NOT change any AsciiDoc syntax or structure.
-- Preserve line order EXACTLY.
-- Do NOT add, remove or reorder lines.
-- Do NOT move headings to another line.
-- Do NOT insert blank lines at the top of the document.
-- Do NOT change heading markup (=, ==, ===, etc.), only translate the text after them.
-- Do NOT change roles, attributes, IDs, anchors, xrefs, include directives or macros.
-- Do NOT change URLs, xrefs, file paths or attribute names.
-- Keep all inline formatting markers (*bold*, _italic_, \`monospace\`) as they are, only translate the human-readable text.
-- Keep lists (-, *, .) and their structure unchanged, only translate the text.
-- Keep table structure unchanged, only translate the cell text.
-- Do NOT add explanations or comments.
-- Placeholder lines that look like @@PROTECTED_LINE_...@@ must remain EXACTLY unchanged.
-- Keep metadata lines in place if present, but do not invent extra attributes.
-- If you are unsure how to translate a line without changing structure, leave that line unchanged.
-
-Return ONLY the translated AsciiDoc document, same structure, just with English text where appropriate.
-`.trim();
-
-const safeModeInstructionsSrEn = `
-You are a professional technical translator from Serbian (latin alphabet) to English in SAFE MODE.
-
-You are given an AsciiDoc (.adoc) document used in Antora documentation.
-
-You MUST obey ALL of the following rules:
-
-STRUCTURE PRESERVATION (CRITICAL):
-- Do NOT change any AsciiDoc syntax or structure.
-- Do NOT change heading markup (=, ==, ===, etc.) at all.
-- Do NOT change roles, attributes, IDs, anchors, xrefs, include directives or macros.
-- Do NOT change or remove any AsciiDoc macros: xref:, include::, image::, etc.
-- Do NOT change attribute line names (:page-...: and similar metadata names).
-- Do NOT change URLs, xrefs targets, file paths or attribute names.
-- Do NOT add, remove or reorder lines.
-
-PROTECTED PLACEHOLDERS (CRITICAL):
-- Placeholder lines that look like @@PROTECTED_LINE_...@@ must remain EXACTLY unchanged.
-- Do not translate them, do not wrap them, do not add punctuation, spaces or comments to them.
+async function loadConfig() {
+  const defaultConfig = {
+    features: {
+      incrementalTranslation: true,
+      translationMemory: true,
+      chunkedTranslation: true,
+      translateDiagramLabels: false,
+    },
+    codeComments: {
+      targetLanguages: [],
+    },
+    chunking: {
+      maxTokens: 2000,
+      concurrency: 1,
+    },
+    translatableAttributes: DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  };
 
-TRANSLATION SCOPE:
-- Translate ONLY human-readable natural language text outside protected placeholders.
-- If translating a sentence would require you to modify any structure, macro, attribute name, code or delimiter, LEAVE THAT PART EXACTLY AS IN THE ORIGINAL SERBIAN.
+  try {
+    const raw = await fs.readFile(
+      path.join(process.cwd(), 'translation.config.json'),
+      'utf8'
+    );
+    const parsed = JSON.parse(raw);
+    return {
+      ...defaultConfig,
+      ...parsed,
+      features: {
+        ...defaultConfig.features,
+        ...(parsed.features || {}),
+      },
+      chunking: {
+        ...defaultConfig.chunking,
+        ...(parsed.chunking || {}),
+      },
+    };
+  } catch {
+    return defaultConfig;
+  }
+}
 
-OUTPUT:
-- Return ONLY the translated AsciiDoc document.
-- The output MUST have the same number of lines and the same AsciiDoc structure as the input.
-`.trim();
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
 
 function safeJsonStringify(value) {
   try {
@@ -158,10 +248,6 @@ function safeJsonStringify(value) {
   }
 }
 
-function escapeRegExp(value) {
-  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 function createSpinner(message) {
   const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   let i = 0;
@@ -185,172 +271,15 @@ function extractAttrValue(text, attrName) {
   return m ? (m[1] || '').trim().toLowerCase() : '';
 }
 
-function folderLangFromPath(filePath) {
-  if (filePath.startsWith('docs-en/')) return 'en';
-  if (filePath.startsWith('docs-sr/')) return 'sr';
-  return '';
-}
-
 function getSourceTranslationSource(adocText, inputPath) {
-  const fromAttr = extractAttrValue(adocText, 'translation-source');
-  if (fromAttr === 'en' || fromAttr === 'sr') return fromAttr;
-
-  const fallback = folderLangFromPath(inputPath);
-  if (fallback === 'en' || fallback === 'sr') return fallback;
+  const fromAttr = normalizeLangValue(__LANGUAGES__, extractAttrValue(adocText, 'translation-source'));
+  if (fromAttr) return fromAttr;
 
-  return '';
+  return langFromPath(__LANGUAGES__, inputPath);
 }
 
 function getTargetPageLang(direction) {
-  return direction === 'sr-en' ? 'en' : 'sr';
-}
-
-function isListingBlockAttributeLine(line) {
-  const trimmed = line.trim();
-  return /^\[(source|listing|literal)(%[^\]]+)?(?:,[^\]]*)?\]$/i.test(trimmed);
-}
-
-function isBacktickFence(line) {
-  return /^```/.test(line.trim());
-}
-
-function isProtectedDelimiter(line) {
-  const trimmed = line.trim();
-  return trimmed === '----' || trimmed === '....' || isBacktickFence(trimmed);
-}
-
-function isAttributeLine(line) {
-  return /^:[^:]+:\s*.*$/i.test(line.trim());
-}
-
-function isMacroOnlyLine(line) {
-  const trimmed = line.trim();
-  return (
-    trimmed.startsWith('include::') ||
-    trimmed.startsWith('xref:') ||
-    trimmed.startsWith('image::')
-  );
-}
-
-function isAnchorLine(line) {
-  const trimmed = line.trim();
-  return /^$begin:math:display$\\\[\[\^$end:math:display$]+\]\]$/.test(trimmed);
-}
-
-function isProtectedSingleLine(line) {
-  return (
-    isAttributeLine(line) ||
-    isMacroOnlyLine(line) ||
-    isAnchorLine(line)
-  );
-}
-
-function findClosingDelimiter(lines, startIndex, openerLine) {
-  const openerTrimmed = openerLine.trim();
-
-  if (isBacktickFence(openerTrimmed)) {
-    for (let i = startIndex + 1; i < lines.length; i++) {
-      if (isBacktickFence(lines[i])) {
-        return i;
-      }
-    }
-    return -1;
-  }
-
-  for (let i = startIndex + 1; i < lines.length; i++) {
-    if (lines[i].trim() === openerTrimmed) {
-      return i;
-    }
-  }
-
-  return -1;
-}
-
-/**
- * Protect code/literal/listing blocks before sending the document to the model.
- * Each protected line is replaced by a unique placeholder line to preserve line count.
- *
- * Extended with protection for single-line non-translatable regions:
- * - attribute lines
- * - macro-only lines
- * - anchor lines
- */
-function protectCodeAndLiteralBlocks(adocText) {
-  const lines = adocText.split('\n');
-  const protectedLines = new Map();
-  const outputLines = [];
-
-  let protectedCounter = 0;
-
-  const nextToken = () => {
-    protectedCounter += 1;
-    return `@@PROTECTED_LINE_${String(protectedCounter).padStart(6, '0')}@@`;
-  };
-
-  let i = 0;
-  while (i < lines.length) {
-    const currentLine = lines[i];
-    const nextLine = i + 1 < lines.length ? lines[i + 1] : null;
-
-    if (
-      isListingBlockAttributeLine(currentLine) &&
-      nextLine !== null &&
-      isProtectedDelimiter(nextLine)
-    ) {
-      const closingIndex = findClosingDelimiter(lines, i + 1, nextLine);
-
-      if (closingIndex !== -1) {
-        for (let j = i; j <= closingIndex; j++) {
-          const token = nextToken();
-          protectedLines.set(token, lines[j]);
-          outputLines.push(token);
-        }
-        i = closingIndex + 1;
-        continue;
-      }
-    }
-
-    if (isProtectedDelimiter(currentLine)) {
-      const closingIndex = findClosingDelimiter(lines, i, currentLine);
-
-      if (closingIndex !== -1) {
-        for (let j = i; j <= closingIndex; j++) {
-          const token = nextToken();
-          protectedLines.set(token, lines[j]);
-          outputLines.push(token);
-        }
-        i = closingIndex + 1;
-        continue;
-      }
-    }
-
-    if (isProtectedSingleLine(currentLine)) {
-      const token = nextToken();
-      protectedLines.set(token, currentLine);
-      outputLines.push(token);
-      i += 1;
-      continue;
-    }
-
-    outputLines.push(currentLine);
-    i += 1;
-  }
-
-  return {
-    protectedText: outputLines.join('\n'),
-    protectedLines,
-  };
-}
-
-function restoreProtectedBlocks(translatedText, protectedLines) {
-  let restored = translatedText;
-
-  for (const [token, originalLine] of protectedLines.entries()) {
-    const tokenRegex = new RegExp(`^${escapeRegExp(token)}$`, 'gm');
-    restored = restored.replace(tokenRegex, originalLine);
-  }
-
-  return restored;
+  return direction.split('-')[1];
 }
 
 function collapseExactDuplicatedDocument(text) {
@@ -382,46 +311,6 @@ function collapseExactDuplicatedDocument(text) {
   return text;
 }
 
-function collectOutputTextFromResponse(response) {
-  if (typeof response?.output_text === 'string' && response.output_text.trim()) {
-    return response.output_text;
-  }
-
-  const parts = [];
-
-  if (Array.isArray(response?.output)) {
-    for (const outputItem of response.output) {
-      if (!Array.isArray(outputItem?.content)) continue;
-
-      for (const contentItem of outputItem.content) {
-        if (
-          contentItem?.type === 'output_text' &&
-          typeof contentItem?.text === 'string' &&
-          contentItem.text.trim()
-        ) {
-          parts.push(contentItem.text);
-          continue;
-        }
-
-        if (typeof contentItem?.text === 'string' && contentItem.text.trim()) {
-          parts.push(contentItem.text);
-          continue;
-        }
-
-        if (
-          typeof contentItem?.text?.value === 'string' &&
-          contentItem.text.value.trim()
-        ) {
-          parts.push(contentItem.text.value);
-        }
-      }
-    }
-  }
-
-  const combined = parts.join('');
-  return combined.trim() ? combined : '';
-}
-
 function upsertSingleLineAttr(lines, attrName, attrValue) {
   const attrRe = new RegExp(`^:${attrName}:\\s*.*$`, 'i');
   const newLine = `:${attrName}: ${attrValue}`;
@@ -461,7 +350,7 @@ function normalizeMetadata(adocText, direction, translationSource) {
   lines = removeLegacyPrimaryLang(lines);
   lines = upsertSingleLineAttr(lines, 'page-lang', targetPageLang);
 
-  if (translationSource === 'en' || translationSource === 'sr') {
+  if (translationSource) {
     lines = upsertSingleLineAttr(lines, 'translation-source', translationSource);
   }
 
@@ -585,35 +474,66 @@ function attemptCheapStructuralRepair(sourceText, translatedText, direction, tra
   return result;
 }
 
+function pickInstructions(direction, isSafeMode) {
+  const [srcLang, tgtLang] = direction.split('-');
+  const sourceName = languageName(__LANGUAGES__, srcLang);
+  const targetName = languageName(__LANGUAGES__, tgtLang);
+
+  return isSafeMode
+    ? safeModeInstructions(sourceName, targetName)
+    : normalInstructions(sourceName, targetName);
+}
+
 /**
- * Translate full AsciiDoc content.
- * @param {string} adocText - Original AsciiDoc content
- * @param {boolean} isSafeMode - Whether to use SAFE MODE instructions
- * @param {'en-sr'|'sr-en'} direction - translation direction
- * @param {string} translationSource - source of truth for the page pair
- * @param {string} inputPath - source file path, used for CLI feedback
+ * Base instructions for the direction/mode, extended with the glossary entries
+ * relevant to the text that is about to be translated.
  */
-async function translateAdocContent(adocText, isSafeMode, direction, translationSource, inputPath) {
-  let instructions;
-  if (direction === 'sr-en') {
-    instructions = isSafeMode ? safeModeInstructionsSrEn : normalInstructionsSrEn;
-  } else {
-    instructions = isSafeMode ? safeModeInstructionsEnSr : normalInstructionsEnSr;
-  }
+function buildInstructions(direction, isSafeMode, text) {
+  const instructions = pickInstructions(direction, isSafeMode);
+  const [srcLang, tgtLang] = direction.split('-');
+
+  const glossarySection = buildGlossaryInstructions(
+    findGlossaryEntries(__GLOSSARY__, text, srcLang),
+    srcLang,
+    tgtLang
+  );
+
+  return glossarySection ? `${instructions}\n\n${glossarySection}` : instructions;
+}
 
-  const { protectedText, protectedLines } = protectCodeAndLiteralBlocks(adocText);
+/**
+ * Sends already protected text to the model and returns the raw translated text
+ * (placeholders are NOT restored here).
+ * An incomplete response is always an error: partial output is never accepted.
+ * @param {string} protectedText - text with protected placeholders
+ * @param {string} instructions - system instructions for the model
+ * @param {object} context - { direction, isSafeMode, inputPath, incremental, label, quiet }
+ *   label: optional progress label (e.g. "chunk 2/5")
+ *   quiet: log plain start/finish lines instead of a spinner (parallel requests)
+ */
+async function requestTranslation(protectedText, instructions, context) {
+  const { direction, isSafeMode, inputPath, incremental = false, label = '', quiet = false } = context;
+  const provider = getProvider();
   const model = pickTranslateModel();
+  const progressMessage = `Translating ${path.basename(inputPath)}${label ? ` (${label})` : ''}...`;
 
   let stopSpinner = null;
-  let response;
+  let result;
 
   try {
-    stopSpinner = createSpinner(`Translating ${path.basename(inputPath)}...`);
+    if (quiet) {
+      console.log(`⏳ ${progressMessage}`);
+      stopSpinner = () => console.log(`✔ ${progressMessage}`);
+    } else {
+      stopSpinner = createSpinner(progressMessage);
+    }
 
-    response = await client.responses.create({
+    result = await provider.complete({
+      task: 'translate',
       model,
       instructions,
       input: protectedText,
+      targetLang: getTargetPageLang(direction),
     });
   } finally {
     if (typeof stopSpinner === 'function') {
@@ -622,14 +542,16 @@ async function translateAdocContent(adocText, isSafeMode, direction, translation
   }
 
   try {
-    const usage = extractUsageFromOpenAIResponse(response);
+    const usage = result.usage;
     if (globalThis.__TOKEN_LEDGER_PATH__) {
       await appendUsageEntry(globalThis.__TOKEN_LEDGER_PATH__, {
         ts: new Date().toISOString(),
         script: 'translate-adoc',
+        provider: provider.name,
         model,
         direction,
         safeMode: isSafeMode,
+        incremental,
         prompt: usage.prompt,
         completion: usage.completion,
         total: usage.total,
@@ -639,54 +561,86 @@ async function translateAdocContent(adocText, isSafeMode, direction, translation
     // ignore usage logging errors
   }
 
-  if (response?.error) {
-    throw new Error(`OpenAI API error: ${safeJsonStringify(response.error)}`);
+  if (result.error) {
+    throw new Error(`Provider API error (${provider.name}): ${safeJsonStringify(result.error)}`);
   }
 
-  if (response?.status && response.status !== 'completed') {
+  if (result.status !== 'completed') {
     const statusDetails = [];
-    statusDetails.push(`status=${response.status}`);
-
-    if (response?.incomplete_details) {
-      statusDetails.push(`incomplete_details=${safeJsonStringify(response.incomplete_details)}`);
-    }
+    statusDetails.push(`status=${result.status}`);
 
-    if (response?.last_error) {
-      statusDetails.push(`last_error=${safeJsonStringify(response.last_error)}`);
+    if (result.incompleteDetails) {
+      statusDetails.push(`incomplete_details=${safeJsonStringify(result.incompleteDetails)}`);
     }
 
-    const maybeTranslated = collectOutputTextFromResponse(response);
-    if (maybeTranslated) {
-      let restored = restoreProtectedBlocks(maybeTranslated, protectedLines);
-      restored = collapseExactDuplicatedDocument(restored);
-      restored = normalizeTopOfFileStructure(adocText, restored, direction, translationSource);
-      restored = attemptCheapStructuralRepair(adocText, restored, direction, translationSource);
-      return restored;
+    if (result.raw?.last_error) {
+      statusDetails.push(`last_error=${safeJsonStringify(result.raw.last_error)}`);
     }
 
     if ((process.env.OPENAI_DEBUG_TRANSLATION || '').trim() === '1') {
-      console.error('OpenAI raw response (non-completed):');
-      console.error(safeJsonStringify(response));
+      console.error(`Provider raw response (${provider.name}, non-completed):`);
+      console.error(safeJsonStringify(result.raw));
     }
 
-    throw new Error(`OpenAI response not completed: ${statusDetails.join(' | ')}`);
+    const hint = result.status === 'incomplete'
+      ? ' Partial output is discarded; lower chunking.maxTokens in translation.config.json if the output limit was hit.'
+      : '';
+
+    throw new Error(`Provider response not completed (${provider.name}): ${statusDetails.join(' | ')}.${hint}`);
   }
 
-  const translated = collectOutputTextFromResponse(response);
+  const translated = result.text;
 
   if (!translated) {
     if ((process.env.OPENAI_DEBUG_TRANSLATION || '').trim() === '1') {
-      console.error('OpenAI raw response (missing translated text):');
-      console.error(safeJsonStringify(response));
+      console.error(`Provider raw response (${provider.name}, missing translated text):`);
+      console.error(safeJsonStringify(result.raw));
     }
 
     throw new Error(
-      'Unexpected OpenAI response format: missing translated text. ' +
+      `Unexpected ${provider.name} response format: missing translated text. ` +
       'Set OPENAI_DEBUG_TRANSLATION=1 to inspect the raw response.'
     );
   }
 
-  let restored = restoreProtectedBlocks(translated, protectedLines);
+  return translated;
+}
+
+/**
+ * Translate full AsciiDoc content.
+ * Segments found in the translation memory are reused verbatim; if there is at
+ * least one memory hit, only the remaining segments are sent to the model.
+ * @param {string} adocText - Original AsciiDoc content
+ * @param {boolean} isSafeMode - Whether to use SAFE MODE instructions
+ * @param {string} direction - translation direction ('<src>-<tgt>', e.g. 'en-sr')
+ * @param {string} translationSource - source of truth for the page pair
+ * @param {string} inputPath - source file path, used for CLI feedback
+ * @param {object|null} memory - loaded translation memory (or null)
+ */
+async function translateAdocContent(adocText, isSafeMode, direction, translationSource, inputPath, memory) {
+  if (memory) {
+    const newLines = adocText.split('\n');
+    const plan = splitIntoSegments(newLines).map((segment) => ({ segment, reuse: null }));
+    const memoryHits = fillPlanFromMemory(plan, newLines, direction, memory);
+
+    if (memoryHits > 0) {
+      console.log(`🧠 Translation memory: ${memoryHits} segment(s) reused, translating the rest segment by segment.`);
+      const segmented = await translatePendingSegments(plan, newLines, isSafeMode, direction, inputPath);
+      if (segmented) {
+        return finalizeSegmentPlan(plan, newLines, adocText, direction, translationSource);
+      }
+    }
+  }
+
+  const protection = protectForTranslation(adocText);
+
+  const translated = await translateProtectedInChunks(protection, {
+    direction,
+    isSafeMode,
+    inputPath,
+  });
+
+  let restored = restoreTranslation(translated, protection);
   restored = collapseExactDuplicatedDocument(restored);
   restored = normalizeTopOfFileStructure(adocText, restored, direction, translationSource);
   restored = attemptCheapStructuralRepair(adocText, restored, direction, translationSource);
@@ -694,47 +648,619 @@ async function translateAdocContent(adocText, isSafeMode, direction, translation
   return restored;
 }
 
+// ---------- Text inside verbatim blocks (diagram labels, code comments) ----------
+
+function parseLabelResponse(text, expectedCount, forbidden) {
+  const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== expectedCount) return null;
+  if (parsed.some((label) => typeof label !== 'string' || forbidden.test(label))) return null;
+  return parsed;
+}
+
 /**
- * Fallback output path if not provided: input + ".sr.adoc" (for en-sr),
- * or input + ".en.adoc" (for sr-en).
+ * Translates short texts (labels, comment lines) inside verbatim blocks of the
+ * translated page that are still identical to their source block, in one request
+ * with a JSON array of the distinct texts.
+ * collectBlocks(lines) -> blocks with contentStart/contentEnd, paired with the source by position
+ * findTexts(contentLines, block) -> texts to translate
+ * replaceTexts(contentLines, block, translate) -> new content lines
+ * forbidden: characters a translated text must not contain.
+ * Returns { text, textCount, blockCount }.
+ */
+async function translateVerbatimBlockTexts(sourceText, translatedText, options) {
+  const { collectBlocks, findTexts, replaceTexts, instructions, forbidden, invalidMessage, what, direction, inputPath } =
+    options;
+  const sourceLines = sourceText.split('\n');
+  const targetLines = translatedText.split('\n');
+  const sourceBlocks = collectBlocks(sourceLines);
+  const targetBlocks = collectBlocks(targetLines);
+
+  if (!sourceBlocks.length || sourceBlocks.length !== targetBlocks.length) {
+    return { text: translatedText, textCount: 0, blockCount: 0 };
+  }
+
+  const blockContent = (lines, block) => lines.slice(block.contentStart, block.contentEnd + 1);
+  const pendingBlocks = targetBlocks.filter(
+    (block, idx) => blockContent(targetLines, block).join('\n') === blockContent(sourceLines, sourceBlocks[idx]).join('\n')
+  );
+
+  const pending = [...new Set(pendingBlocks.flatMap((block) => findTexts(blockContent(targetLines, block), block)))];
+  const translations = new Map();
+
+  if (pending.length) {
+    const response = await requestTranslation(JSON.stringify(pending), instructions, {
+      direction,
+      isSafeMode: false,
+      inputPath,
+      label: `${pending.length} ${what}`,
+    });
+
+    const translatedTexts = parseLabelResponse(response, pending.length, forbidden);
+    if (!translatedTexts) throw new Error(invalidMessage);
+    pending.forEach((text, idx) => translations.set(text, translatedTexts[idx]));
+  }
+
+  // Replace bottom-up so line indexes of earlier blocks stay valid.
+  for (const block of [...pendingBlocks].reverse()) {
+    const replaced = replaceTexts(blockContent(targetLines, block), block, (text) => translations.get(text) ?? text);
+    targetLines.splice(block.contentStart, replaced.length, ...replaced);
+  }
+
+  return { text: targetLines.join('\n'), textCount: pending.length, blockCount: pendingBlocks.length };
+}
+
+// ---------- Diagram labels (opt-in: features.translateDiagramLabels) ----------
+
+function diagramLabelInstructions(direction) {
+  const [srcLang, tgtLang] = direction.split('-');
+  return `
+You translate labels of Mermaid/PlantUML diagrams from ${languageName(__LANGUAGES__, srcLang)} to ${languageName(__LANGUAGES__, tgtLang)}.
+
+The input is a JSON array of strings. Return ONLY a JSON array with the translated strings,
+same length and same order.
+- Keep escape sequences such as \\n exactly as they are.
+- Never add double quotes to a label.
+- Keep product names, acronyms and file names unchanged.
+`.trim();
+}
+
+/**
+ * Translates quoted node/edge labels of diagram blocks that are still verbatim
+ * copies of the source (already translated diagrams are kept as they are).
+ * Identifiers, arrows and directives are never sent to the model.
+ */
+async function translateDiagramLabelsInDocument(sourceText, translatedText, direction, inputPath) {
+  const result = await translateVerbatimBlockTexts(sourceText, translatedText, {
+    collectBlocks: collectDiagramBlocks,
+    findTexts: (contentLines) => diagramLabels(contentLines),
+    replaceTexts: (contentLines, block, translate) => replaceDiagramLabels(contentLines, translate),
+    instructions: diagramLabelInstructions(direction),
+    forbidden: /["\n]/,
+    invalidMessage: 'Diagram label translation returned an invalid JSON array (wrong length, quotes or line breaks).',
+    what: 'diagram label(s)',
+    direction,
+    inputPath,
+  });
+
+  if (result.blockCount) {
+    console.log(`📊 Diagram labels: ${result.textCount} label(s) in ${result.blockCount} diagram(s) translated.`);
+  }
+  return result.text;
+}
+
+// ---------- Placeholder protection ----------
+
+/**
+ * Protects whole lines (code blocks, attributes, macro-only lines) and then
+ * inline spans (monospace, URLs, attribute references, macro targets, passthroughs).
+ * Attributes from translatableAttributes keep only their name protected.
+ */
+function protectForTranslation(text) {
+  const lineProtection = protectCodeAndLiteralBlocks(text, { translatableAttributes: __TRANSLATABLE_ATTRIBUTES__ });
+  const { protectedText, inlineTokens } = protectInlineSpans(lineProtection.protectedText);
+  return { protectedText, protectedLines: lineProtection.protectedLines, inlineTokens };
+}
+
+// Original text of a protected fragment (used to pick glossary entries for the prompt).
+function unprotectForPrompt(text, protection) {
+  return restoreProtectedBlocks(restoreInlineSpans(text, protection.inlineTokens), protection.protectedLines);
+}
+
+/**
+ * Restores all placeholders in a model response. Throws if any inline token
+ * (inline span or table cell separator) was dropped, duplicated or invented by the model.
+ */
+function restoreTranslation(translated, protection) {
+  const problems = verifyInlineTokens(
+    translated,
+    new Map([...protection.inlineTokens, ...inLineProtectedTokens(protection.protectedLines)])
+  );
+  if (problems.length) {
+    throw new Error(`Inline placeholders were not preserved by the model:\n  - ${problems.join('\n  - ')}`);
+  }
+  return unprotectForPrompt(translated, protection);
+}
+
+// ---------- Chunked translation (long pages) ----------
+
+const SECTION_HEADING_RE = /^={2,6}\s+\S/;
+
+const chunkInstructionsSuffix = `
+CHUNKED INPUT:
+- The input is one consecutive part of a longer document, cut at a section or paragraph boundary.
+- Translate it as it is. Do NOT add a document title, metadata or text that belongs to other parts.
+`.trim();
+
+// Rough estimate (about 4 characters per token), good enough for budgeting requests.
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function chunkingOptions() {
+  const chunking = __CHUNKING__ || {};
+  return {
+    enabled: chunking.enabled !== false,
+    maxTokens: Math.max(1, Number(chunking.maxTokens) || 2000),
+    concurrency: Math.max(1, Math.floor(Number(chunking.concurrency) || 1)),
+  };
+}
+
+/**
+ * Greedily packs consecutive items into batches whose estimated size stays
+ * within maxTokens. An item larger than the budget gets a batch of its own.
+ */
+function packByBudget(items, sizeOf, maxTokens) {
+  const batches = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const item of items) {
+    const size = sizeOf(item);
+    if (current.length && currentSize + size > maxTokens) {
+      batches.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(item);
+    currentSize += size;
+  }
+
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+/**
+ * Splits lines into chunks of { start, end } (0-based, inclusive):
+ * - units are sections starting at a heading of level 2 or deeper
+ * - a section larger than the budget is split further at blank lines outside
+ *   tables and sidebar/example/quote/open blocks, so no chunk gets half a block
+ * - consecutive units are packed together while they fit into maxTokens
+ * blockLines: the unprotected lines (same line count), used to find the blocks.
+ */
+function planSectionChunks(lines, maxTokens, blockLines = lines) {
+  const rangeSize = (range) => estimateTokens(lines.slice(range.start, range.end + 1).join('\n'));
+  const compoundBlocks = collectCompoundBlocks(blockLines);
+  const insideCompoundBlock = (idx) => compoundBlocks.some((block) => idx > block.start && idx < block.end);
+
+  const starts = [0];
+  for (let i = 1; i < lines.length; i++) {
+    if (SECTION_HEADING_RE.test(lines[i])) starts.push(i);
+  }
+
+  const units = [];
+  starts.forEach((start, k) => {
+    const section = { start, end: (k + 1 < starts.length ? starts[k + 1] : lines.length) - 1 };
+
+    if (rangeSize(section) <= maxTokens) {
+      units.push(section);
+      return;
+    }
+
+    let pieceStart = section.start;
+    for (let i = section.start; i <= section.end; i++) {
+      if ((lines[i].trim() === '' && !insideCompoundBlock(i)) || i === section.end) {
+        units.push({ start: pieceStart, end: i });
+        pieceStart = i + 1;
+      }
+    }
+  });
+
+  return packByBudget(units, rangeSize, maxTokens).map((batch) => ({
+    start: batch[0].start,
+    end: batch[batch.length - 1].end,
+  }));
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await worker(items[idx], idx);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+function countEdgeBlankLines(lines) {
+  let leading = 0;
+  while (leading < lines.length && lines[leading].trim() === '') leading += 1;
+
+  let trailing = 0;
+  while (trailing < lines.length - leading && lines[lines.length - 1 - trailing].trim() === '') trailing += 1;
+
+  return { leading, trailing };
+}
+
+// Models tend to trim blank lines at the edges of a chunk; restore the source layout.
+function alignChunkEdges(translatedChunk, sourceChunk) {
+  const sourceEdges = countEdgeBlankLines(sourceChunk.split('\n'));
+  const translatedLines = translatedChunk.replace(/\r\n/g, '\n').split('\n');
+  const translatedEdges = countEdgeBlankLines(translatedLines);
+
+  const body = translatedLines.slice(
+    translatedEdges.leading,
+    translatedLines.length - translatedEdges.trailing
+  );
+
+  return [
+    ...new Array(sourceEdges.leading).fill(''),
+    ...body,
+    ...new Array(sourceEdges.trailing).fill(''),
+  ].join('\n');
+}
+
+/**
+ * Translates protected text in one request, or chunk by chunk when it exceeds
+ * the chunking budget. Returns the raw translated text (placeholders are NOT
+ * restored). Any failed or incomplete chunk fails the whole translation.
+ */
+async function translateProtectedInChunks(protection, context) {
+  const { direction, isSafeMode } = context;
+  const { protectedText } = protection;
+  const { enabled, maxTokens, concurrency } = chunkingOptions();
+  const lines = protectedText.split('\n');
+  const chunks = enabled
+    ? planSectionChunks(lines, maxTokens, restoreProtectedBlocks(protectedText, protection.protectedLines).split('\n'))
+    : [{ start: 0, end: lines.length - 1 }];
+
+  if (chunks.length === 1) {
+    const instructions = buildInstructions(direction, isSafeMode, unprotectForPrompt(protectedText, protection));
+    return requestTranslation(protectedText, instructions, context);
+  }
+
+  console.log(
+    `✂️  Chunked translation: ${chunks.length} chunk(s) of up to ~${maxTokens} tokens, ` +
+    `concurrency ${Math.min(concurrency, chunks.length)}.`
+  );
+
+  const translatedChunks = await mapWithConcurrency(chunks, concurrency, async (chunk, idx) => {
+    const label = `chunk ${idx + 1}/${chunks.length}`;
+    const chunkText = lines.slice(chunk.start, chunk.end + 1).join('\n');
+    const instructions =
+      `${buildInstructions(direction, isSafeMode, unprotectForPrompt(chunkText, protection))}\n\n${chunkInstructionsSuffix}`;
+
+    try {
+      const translated = await requestTranslation(chunkText, instructions, {
+        ...context,
+        label,
+        quiet: concurrency > 1,
+      });
+      return alignChunkEdges(translated, chunkText);
+    } catch (err) {
+      throw new Error(`Translation of ${label} (lines ${chunk.start + 1}-${chunk.end + 1}) failed: ${err.message}`);
+    }
+  });
+
+  return translatedChunks.join('\n');
+}
+
+// ---------- Segment-level translation (incremental + translation memory) ----------
+
+const SEGMENT_MARKER_RE = /^@@SEGMENT_(\d{6})@@$/;
+
+const incrementalInstructionsSuffix = `
+SEGMENTED INPUT:
+- The input is NOT a whole document. It is a list of independent fragments of one document.
+- Each fragment starts with a marker line that looks like @@SEGMENT_...@@.
+- Marker lines must remain EXACTLY unchanged, on their own line, in the same order.
+- Translate each fragment independently and keep its line count unchanged.
+`.trim();
+
+function segmentMarker(index) {
+  return `@@SEGMENT_${String(index).padStart(6, '0')}@@`;
+}
+
+/**
+ * Splits a translated segmented response back into fragments keyed by marker index.
+ * Returns null if any marker is missing, duplicated or out of order.
+ */
+function splitSegmentedResponse(text, expectedCount) {
+  const fragments = [];
+  let current = null;
+
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    const m = line.trim().match(SEGMENT_MARKER_RE);
+    if (m) {
+      const index = parseInt(m[1], 10);
+      if (index !== fragments.length + 1) return null;
+      current = [];
+      fragments.push(current);
+      continue;
+    }
+
+    if (current) current.push(line);
+  }
+
+  if (fragments.length !== expectedCount) return null;
+
+  return fragments.map((fragmentLines) => {
+    while (fragmentLines.length && fragmentLines[fragmentLines.length - 1].trim() === '') {
+      fragmentLines.pop();
+    }
+    while (fragmentLines.length && fragmentLines[0].trim() === '') {
+      fragmentLines.shift();
+    }
+    return fragmentLines.join('\n');
+  });
+}
+
+/**
+ * Fills pending plan entries without calling AI:
+ * - segments with nothing to translate (code blocks, attributes) are copied as-is
+ * - segments found in the translation memory are reused verbatim
+ * Returns the number of translation memory hits.
+ */
+function fillPlanFromMemory(plan, newLines, direction, memory) {
+  const [srcLang, tgtLang] = direction.split('-');
+  let hits = 0;
+
+  for (const p of plan) {
+    if (p.reuse !== null) continue;
+
+    const source = segmentText(newLines, p.segment);
+    if (!hasTranslatableLines(source, { translatableAttributes: __TRANSLATABLE_ATTRIBUTES__ })) {
+      p.reuse = source;
+      continue;
+    }
+
+    if (!memory) continue;
+
+    const remembered = lookupSegment(memory, srcLang, tgtLang, source);
+    if (remembered !== null) {
+      p.reuse = remembered;
+      hits += 1;
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Sends one batch of pending segments to the model, separated by marker lines,
+ * and returns the translated fragments (null if markers were not preserved).
+ */
+async function translateSegmentBatch(batch, newLines, isSafeMode, direction, inputPath, label, quiet) {
+  const segmentedSource = batch
+    .map((p, idx) => `${segmentMarker(idx + 1)}\n${segmentText(newLines, p.segment)}`)
+    .join('\n\n');
+
+  const protection = protectForTranslation(segmentedSource);
+  const instructions = `${buildInstructions(direction, isSafeMode, segmentedSource)}\n\n${incrementalInstructionsSuffix}`;
+
+  const translated = await requestTranslation(protection.protectedText, instructions, {
+    direction,
+    isSafeMode,
+    inputPath,
+    incremental: true,
+    label,
+    quiet,
+  });
+
+  return splitSegmentedResponse(restoreTranslation(translated, protection), batch.length);
+}
+
+/**
+ * Sends all still pending segments to the model, batched within the chunking
+ * budget, and stores the translations into the plan.
+ * Returns false if the model did not preserve the segment markers.
+ */
+async function translatePendingSegments(plan, newLines, isSafeMode, direction, inputPath) {
+  const pending = plan.filter((p) => p.reuse === null);
+  if (pending.length === 0) return true;
+
+  const { enabled, maxTokens, concurrency } = chunkingOptions();
+  const batches = enabled
+    ? packByBudget(pending, (p) => estimateTokens(segmentText(newLines, p.segment)), maxTokens)
+    : [pending];
+
+  const results = await mapWithConcurrency(batches, concurrency, (batch, idx) =>
+    translateSegmentBatch(
+      batch,
+      newLines,
+      isSafeMode,
+      direction,
+      inputPath,
+      batches.length > 1 ? `batch ${idx + 1}/${batches.length}` : '',
+      concurrency > 1 && batches.length > 1
+    )
+  );
+
+  if (results.some((fragments) => !fragments)) {
+    console.log('⚠️  Segmented translation: segment markers were not preserved by the model.');
+    return false;
+  }
+
+  batches.forEach((batch, b) => {
+    batch.forEach((p, idx) => {
+      p.reuse = results[b][idx];
+    });
+  });
+
+  return true;
+}
+
+// Rebuilds the document using the new source layout (blank lines between segments).
+function finalizeSegmentPlan(plan, newLines, adocText, direction, translationSource) {
+  const outputLines = [];
+  let cursor = 0;
+
+  for (const p of plan) {
+    outputLines.push(...newLines.slice(cursor, p.segment.start));
+    outputLines.push(...p.reuse.split('\n'));
+    cursor = p.segment.end + 1;
+  }
+  outputLines.push(...newLines.slice(cursor));
+
+  let restored = outputLines.join('\n');
+  restored = normalizeTopOfFileStructure(adocText, restored, direction, translationSource);
+  restored = attemptCheapStructuralRepair(adocText, restored, direction, translationSource);
+
+  return restored;
+}
+
+/**
+ * Retranslates only the changed segments of a page and reuses the existing
+ * target text for everything else.
+ * Returns null when incremental translation is not possible (caller should
+ * fall back to full translation).
+ */
+async function translateAdocIncrementally(adocText, existingTarget, isSafeMode, direction, translationSource, inputPath, memory) {
+  const previousSource = readRevisionContent('HEAD', inputPath);
+  if (previousSource === null) {
+    console.log('ℹ️  Incremental translation: no previous source revision found. Translating the whole page.');
+    return null;
+  }
+
+  const diffOutput = getWorkingTreeDiff(inputPath);
+  const planned = planIncrementalSegments(previousSource, adocText, existingTarget, diffOutput);
+
+  if (!planned) {
+    console.log('ℹ️  Incremental translation: existing target is not aligned with the previous source. Translating the whole page.');
+    return null;
+  }
+
+  const { newLines, plan } = planned;
+  const reused = plan.filter((p) => p.reuse !== null).length;
+  const memoryHits = fillPlanFromMemory(plan, newLines, direction, memory);
+  const pending = plan.filter((p) => p.reuse === null).length;
+
+  console.log(
+    `♻️  Incremental translation: reusing ${reused}/${plan.length} segment(s), ` +
+    `${memoryHits} from translation memory, translating ${pending}.`
+  );
+
+  const segmented = await translatePendingSegments(plan, newLines, isSafeMode, direction, inputPath);
+  if (!segmented) {
+    console.log('ℹ️  Incremental translation: translating the whole page instead.');
+    return null;
+  }
+
+  return finalizeSegmentPlan(plan, newLines, adocText, direction, translationSource);
+}
+
+/**
+ * Fallback output path if not provided: input + ".<targetLang>.adoc"
+ * (e.g. ".sr.adoc" for en-sr, ".en.adoc" for sr-en).
  */
 function deriveFallbackOutputPath(inputPath, direction) {
   const ext = path.extname(inputPath);
   const base = ext ? inputPath.slice(0, -ext.length) : inputPath;
-  const suffix = direction === 'sr-en' ? '.en.adoc' : '.sr.adoc';
-  return `${base}${suffix}`;
+  return `${base}.${getTargetPageLang(direction)}.adoc`;
+}
+
+function defaultDirection() {
+  const [primary, firstTarget] = __LANGUAGES__.codes;
+  return `${primary}-${firstTarget}`;
+}
+
+// ---------- Code comments (opt-in: codeComments.targetLanguages or the translate-comments role) ----------
+
+function codeCommentInstructions(direction) {
+  const [srcLang, tgtLang] = direction.split('-');
+  return `
+You translate comments from XML and DataWeave code samples from ${languageName(__LANGUAGES__, srcLang)} to ${languageName(__LANGUAGES__, tgtLang)}.
+
+The input is a JSON array of strings. Return ONLY a JSON array with the translated strings,
+same length and same order.
+- Each string is one line of a comment; never merge or split strings.
+- Keep code identifiers, element names, function names, file names and product names unchanged.
+- Never add comment markers (<!--, -->, //, /*, */) or line breaks.
+`.trim();
+}
+
+/**
+ * Translates comment text in XML/DataWeave blocks that are still verbatim
+ * copies of the source (already translated blocks are kept as they are).
+ * The code itself is never sent to the model.
+ */
+async function translateCodeCommentsInDocument(sourceText, translatedText, direction, inputPath, { allBlocks }) {
+  const result = await translateVerbatimBlockTexts(sourceText, translatedText, {
+    collectBlocks: (lines) => collectCommentBlocks(lines, { allBlocks }),
+    findTexts: (contentLines, block) => findCodeComments(contentLines, block.language).map(({ text }) => text),
+    replaceTexts: (contentLines, block, translate) => replaceCodeComments(contentLines, block.language, translate),
+    instructions: codeCommentInstructions(direction),
+    forbidden: /\n|-->|\*\//,
+    invalidMessage: 'Code comment translation returned an invalid JSON array (wrong length, comment markers or line breaks).',
+    what: 'code comment(s)',
+    direction,
+    inputPath,
+  });
+
+  if (result.blockCount) {
+    console.log(`💬 Code comments: ${result.textCount} comment line(s) in ${result.blockCount} block(s) translated.`);
+  }
+  return result.text;
 }
 
 async function main() {
   const argv = process.argv.slice(2);
 
+  const usageLine =
+    'Usage: node translate-adoc.mjs <input.adoc> [output.adoc] [--safe] ' +
+    `[--direction=${directionChoices(__LANGUAGES__)}] [--existing=<currentTarget.adoc>]`;
+
   if (argv.length === 0) {
-    console.error('Usage: node translate-adoc.mjs <input.adoc> [output.adoc] [--safe] [--direction=en-sr|sr-en]');
+    console.error(usageLine);
     process.exit(1);
   }
 
   const inputPath = argv[0];
   let explicitOutputPath = null;
   let isSafeMode = false;
-  let direction = 'en-sr';
+  let direction = defaultDirection();
+  let existingTargetPath = null;
 
   for (let i = 1; i < argv.length; i++) {
     const arg = argv[i];
     if (arg === '--safe') {
       isSafeMode = true;
+    } else if (arg.startsWith('--existing=')) {
+      existingTargetPath = arg.slice('--existing='.length) || null;
     } else if (arg.startsWith('--direction=')) {
       const value = arg.split('=')[1];
-      if (value === 'en-sr' || value === 'sr-en') {
-        direction = value;
+      const parsed = parseDirection(__LANGUAGES__, value);
+      if (parsed) {
+        direction = parsed.direction;
       } else {
-        console.error(`Unknown direction value: ${value}. Expected en-sr or sr-en.`);
+        console.error(`Unknown direction value: ${value}. Expected one of: ${directionChoices(__LANGUAGES__)}.`);
         process.exit(1);
       }
     } else if (!explicitOutputPath) {
       explicitOutputPath = arg;
     } else {
       console.error(`Unexpected argument: ${arg}`);
-      console.error('Usage: node translate-adoc.mjs <input.adoc> [output.adoc] [--safe] [--direction=en-sr|sr-en]');
+      console.error(usageLine);
       process.exit(1);
     }
   }
@@ -750,23 +1276,58 @@ async function main() {
   if (isSafeMode) {
     console.log('⚠️ translate-adoc.mjs is running in SAFE MODE.');
   }
-  console.log(`➡️  Direction: ${direction === 'en-sr' ? 'EN → SR' : 'SR → EN'}`);
+  console.log(`➡️  Direction: ${formatDirection(direction)}`);
 
   const adocText = await fs.readFile(inputPath, 'utf8');
   const translationSource = getSourceTranslationSource(adocText, inputPath);
 
   console.log(
-    'Sending content to OpenAI for translation...' +
+    `Sending content to ${getProvider().name} for translation...` +
     (isSafeMode ? ' (SAFE MODE)' : '')
   );
 
-  const translated = await translateAdocContent(
-    adocText,
-    isSafeMode,
-    direction,
-    translationSource,
-    inputPath
-  );
+  const config = await loadConfig();
+  __GLOSSARY__ = await loadGlossary(getDefaultGlossaryPath(repoRoot));
+  __CHUNKING__ = { ...config.chunking, enabled: config.features.chunkedTranslation };
+  __TRANSLATABLE_ATTRIBUTES__ = config.translatableAttributes || [];
+  const memory = config.features.translationMemory
+    ? await loadMemory(getDefaultMemoryPath(repoRoot))
+    : null;
+  let translated = null;
+
+  if (existingTargetPath && config.features.incrementalTranslation) {
+    const existingTarget = await readFileIfExists(existingTargetPath);
+    if (existingTarget !== null) {
+      translated = await translateAdocIncrementally(
+        adocText,
+        existingTarget,
+        isSafeMode,
+        direction,
+        translationSource,
+        inputPath,
+        memory
+      );
+    }
+  }
+
+  if (translated === null) {
+    translated = await translateAdocContent(
+      adocText,
+      isSafeMode,
+      direction,
+      translationSource,
+      inputPath,
+      memory
+    );
+  }
+
+  if (config.features.translateDiagramLabels) {
+    translated = await translateDiagramLabelsInDocument(adocText, translated, direction, inputPath);
+  }
+
+  translated = await translateCodeCommentsInDocument(adocText, translated, direction, inputPath, {
+    allBlocks: translatesAllComments(config, direction.split('-')[1]),
+  });
 
   const outputDir = path.dirname(outputPath);
   await fs.mkdir(outputDir, { recursive: true });
@@ -0,0 +1,113 @@
+// scripts/translation-lock.mjs
+// Lockfile recording which source content every generated page was translated from.
+//
+// translation.lock.json (committed):
+//   {
+//     "version": 1,
+//     "pages": {
+//       "docs-en/modules/ROOT/pages/index.adoc": {
+//         "source": "docs-sr/modules/ROOT/pages/index.adoc",
+//         "direction": "sr-en",
+//         "sourceHash": "sha256:..."
+//       }
+//     }
+//   }
+//
+// The hash covers the source page with whitespace normalized outside protected
+// regions (code/literal blocks, attribute lines, ... stay byte-exact) and without
+// the per-file :page-lang: / :translation-source: lines, so re-formatting a page
+// does not make its translations stale, but any text or code change does.
+//
+// Synchronous API, so the pre-commit hook can use it directly.
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { protectCodeAndLiteralBlocks, restoreProtectedBlocks } from "./adoc-blocks.mjs";
+
+const LOCK_VERSION = 1;
+
+export function getDefaultLockPath(repoRoot) {
+  return path.join(repoRoot, "translation.lock.json");
+}
+
+export function normalizeSourceForHash(adocText) {
+  const withoutMetadata = (adocText || "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .filter((line) => !/^:(?:page-lang|translation-source):/i.test(line.trim()))
+    .join("\n");
+
+  const { protectedText, protectedLines } = protectCodeAndLiteralBlocks(withoutMetadata);
+
+  const normalized = protectedText
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return restoreProtectedBlocks(normalized, protectedLines);
+}
+
+export function hashSource(adocText) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(normalizeSourceForHash(adocText), "utf8")
+    .digest("hex");
+  return `sha256:${digest}`;
+}
+
+function toKey(filePath) {
+  return (filePath || "").replace(/\\/g, "/");
+}
+
+export function loadLock(lockPath) {
+  if (!existsSync(lockPath)) return { version: LOCK_VERSION, pages: {} };
+  try {
+    const parsed = JSON.parse(readFileSync(lockPath, "utf8"));
+    return { version: LOCK_VERSION, pages: parsed.pages || {} };
+  } catch (err) {
+    throw new Error(`${lockPath} is not valid JSON: ${err.message}`);
+  }
+}
+
+export function saveLock(lockPath, lock) {
+  const pages = Object.fromEntries(
+    Object.keys(lock.pages)
+      .sort()
+      .map((key) => [key, lock.pages[key]])
+  );
+  writeFileSync(lockPath, JSON.stringify({ version: LOCK_VERSION, pages }, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Records that targetFile was generated from sourceFile: from `sourceContent` if
+ * given (e.g. the staged blob), otherwise from the file in the working tree.
+ */
+export function recordTranslation(lock, { sourceFile, targetFile, direction, sourceContent }) {
+  lock.pages[toKey(targetFile)] = {
+    source: toKey(sourceFile),
+    direction,
+    sourceHash: hashSource(sourceContent ?? readFileSync(sourceFile, "utf8")),
+  };
+  return lock;
+}
+
+export function removeTranslation(lock, targetFile) {
+  delete lock.pages[toKey(targetFile)];
+  return lock;
+}
+
+/**
+ * State of one pair: "current" | "stale" (source changed since the translation)
+ * | "untracked" (no lock entry, or the entry points to another source).
+ * The source is compared as `sourceContent` if given (e.g. the HEAD blob),
+ * otherwise as the file in the working tree.
+ */
+export function translationState(lock, { sourceFile, targetFile, sourceContent }) {
+  const entry = lock.pages[toKey(targetFile)];
+  if (!entry || entry.source !== toKey(sourceFile)) return "untracked";
+  if (sourceContent === undefined && !existsSync(sourceFile)) return "stale";
+  const content = sourceContent ?? readFileSync(sourceFile, "utf8");
+  return entry.sourceHash === hashSource(content) ? "current" : "stale";
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// translation-memory-cli.mjs
+//
+// Maintains the local translation memory (.translation-memory.jsonl).
+//
+// Commands:
+//   record <source.adoc> <target.adoc> --direction=<src>-<tgt>
+//       Stores the segment pairs of a validated source/target page pair.
+//       Called by pre-commit after a generated target passed validation.
+//
+//   import <memory.tmx>
+//       Seeds the memory from a TMX file (e.g. exported by a CAT tool or a colleague).
+//
+//   export <memory.tmx>
+//       Writes the whole memory as a TMX 1.4 file so it can be shared.
+
+import fs from "fs/promises";
+import path from "path";
+import {
+  DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  hasTranslatableLines,
+  segmentText,
+  splitIntoSegments,
+} from "./adoc-blocks.mjs";
+import { directionChoices, loadLanguages, parseDirection } from "./languages.mjs";
+import {
+  appendMemoryEntries,
+  entriesToTmx,
+  getDefaultMemoryPath,
+  loadMemory,
+  tmxToPairs,
+} from "./translation-memory.mjs";
+
+function usage() {
+  console.error(
+    "Usage:\n" +
+      "  node scripts/translation-memory-cli.mjs record <source.adoc> <target.adoc> --direction=<src>-<tgt>\n" +
+      "  node scripts/translation-memory-cli.mjs import <memory.tmx>\n" +
+      "  node scripts/translation-memory-cli.mjs export <memory.tmx>"
+  );
+  process.exit(1);
+}
+
+function parseDirectionArg(args) {
+  const layout = loadLanguages();
+  const arg = args.find((a) => a.startsWith("--direction="));
+  const value = arg ? arg.split("=")[1] : "";
+  const parsed = parseDirection(layout, value);
+  if (!parsed) {
+    console.error(
+      `Invalid --direction value: ${value || "(missing)"}. Expected one of: ${directionChoices(layout)}.`
+    );
+    process.exit(1);
+  }
+  return { srcLang: parsed.srcLang, tgtLang: parsed.tgtLang };
+}
+
+// Same translatableAttributes as translate-adoc, so a segment holding only a
+// :description: line is recorded here just as it is looked up there.
+async function loadTranslatableAttributes() {
+  try {
+    const raw = await fs.readFile(path.join(process.cwd(), "translation.config.json"), "utf8");
+    return JSON.parse(raw).translatableAttributes || DEFAULT_TRANSLATABLE_ATTRIBUTES;
+  } catch {
+    return DEFAULT_TRANSLATABLE_ATTRIBUTES;
+  }
+}
+
+async function recordPair(memoryPath, args) {
+  const [sourcePath, targetPath] = args.filter((a) => !a.startsWith("--"));
+  if (!sourcePath || !targetPath) usage();
+
+  const { srcLang, tgtLang } = parseDirectionArg(args);
+
+  const [sourceContent, targetContent] = await Promise.all([
+    fs.readFile(sourcePath, "utf8"),
+    fs.readFile(targetPath, "utf8"),
+  ]);
+
+  const sourceLines = sourceContent.split("\n");
+  const targetLines = targetContent.split("\n");
+  const sourceSegments = splitIntoSegments(sourceLines);
+  const targetSegments = splitIntoSegments(targetLines);
+
+  if (sourceSegments.length !== targetSegments.length) {
+    console.log(
+      `⚠️  Translation memory: segment count differs (source=${sourceSegments.length}, target=${targetSegments.length}). Nothing recorded for ${sourcePath}.`
+    );
+    return;
+  }
+
+  const translatableAttributes = await loadTranslatableAttributes();
+  const pairs = [];
+  for (let i = 0; i < sourceSegments.length; i++) {
+    const source = segmentText(sourceLines, sourceSegments[i]);
+    if (!hasTranslatableLines(source, { translatableAttributes })) continue;
+
+    pairs.push({
+      srcLang,
+      tgtLang,
+      source,
+      target: segmentText(targetLines, targetSegments[i]),
+    });
+  }
+
+  const added = await appendMemoryEntries(memoryPath, pairs);
+  console.log(`🧠 Translation memory: recorded ${added} new segment(s) from ${sourcePath}.`);
+}
+
+async function importTmx(memoryPath, args) {
+  const [tmxPath] = args;
+  if (!tmxPath) usage();
+
+  const tmxText = await fs.readFile(tmxPath, "utf8");
+  const pairs = tmxToPairs(tmxText);
+  const added = await appendMemoryEntries(memoryPath, pairs, { origin: "tmx-import" });
+
+  console.log(`🧠 Translation memory: imported ${added} new segment(s) from ${tmxPath} (${pairs.length} in file).`);
+}
+
+async function exportTmx(memoryPath, args) {
+  const [tmxPath] = args;
+  if (!tmxPath) usage();
+
+  const memory = await loadMemory(memoryPath);
+  await fs.mkdir(path.dirname(path.resolve(tmxPath)), { recursive: true });
+  await fs.writeFile(tmxPath, entriesToTmx(memory.entries), "utf8");
+
+  console.log(`🧠 Translation memory: exported ${memory.entries.length} entry(ies) to ${tmxPath}.`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const memoryPath = getDefaultMemoryPath(process.cwd());
+
+  switch (command) {
+    case "record":
+      await recordPair(memoryPath, args);
+      break;
+    case "import":
+      await importTmx(memoryPath, args);
+      break;
+    case "export":
+      await exportTmx(memoryPath, args);
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ translation-memory-cli.mjs failed with error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,210 @@
+// scripts/translation-memory.mjs
+// Local translation memory (TM) for the translation pipeline.
+//
+// Every line of .translation-memory.jsonl is one validated segment pair:
+//   {"ts":"...","hash":"...","srcLang":"en","tgtLang":"sr","source":"...","target":"...","origin":"translate-adoc"}
+//
+// Segments are keyed by a hash of their normalized text, so whitespace-only
+// differences still hit. Lookups work in both directions (en->sr and sr->en).
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export function getDefaultMemoryPath(repoRoot) {
+  return path.join(repoRoot, ".translation-memory.jsonl");
+}
+
+export function normalizeSegment(text) {
+  return (text || "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .trim();
+}
+
+export function hashSegment(text) {
+  return crypto.createHash("sha256").update(normalizeSegment(text), "utf8").digest("hex");
+}
+
+export function normalizeLangCode(lang) {
+  return (lang || "").trim().toLowerCase().split(/[-_]/)[0];
+}
+
+function memoryKey(srcLang, tgtLang, hash) {
+  return `${srcLang}>${tgtLang}:${hash}`;
+}
+
+/**
+ * Reads the memory file into an in-memory index.
+ * Returns { entries, index } where index maps "src>tgt:hash" -> target text.
+ * Later entries win over earlier ones.
+ */
+export async function loadMemory(memoryPath) {
+  const entries = [];
+  const index = new Map();
+
+  let text = "";
+  try {
+    text = await fs.readFile(memoryPath, "utf8");
+  } catch {
+    // memory does not exist yet -> empty
+    return { entries, index };
+  }
+
+  for (const line of text.split(/\r?\n/).filter(Boolean)) {
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      continue; // ignore corrupt lines
+    }
+
+    if (typeof obj.source !== "string" || typeof obj.target !== "string") continue;
+
+    const srcLang = normalizeLangCode(obj.srcLang);
+    const tgtLang = normalizeLangCode(obj.tgtLang);
+    if (!srcLang || !tgtLang) continue;
+
+    entries.push(obj);
+    index.set(memoryKey(srcLang, tgtLang, hashSegment(obj.source)), obj.target);
+    index.set(memoryKey(tgtLang, srcLang, hashSegment(obj.target)), obj.source);
+  }
+
+  return { entries, index };
+}
+
+export function lookupSegment(memory, srcLang, tgtLang, sourceText) {
+  const key = memoryKey(
+    normalizeLangCode(srcLang),
+    normalizeLangCode(tgtLang),
+    hashSegment(sourceText)
+  );
+  return memory.index.has(key) ? memory.index.get(key) : null;
+}
+
+/**
+ * Appends new segment pairs to the memory, skipping pairs that are already
+ * stored with the same target text. Returns the number of appended entries.
+ */
+export async function appendMemoryEntries(memoryPath, pairs, { origin = "translate-adoc" } = {}) {
+  const memory = await loadMemory(memoryPath);
+  const lines = [];
+
+  for (const pair of pairs) {
+    const srcLang = normalizeLangCode(pair.srcLang);
+    const tgtLang = normalizeLangCode(pair.tgtLang);
+    if (!srcLang || !tgtLang) continue;
+    if (!normalizeSegment(pair.source) || !normalizeSegment(pair.target)) continue;
+
+    const existing = lookupSegment(memory, srcLang, tgtLang, pair.source);
+    if (existing !== null && normalizeSegment(existing) === normalizeSegment(pair.target)) {
+      continue;
+    }
+
+    const entry = {
+      ts: new Date().toISOString(),
+      hash: hashSegment(pair.source),
+      srcLang,
+      tgtLang,
+      source: pair.source,
+      target: pair.target,
+      origin,
+    };
+
+    memory.index.set(memoryKey(srcLang, tgtLang, entry.hash), entry.target);
+    lines.push(JSON.stringify(entry));
+  }
+
+  if (lines.length > 0) {
+    await fs.appendFile(memoryPath, lines.join("\n") + "\n", "utf8");
+  }
+
+  return lines.length;
+}
+
+// ---------- TMX import / export ----------
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Serializes memory entries into a TMX 1.4 document.
+ * Only the latest entry per (srcLang, tgtLang, source) is exported.
+ */
+export function entriesToTmx(entries) {
+  const latest = new Map();
+  for (const e of entries) {
+    latest.set(memoryKey(e.srcLang, e.tgtLang, hashSegment(e.source)), e);
+  }
+
+  const srcLangs = new Set([...latest.values()].map((e) => e.srcLang));
+  const headerSrcLang = srcLangs.size === 1 ? [...srcLangs][0] : "*all*";
+
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push('<tmx version="1.4">');
+  out.push(
+    `  <header creationtool="antora-productdock" creationtoolversion="1.0" segtype="paragraph" o-tmf="jsonl" adminlang="en" srclang="${headerSrcLang}" datatype="plaintext"/>`
+  );
+  out.push("  <body>");
+
+  for (const e of latest.values()) {
+    out.push(`    <tu tuid="${hashSegment(e.source).slice(0, 16)}" srclang="${escapeXml(e.srcLang)}">`);
+    out.push(`      <tuv xml:lang="${escapeXml(e.srcLang)}"><seg>${escapeXml(e.source)}</seg></tuv>`);
+    out.push(`      <tuv xml:lang="${escapeXml(e.tgtLang)}"><seg>${escapeXml(e.target)}</seg></tuv>`);
+    out.push("    </tu>");
+  }
+
+  out.push("  </body>");
+  out.push("</tmx>");
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Parses a TMX document into segment pairs { srcLang, tgtLang, source, target }.
+ * The TU srclang (or the header srclang) decides which variant is the source;
+ * every other variant of the TU becomes a target.
+ */
+export function tmxToPairs(tmxText) {
+  const pairs = [];
+
+  const header = tmxText.match(/<header\b[^>]*\bsrclang="([^"]*)"/i);
+  const headerSrcLang = header ? normalizeLangCode(header[1]) : "";
+
+  for (const tu of tmxText.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi)) {
+    const tuSrcLangMatch = tu[1].match(/\bsrclang="([^"]*)"/i);
+    const tuSrcLang = tuSrcLangMatch ? normalizeLangCode(tuSrcLangMatch[1]) : headerSrcLang;
+
+    const variants = [];
+    for (const tuv of tu[2].matchAll(/<tuv\b[^>]*\b(?:xml:)?lang="([^"]+)"[^>]*>\s*<seg>([\s\S]*?)<\/seg>\s*<\/tuv>/gi)) {
+      variants.push({ lang: normalizeLangCode(tuv[1]), text: unescapeXml(tuv[2]) });
+    }
+
+    if (variants.length < 2) continue;
+
+    const source = variants.find((v) => v.lang === tuSrcLang) || variants[0];
+    for (const v of variants) {
+      if (v === source || v.lang === source.lang) continue;
+      pairs.push({ srcLang: source.lang, tgtLang: v.lang, source: source.text, target: v.text });
+    }
+  }
+
+  return pairs;
+}
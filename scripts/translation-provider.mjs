@@ -0,0 +1,280 @@
+// scripts/translation-provider.mjs
+// Pluggable AI provider layer used by translate-adoc, detect-language and validate-nav.
+//
+// Provider selection (first match wins):
+//   1. TRANSLATION_PROVIDER env var (.env is loaded here, so the pre-commit hook sees it too)
+//   2. provider.name in translation.config.json
+//   3. "openai"
+//
+// Providers:
+//   openai             OpenAI Responses API (OPENAI_API_KEY)
+//   openai-compatible  any local HTTP endpoint implementing the OpenAI Chat Completions API
+//                      (TRANSLATION_PROVIDER_BASE_URL / provider.baseUrl,
+//                       optional TRANSLATION_PROVIDER_API_KEY)
+//   mock               deterministic offline stand-in: no network, no API key.
+//                      Translations echo the input with every piece of prose marked with the
+//                      target language ("(EN) Uvod"), language detection is a local heuristic.
+//
+// Every provider exposes the same call:
+//   await provider.complete({ task, model, instructions, input, temperature, targetLang })
+//     -> { text, status, incompleteDetails, error, usage: { prompt, completion, total }, raw }
+// targetLang is the language code of the expected output (translation tasks only);
+// the real providers get it from the instructions, the mock uses it for its marker.
+import "dotenv/config";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import OpenAI from "openai";
+import { extractUsageFromOpenAIResponse } from "./token-ledger.mjs";
+
+export const PROVIDER_NAMES = ["openai", "openai-compatible", "mock"];
+
+function envValue(name) {
+  return (process.env[name] ?? "").toString().split("#")[0].trim();
+}
+
+function readProviderConfig(repoRoot) {
+  try {
+    const raw = readFileSync(path.join(repoRoot, "translation.config.json"), "utf8");
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed.provider === "object" && parsed.provider ? parsed.provider : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Resolves provider settings from .env and translation.config.json.
+ * Synchronous, so it can also be used by the pre-commit hook.
+ */
+export function resolveProviderSettings(repoRoot = process.cwd()) {
+  const config = readProviderConfig(repoRoot);
+
+  const name = (envValue("TRANSLATION_PROVIDER") || config.name || "openai").toLowerCase();
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new Error(
+      `Unknown translation provider "${name}". Expected one of: ${PROVIDER_NAMES.join(", ")}.`
+    );
+  }
+
+  const settings = {
+    name,
+    baseUrl: envValue("TRANSLATION_PROVIDER_BASE_URL") || config.baseUrl || "",
+    model: envValue("TRANSLATION_PROVIDER_MODEL") || config.model || "",
+    apiKey: "",
+    requiresApiKey: false,
+  };
+
+  if (name === "openai") {
+    settings.apiKey = envValue("OPENAI_API_KEY");
+    settings.requiresApiKey = true;
+  } else if (name === "openai-compatible") {
+    // Local servers usually ignore the key, but the SDK requires a non-empty value.
+    settings.apiKey = envValue("TRANSLATION_PROVIDER_API_KEY") || "not-needed";
+  }
+
+  return settings;
+}
+
+/**
+ * True if the selected provider can be used (API key present where required,
+ * base URL present for openai-compatible).
+ */
+export function isProviderConfigured(settings = resolveProviderSettings()) {
+  if (settings.requiresApiKey && !settings.apiKey) return false;
+  if (settings.name === "openai-compatible" && !settings.baseUrl) return false;
+  return true;
+}
+
+/**
+ * Model selection per purpose ("translate", "detect", "nav").
+ * An explicit provider model (TRANSLATION_PROVIDER_MODEL / provider.model) wins.
+ * Returns "" if nothing is configured; callers decide whether that is fatal.
+ */
+export function pickModel(settings, purpose) {
+  if (settings.model) return settings.model;
+  if (settings.name === "mock") return "mock";
+
+  const byPurpose = {
+    translate: envValue("OPENAI_MODEL_TRANSLATE"),
+    detect: envValue("OPENAI_MODEL_DETECT_LANGUAGE") || envValue("OPENAI_MODEL_DETECT"),
+    nav: "",
+  };
+
+  return byPurpose[purpose] || envValue("OPENAI_MODEL_DEFAULT");
+}
+
+function collectOutputTextFromResponse(response) {
+  if (typeof response?.output_text === "string" && response.output_text.trim()) {
+    return response.output_text;
+  }
+
+  const parts = [];
+
+  if (Array.isArray(response?.output)) {
+    for (const outputItem of response.output) {
+      if (!Array.isArray(outputItem?.content)) continue;
+
+      for (const contentItem of outputItem.content) {
+        if (
+          contentItem?.type === "output_text" &&
+          typeof contentItem?.text === "string" &&
+          contentItem.text.trim()
+        ) {
+          parts.push(contentItem.text);
+          continue;
+        }
+
+        if (typeof contentItem?.text === "string" && contentItem.text.trim()) {
+          parts.push(contentItem.text);
+          continue;
+        }
+
+        if (
+          typeof contentItem?.text?.value === "string" &&
+          contentItem.text.value.trim()
+        ) {
+          parts.push(contentItem.text.value);
+        }
+      }
+    }
+  }
+
+  const combined = parts.join("");
+  return combined.trim() ? combined : "";
+}
+
+// ---------- openai (Responses API) ----------
+
+function createOpenAIProvider(settings) {
+  const client = new OpenAI({ apiKey: settings.apiKey });
+
+  return {
+    name: "openai",
+    async complete({ model, instructions, input, temperature }) {
+      const request = { model, input };
+      if (instructions) request.instructions = instructions;
+      if (typeof temperature === "number") request.temperature = temperature;
+
+      const response = await client.responses.create(request);
+
+      return {
+        text: collectOutputTextFromResponse(response),
+        status: response?.status || "completed",
+        incompleteDetails: response?.incomplete_details || null,
+        error: response?.error || null,
+        usage: extractUsageFromOpenAIResponse(response),
+        raw: response,
+      };
+    },
+  };
+}
+
+// ---------- openai-compatible (Chat Completions API) ----------
+
+function createOpenAICompatibleProvider(settings) {
+  const client = new OpenAI({ apiKey: settings.apiKey, baseURL: settings.baseUrl });
+
+  return {
+    name: "openai-compatible",
+    async complete({ model, instructions, input, temperature }) {
+      const messages = [];
+      if (instructions) messages.push({ role: "system", content: instructions });
+      messages.push({ role: "user", content: input });
+
+      const request = { model, messages };
+      if (typeof temperature === "number") request.temperature = temperature;
+
+      const response = await client.chat.completions.create(request);
+      const choice = response?.choices?.[0];
+      const truncated = choice?.finish_reason === "length";
+
+      return {
+        text: typeof choice?.message?.content === "string" ? choice.message.content : "",
+        status: truncated ? "incomplete" : "completed",
+        incompleteDetails: truncated ? { reason: "max_output_tokens" } : null,
+        error: response?.error || null,
+        usage: extractUsageFromOpenAIResponse(response),
+        raw: response,
+      };
+    },
+  };
+}
+
+// ---------- mock (offline, deterministic) ----------
+
+function guessLanguage(text) {
+  const sample = (text || "").toLowerCase();
+  const serbianHints =
+    (sample.match(/[čćšđž]/g) || []).length +
+    (sample.match(/(?<![\p{L}])(je|i|da|se|su|za|koji|koja|nije|kao|ili)(?![\p{L}])/gu) || []).length;
+  const englishHints =
+    (sample.match(/(?<![\p{L}])(the|and|is|are|of|to|with|which|that|for)(?![\p{L}])/gu) || []).length;
+
+  return serbianHints > englishHints ? "sr" : "en";
+}
+
+// "(EN) " before the first letter of a line that is not inside a @@...@@ placeholder.
+// Markers of an earlier mock run are dropped first, so a back-translation of
+// "(EN) Uvod" is "(SR) Uvod" and running the mock twice gives the same output.
+const MOCK_MARKER_RE = /\([A-Z]{2,3}(?:-[A-Z]+)?\) /g;
+const PLACEHOLDER_RE = /@@[A-Z]+(?:_[A-Z]+)*_\d{6}@@/g;
+
+function markProse(text, targetLang) {
+  const marker = `(${(targetLang || "xx").toUpperCase()}) `;
+
+  return text
+    .split("\n")
+    .map((line) => {
+      const clean = line.replace(MOCK_MARKER_RE, "");
+      const masked = clean.replace(PLACEHOLDER_RE, (token) => "@".repeat(token.length));
+      const at = masked.search(/\p{L}/u);
+      return at === -1 ? clean : `${clean.slice(0, at)}${marker}${clean.slice(at)}`;
+    })
+    .join("\n");
+}
+
+function mockTranslate(input, targetLang) {
+  try {
+    const items = JSON.parse(input);
+    if (Array.isArray(items) && items.every((item) => typeof item === "string")) {
+      return JSON.stringify(items.map((item) => markProse(item, targetLang)));
+    }
+  } catch {
+    // not a JSON array: a page, chunk or label
+  }
+  return markProse(input, targetLang);
+}
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    async complete({ task, input, targetLang }) {
+      const text =
+        task === "detect-language"
+          ? JSON.stringify({ language: guessLanguage(input), confidence: 1 })
+          : mockTranslate(input, targetLang);
+
+      return {
+        text,
+        status: "completed",
+        incompleteDetails: null,
+        error: null,
+        usage: { prompt: 0, completion: 0, total: 0 },
+        raw: null,
+      };
+    },
+  };
+}
+
+export function createProvider(settings = resolveProviderSettings()) {
+  switch (settings.name) {
+    case "openai":
+      return createOpenAIProvider(settings);
+    case "openai-compatible":
+      return createOpenAICompatibleProvider(settings);
+    case "mock":
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown translation provider "${settings.name}".`);
+  }
+}
@@ -0,0 +1,146 @@
+// translation-quality.mjs
+// Quality checks on a translated page, beyond structure:
+// - untranslated segments: prose identical in source and target
+// - length ratio outliers: target prose much shorter or longer than the source
+// - inline formatting balance: *bold*, _italic_ and `monospace` markers
+//   dropped or duplicated by the model
+//
+// Source and target are split into the same blank-line separated segments the
+// translation memory uses (splitIntoSegments) and compared pairwise. Code blocks,
+// attribute lines, macro targets, URLs and other protected spans are not prose
+// and are removed before comparing.
+
+import {
+  INLINE_PROTECTED_PATTERNS,
+  hasTranslatableLines,
+  protectCodeAndLiteralBlocks,
+  segmentText,
+  splitIntoSegments,
+} from './adoc-blocks.mjs';
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  minWords: 4,
+  minLengthChars: 80,
+  minLengthRatio: 0.5,
+  maxLengthRatio: 2.0,
+};
+
+const MONOSPACE_PATTERN = INLINE_PROTECTED_PATTERNS.find((re) => re.source.startsWith('`'));
+const NON_MONOSPACE_PATTERNS = INLINE_PROTECTED_PATTERNS.filter((re) => re !== MONOSPACE_PATTERN);
+
+const INLINE_MARKERS = [
+  { name: 'bold', marker: '*', re: /(?<![\p{L}\p{N}\\])\*|\*(?![\p{L}\p{N}])/gu },
+  { name: 'italic', marker: '_', re: /(?<![\p{L}\p{N}_\\])_|_(?![\p{L}\p{N}_])/gu },
+  { name: 'monospace', marker: '`', re: /(?<!\\)`/g },
+];
+
+function stripPatterns(text, patterns) {
+  return patterns.reduce((out, re) => out.replace(re, ' '), text);
+}
+
+// Segment lines left for translation: no placeholders for code, attributes, delimiters ...
+function translatableLines(segment) {
+  return protectCodeAndLiteralBlocks(segment)
+    .protectedText.split('\n')
+    .map((line) => line.replace(/@@PROTECTED_[A-Z]+_\d{6}@@/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Text of a segment without protected spans, markup prefixes and formatting
+ * markers: what a reader sees as prose.
+ */
+export function proseText(segment) {
+  return stripPatterns(translatableLines(segment).join('\n'), INLINE_PROTECTED_PATTERNS)
+    .replace(/^(?:=+|[*.-]+|\|)\s+/gm, ' ')   // heading marks, list bullets, table rows
+    .replace(/[*_`#|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function wordCount(prose) {
+  return (prose.match(/\p{L}[\p{L}\p{N}'-]*/gu) || []).length;
+}
+
+/**
+ * Counts formatting markers of a segment: { bold, italic, monospace }.
+ * List bullets, URLs, macro targets, attribute references and passthroughs
+ * are not markers.
+ */
+export function countInlineMarkers(segment) {
+  const lines = translatableLines(segment).map((line) => line.replace(/^[*.-]+\s+/, ''));
+  const text = stripPatterns(lines.join('\n'), NON_MONOSPACE_PATTERNS);
+  const counts = {};
+
+  for (const { name, re } of INLINE_MARKERS) {
+    counts[name] = (text.match(re) || []).length;
+  }
+  return counts;
+}
+
+/**
+ * Compares source and target segment by segment.
+ * Returns { paired, issues } where paired=false means the segment counts differ
+ * (the structural checks report that) and issues is
+ * [{ kind: 'untranslated' | 'lengthRatio' | 'inlineMarkers', message, sourceLine, targetLine }].
+ */
+export function checkTranslationQuality(sourceText, targetText, options = {}) {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const sourceLines = sourceText.split('\n');
+  const targetLines = targetText.split('\n');
+  const sourceSegments = splitIntoSegments(sourceLines);
+  const targetSegments = splitIntoSegments(targetLines);
+
+  if (sourceSegments.length !== targetSegments.length) {
+    return { paired: false, issues: [] };
+  }
+
+  const issues = [];
+
+  for (let i = 0; i < sourceSegments.length; i++) {
+    const source = segmentText(sourceLines, sourceSegments[i]);
+    if (!hasTranslatableLines(source)) continue;
+
+    const target = segmentText(targetLines, targetSegments[i]);
+    const sourceProse = proseText(source);
+    const targetProse = proseText(target);
+    const at = { sourceLine: sourceSegments[i].start + 1, targetLine: targetSegments[i].start + 1 };
+    const preview = sourceProse.length > 60 ? `${sourceProse.slice(0, 57)}...` : sourceProse;
+
+    if (wordCount(sourceProse) >= opts.minWords && sourceProse === targetProse) {
+      issues.push({
+        kind: 'untranslated',
+        message: `Segment at source line ${at.sourceLine} is identical to the source (not translated): "${preview}"`,
+        ...at,
+      });
+    } else if (sourceProse.length >= opts.minLengthChars && targetProse.length > 0) {
+      const ratio = targetProse.length / sourceProse.length;
+      if (ratio < opts.minLengthRatio || ratio > opts.maxLengthRatio) {
+        issues.push({
+          kind: 'lengthRatio',
+          message:
+            `Segment at source line ${at.sourceLine} has an unusual target/source length ratio ` +
+            `${ratio.toFixed(2)} (expected ${opts.minLengthRatio}-${opts.maxLengthRatio}): "${preview}"`,
+          ...at,
+        });
+      }
+    }
+
+    const sourceMarkers = countInlineMarkers(source);
+    const targetMarkers = countInlineMarkers(target);
+    const differing = INLINE_MARKERS.filter(({ name }) => sourceMarkers[name] !== targetMarkers[name]);
+
+    if (differing.length) {
+      const details = differing
+        .map(({ name, marker }) => `${name} ${marker} SOURCE=${sourceMarkers[name]}, TARGET=${targetMarkers[name]}`)
+        .join('; ');
+      issues.push({
+        kind: 'inlineMarkers',
+        message: `Inline formatting markers differ in segment at source line ${at.sourceLine}: ${details}`,
+        ...at,
+      });
+    }
+  }
+
+  return { paired: true, issues };
+}
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+// transliterate-sr.mjs
+// Generates the Serbian Cyrillic component (docs-sr-cyrl) from the Serbian
+// Latin pages (docs-sr), deterministically and without calling AI.
+//
+// Usage:
+//   node scripts/transliterate-sr.mjs           -> regenerate the whole component
+//   node scripts/transliterate-sr.mjs --check   -> exit 1 if the component is out of date
+//
+// What stays Latin:
+// - code/literal/listing blocks, attribute lines, macro-only lines and anchors
+//   (same protection as translate-adoc, via protectCodeAndLiteralBlocks); values
+//   of translatableAttributes (:description:, ...) are transliterated
+// - block attribute lines ([source,xml], [mermaid,...]) and comments
+// - inline monospace, URLs, macro targets (xref:, link:, image:, ...),
+//   attribute references, anchors, passthroughs and table cell specifiers
+// - do-not-translate glossary terms (in any case) and transliteration.keepLatin terms
+//   (as written), also with a Serbian case ending: builda, pluginom
+// - file names and paths, Mule expressions (#[...]), named macro attributes
+//   (window="_blank"), command line options (-Pdev) and qualified names (munit:run-flow)
+// - words containing q/w/x/y, acronyms, CamelCase identifiers and words with
+//   English-only spelling (th, ck, sh, ch, double consonants, ...)
+// - multi-word Title Case names with one such word in them (Static Code Analysis)
+//
+// nav.adoc labels and the antora.yml title are transliterated as well; the title
+// gets transliteration.titleSuffix instead of the language suffix of docs-sr.
+// Configuration: "transliteration" in translation.config.json.
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  INLINE_PROTECTED_PATTERNS,
+  escapeRegExp,
+  protectCodeAndLiteralBlocks,
+  restoreProtectedBlocks,
+} from './adoc-blocks.mjs';
+import { getDefaultGlossaryPath, loadGlossary } from './glossary.mjs';
+
+const LATIN_TO_CYRILLIC = {
+  a: 'а', b: 'б', c: 'ц', č: 'ч', ć: 'ћ', d: 'д', đ: 'ђ', e: 'е', f: 'ф',
+  g: 'г', h: 'х', i: 'и', j: 'ј', k: 'к', l: 'л', m: 'м', n: 'н', o: 'о',
+  p: 'п', r: 'р', s: 'с', š: 'ш', t: 'т', u: 'у', v: 'в', z: 'з', ž: 'ж',
+};
+
+const DIGRAPHS = {
+  lj: 'љ',
+  nj: 'њ',
+  dž: 'џ',
+};
+
+// Words where the letter pair is not a digraph (prefix + root), e.g. nad-živeti, in-jekcija.
+const SPLIT_DIGRAPH_PREFIXES = ['nadž', 'odž', 'podž', 'predž', 'injek', 'konjug', 'konjunk'];
+
+// Inline regions that must stay exactly as they are: everything the translation
+// pipeline protects inline, plus transliteration-specific spans.
+const INLINE_KEEP_PATTERNS = [
+  ...INLINE_PROTECTED_PATTERNS,
+  /@@[A-Z_]+_\d{6}@@/g,                               // placeholders (table cell separators)
+  /\b[a-z][a-z0-9-]*:{1,2}[^\s[]*(?=\[)/g,           // any inline macro name + target
+  /\[\[[^\]]*\]\]/g,                                 // inline anchors
+  /<<[^,>]*/g,                                       // cross reference ids
+  /\[[.#%][^\]]*\]/g,                                // role / id shorthands
+  /&[a-zA-Z]+;|&#\d+;/g,                             // character references
+  /#\[[^\]]*\]/g,                                     // DataWeave / Mule expressions
+  /(?<=[[,]\s*)[a-z][\w-]*="[^"]*"/g,                // named macro attributes (window="_blank")
+  /(?<=^|\s)-{1,2}[A-Za-z][\w.=-]*/g,                 // command line options (-Pdev, --settings)
+  /(?<![\p{L}\p{N}])[a-z][\w-]*:[a-z][\w.-]*/gu,      // qualified names (munit:run-flow, mule:deploy)
+  /[\p{L}\p{N}_-]*(?:[./][\p{L}\p{N}_-]+)+/gu,          // file names and paths
+  /(?<![\p{L}\p{N}])(?:\d+\*)?[<^>]?(?:\.[<^>])?[adehlmsv](?=\|)/gu, // table cell specifiers
+];
+
+async function loadConfig() {
+  const defaultConfig = {
+    transliteration: {
+      enabled: true,
+      sourceDir: 'docs-sr',
+      targetDir: 'docs-sr-cyrl',
+      pageLang: 'sr-cyrl',
+      titleSuffix: '(SR, ћирилица)',
+      keepLatin: [],
+    },
+    translatableAttributes: DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  };
+
+  try {
+    const raw = await fs.readFile(
+      path.join(process.cwd(), 'translation.config.json'),
+      'utf8'
+    );
+    const parsed = JSON.parse(raw);
+    return {
+      transliteration: {
+        ...defaultConfig.transliteration,
+        ...(parsed.transliteration || {}),
+      },
+      translatableAttributes: parsed.translatableAttributes || defaultConfig.translatableAttributes,
+    };
+  } catch {
+    return defaultConfig;
+  }
+}
+
+function splitDigraphIndex(lowerWord) {
+  const prefix = SPLIT_DIGRAPH_PREFIXES.find((p) => lowerWord.startsWith(p));
+  return prefix ? prefix.search(/lj|nj|dž/) : -1;
+}
+
+// Letter combinations that do not occur in Serbian words, but do in English ones.
+// A word starting with a hard "c" (code, cloud, case) is English as well: Serbian
+// writes that sound with a "k" (car and carina are the Serbian exceptions).
+const ENGLISH_SPELLING_RE = /th|ck|ph|sh|ch|ee|ie|tion|ll|ss|tt|ff|pp|rr|mm|cc|gg|bb|^c[ol]|^ca(?!r)/i;
+// Serbian prefixes ending right before an "h" (pret-hodno, is-hod, s-hvatiti).
+const SERBIAN_PREFIX_BEFORE_H_RE = /^(?:pret|ras|bes|is|s)(?=h)/i;
+
+function shouldKeepWordLatin(word) {
+  if (/[qwxy]/i.test(word)) return true;
+  if (
+    ENGLISH_SPELLING_RE.test(word.replace(SERBIAN_PREFIX_BEFORE_H_RE, '')) &&
+    !/[čćšđž]/i.test(word)
+  ) {
+    return true;
+  }
+
+  // Acronyms (API, HTTP) and CamelCase identifiers (HelloMule), unless clearly Serbian.
+  return /^.+\p{Lu}/u.test(word) && !/[čćšđž]/i.test(word);
+}
+
+// Only markup and punctuation between the start of the sentence and `index`.
+function startsSentence(line, index) {
+  return /(?:^|[.!?:[)])[\s*_“”"'(\[.=-]*$/.test(line.slice(0, index));
+}
+
+function transliterateWord(word) {
+  const lower = word.toLowerCase();
+  const splitAt = splitDigraphIndex(lower);
+  let out = '';
+
+  for (let i = 0; i < word.length; i++) {
+    const pair = lower.slice(i, i + 2);
+    const isUpper = word[i] !== lower[i];
+
+    if (DIGRAPHS[pair] && i !== splitAt) {
+      out += isUpper ? DIGRAPHS[pair].toUpperCase() : DIGRAPHS[pair];
+      i += 1;
+      continue;
+    }
+
+    const mapped = LATIN_TO_CYRILLIC[lower[i]];
+    if (!mapped) {
+      out += word[i];
+      continue;
+    }
+    out += isUpper ? mapped.toUpperCase() : mapped;
+  }
+
+  return out;
+}
+
+// Serbian case endings glued to an English term (build-a written as builda, pluginom, environmenta).
+const SERBIAN_CASE_SUFFIX = '(?:a|e|u|om|ima|ani|anom|ova|ove|ovi|ovima)?';
+
+function buildKeepLatinPattern(terms, flags) {
+  const unique = [...new Set(terms.filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (!unique.length) return null;
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${unique.map(escapeRegExp).join('|')})${SERBIAN_CASE_SUFFIX}(?![\\p{L}\\p{N}])`,
+    flags
+  );
+}
+
+/**
+ * Returns sorted, merged [start, end) ranges of a line matched by `patterns`.
+ */
+function findRanges(line, patterns) {
+  const ranges = [];
+
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    for (const m of line.matchAll(pattern)) {
+      if (m[0].length) ranges.push([m.index, m.index + m[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Words of a line outside the inline spans that stay as they are:
+ * [{ start, end, text, latin }], latin=true for keepLatin / glossary terms and
+ * English words recognised by their spelling.
+ */
+function findWords(line, termPatterns) {
+  const keepRanges = findRanges(line, INLINE_KEEP_PATTERNS);
+  const termRanges = findRanges(line, termPatterns);
+  const words = [];
+
+  let cursor = 0;
+  for (const [gapStart, gapEnd] of [...keepRanges, [line.length, line.length]]) {
+    for (const m of line.slice(cursor, gapStart).matchAll(/\p{L}+/gu)) {
+      const start = cursor + m.index;
+      const end = start + m[0].length;
+      const isTerm = termRanges.some(([s, e]) => start < e && end > s);
+      words.push({ start, end, text: m[0], latin: isTerm || shouldKeepWordLatin(m[0]) });
+    }
+    cursor = gapEnd;
+  }
+  return words;
+}
+
+/**
+ * A multi-word English name must not come out half Cyrillic (Static Code Analysis,
+ * Secure Properties): capitalised words separated by single spaces form a name,
+ * and if one word of the name stays Latin, the whole name does. Words with Serbian
+ * letters (č, ć, š, đ, ž, lj, nj) end a name, and a capitalised first word of a
+ * sentence only belongs to it if it is Latin itself (not "Svaki" in "Svaki Mule Event").
+ */
+function keepLatinNames(line, words) {
+  let name = [];
+
+  const closeName = () => {
+    if (name.length && !name[0].latin && startsSentence(line, name[0].start)) name.shift();
+    if (name.length > 1 && name.some((word) => word.latin)) name.forEach((word) => (word.latin = true));
+    name = [];
+  };
+
+  words.forEach((word, idx) => {
+    const previous = words[idx - 1];
+    if (!previous || line.slice(previous.end, word.start) !== ' ') closeName();
+
+    if (/^\p{Lu}/u.test(word.text) && (word.latin || !/[čćšđž]|lj|nj/i.test(word.text))) {
+      name.push(word);
+    } else {
+      closeName();
+    }
+  });
+  closeName();
+}
+
+function transliterateLine(line, termPatterns) {
+  const trimmed = line.trim();
+
+  if (
+    trimmed === '' ||
+    /^@@PROTECTED_LINE_\d{6}@@$/.test(trimmed) ||
+    /^\/\//.test(trimmed) ||
+    /^\[.*\]$/.test(trimmed)
+  ) {
+    return line;
+  }
+
+  const words = findWords(line, termPatterns);
+  keepLatinNames(line, words);
+
+  let out = '';
+  let cursor = 0;
+  for (const word of words) {
+    if (word.latin) continue;
+    out += line.slice(cursor, word.start) + transliterateWord(word.text);
+    cursor = word.end;
+  }
+  return out + line.slice(cursor);
+}
+
+function transliterateAdoc(adocText, termPatterns, pageLang, translatableAttributes) {
+  const { protectedText, protectedLines } = protectCodeAndLiteralBlocks(adocText, { translatableAttributes });
+
+  const transliterated = protectedText
+    .split('\n')
+    .map((line) => transliterateLine(line, termPatterns))
+    .join('\n');
+
+  const restored = restoreProtectedBlocks(transliterated, protectedLines);
+  return pageLang ? restored.replace(/^:page-lang:.*$/m, `:page-lang: ${pageLang}`) : restored;
+}
+
+// The title gets its own suffix instead of the "(SR)" of docs-sr, so the two
+// components can be told apart in the component selector.
+function transliterateAntoraYml(ymlText, componentName, termPatterns, titleSuffix) {
+  return ymlText
+    .replace(/^name:.*$/m, `name: ${componentName}`)
+    .replace(/^title:(.*)$/m, (_, title) => {
+      const transliterated = transliterateLine(title, termPatterns);
+      if (!titleSuffix) return `title:${transliterated}`;
+      return `title:${transliterated.replace(/\s*\([^()]*\)\s*$/, '')} ${titleSuffix}`;
+    });
+}
+
+async function listFiles(dir) {
+  const out = [];
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      out.push(...(await listFiles(full)));
+    } else {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const checkOnly = process.argv.slice(2).includes('--check');
+  const { transliteration: config, translatableAttributes } = await loadConfig();
+
+  if (!config.enabled) {
+    console.log('ℹ️  Cyrillic transliteration is disabled (transliteration.enabled=false).');
+    return;
+  }
+
+  const glossary = await loadGlossary(getDefaultGlossaryPath(process.cwd()));
+  // Glossary terms match in any case, as in glossary.mjs; keepLatin terms only as written.
+  const termPatterns = [
+    buildKeepLatinPattern(
+      glossary.filter((entry) => entry.doNotTranslate).map((entry) => entry.term),
+      'giu'
+    ),
+    buildKeepLatinPattern(config.keepLatin || [], 'gu'),
+  ].filter(Boolean);
+
+  const sourceDir = config.sourceDir;
+  const targetDir = config.targetDir;
+  const componentName = path.basename(targetDir);
+
+  const sourceFiles = await listFiles(sourceDir);
+  if (!sourceFiles.length) {
+    console.error(`No files found in ${sourceDir}.`);
+    process.exit(1);
+  }
+
+  const expected = new Map();
+
+  for (const sourceFile of sourceFiles) {
+    const relative = path.relative(sourceDir, sourceFile);
+    const targetFile = path.join(targetDir, relative);
+    const content = await fs.readFile(sourceFile, 'utf8');
+
+    if (sourceFile.endsWith('.adoc')) {
+      const isNav = path.basename(sourceFile) === 'nav.adoc';
+      expected.set(
+        targetFile,
+        transliterateAdoc(content, termPatterns, isNav ? '' : config.pageLang, translatableAttributes)
+      );
+    } else if (relative === 'antora.yml') {
+      expected.set(targetFile, transliterateAntoraYml(content, componentName, termPatterns, config.titleSuffix));
+    } else {
+      expected.set(targetFile, content);
+    }
+  }
+
+  const stale = (await listFiles(targetDir)).filter((f) => !expected.has(f));
+  const outdated = [];
+
+  for (const [targetFile, content] of expected) {
+    if ((await readFileIfExists(targetFile)) !== content) outdated.push(targetFile);
+  }
+
+  if (checkOnly) {
+    if (!outdated.length && !stale.length) {
+      console.log(`✅ ${targetDir} is up to date with ${sourceDir}.`);
+      return;
+    }
+    console.log(`⛔ ${targetDir} is out of date with ${sourceDir}:`);
+    for (const f of outdated) console.log(`   - ${f} (needs regeneration)`);
+    for (const f of stale) console.log(`   - ${f} (no longer has a source file)`);
+    console.log('   Run: node scripts/transliterate-sr.mjs');
+    process.exit(1);
+  }
+
+  for (const targetFile of outdated) {
+    await fs.mkdir(path.dirname(targetFile), { recursive: true });
+    await fs.writeFile(targetFile, expected.get(targetFile), 'utf8');
+  }
+  for (const f of stale) {
+    await fs.unlink(f);
+  }
+
+  console.log(
+    `🔤 Cyrillic transliteration: ${outdated.length} file(s) written, ${stale.length} removed ` +
+    `(${sourceDir} -> ${targetDir}).`
+  );
+}
+
+main().catch((err) => {
+  console.error('❌ transliterate-sr.mjs failed with error:', err);
+  process.exit(1);
+});
@@ -7,28 +7,60 @@
 //      * checks that EVERY new source-of-truth page has an entry in its source nav
 //      * does NOT modify nav files
 //
+//  - CHECK mode: node validate-nav.mjs --check
+//      * read-only POST validation: reports nav entries the auto-sync would add or re-indent
+//        and every unresolved problem, exits 1 if there is any (no AI, no file changes)
+//
 //  - POST mode: node validate-nav.mjs
-//      * automatically syncs EN/SR nav files:
-//          - adds missing entries into the secondary nav
-//          - aligns depth (*, **, ***) in the secondary nav to match the source nav
-//          - translates the source nav entry label into the secondary language (AI, temperature 0)
+//      * automatically syncs the nav files of all configured languages (EN, SR, ...):
+//          - adds missing entries into the secondary navs
+//          - aligns depth (*, **, ***) in the secondary navs to match the source nav
+//          - translates the source nav entry label into each secondary language (AI, temperature 0)
 //      * aborts the commit only if a truly problematic situation remains
-//        (e.g., nav references a page that does not exist in EN or SR)
+//        (e.g., nav references a page that does not exist in that language)
+//
+// All modes accept --format=text|json|sarif. text (default) prints the usual
+// console output; json/sarif print one report of the issues found (file, line,
+// rule ID, severity, message) on stdout, see validation-report.mjs.
+//
+// Languages, component dirs and nav paths come from translation.config.json ("languages").
 
 import fs from "fs/promises";
 import path from "path";
-import OpenAI from "openai";
+import {
+  createProvider,
+  isProviderConfigured,
+  pickModel,
+  resolveProviderSettings,
+} from "./translation-provider.mjs";
+import {
+  langFromPath,
+  languageName,
+  loadLanguages,
+  navPath,
+  normalizeLangValue as normalizeConfiguredLang,
+  pagesRoot,
+} from "./languages.mjs";
+import { createReporter, parseFormatArg } from "./validation-report.mjs";
 
 // ---------- Constants ----------
 
-const EN_NAV_PATH = "docs-en/modules/ROOT/nav.adoc";
-const SR_NAV_PATH = "docs-sr/modules/ROOT/nav.adoc";
-
-const EN_PAGES_ROOT = "docs-en/modules/ROOT/pages";
-const SR_PAGES_ROOT = "docs-sr/modules/ROOT/pages";
+const LANGUAGES = loadLanguages();
 
 const NAV_STRICT_MODE = process.env.NAV_STRICT_MODE === "1";
 
+const RULES = {
+  "nav/missing-entry": "New source-of-truth pages have an entry in their source nav",
+  "nav/missing-page": "Nav entries reference pages that exist",
+  "nav/stale-entry": "A language nav only references pages that exist in that language",
+  "nav/inconsistent-source": "Page translations agree on :translation-source:",
+  "nav/entry-only-in-secondary": "Nav entries are added to the source-of-truth nav first",
+  "nav/out-of-sync": "Secondary navs contain every source nav entry at the same depth",
+};
+
+// Set in main() from --format (text | json | sarif).
+let reporter = null;
+
 // ---------- File helpers ----------
 
 async function fileExists(p) {
@@ -64,16 +96,15 @@ function extractAttrFromContent(content, attrName, fallback = "") {
 }
 
 function normalizeLangValue(raw, fallback = "") {
-  const v = (raw || "").trim().toLowerCase();
-  if (v.startsWith("en")) return "en";
-  if (v.startsWith("sr")) return "sr";
-  return fallback || "";
+  return normalizeConfiguredLang(LANGUAGES, raw, fallback);
+}
+
+function upper(lang) {
+  return lang.toUpperCase();
 }
 
-function defaultLangFromPath(filePath) {
-  if (filePath.startsWith("docs-en/")) return "en";
-  if (filePath.startsWith("docs-sr/")) return "sr";
-  return "";
+function listLangs(langs) {
+  return langs.map(upper).join(", ");
 }
 
 // Cache page metadata (so we don't read the same page files repeatedly)
@@ -82,11 +113,10 @@ const pageInfoCache = new Map();
 /**
  * Returns info for a page by its relative file name, e.g. "test-page-1.adoc"
  * {
- *   existsEn: bool,
- *   existsSr: bool,
- *   enPageLang: "en"|"sr"|"" ,
- *   srPageLang: "en"|"sr"|"" ,
- *   translationSource: "en"|"sr"|"" ,
+ *   exists: { en: bool, sr: bool, ... },
+ *   pageLang: { en: "en", sr: "sr", ... }   (only for existing files),
+ *   existingLangs: ["en", "sr", ...],
+ *   translationSource: "en"|"sr"|...|"" ,
  * }
  */
 async function getPageInfo(pageId) {
@@ -94,66 +124,47 @@ async function getPageInfo(pageId) {
     return pageInfoCache.get(pageId);
   }
 
-  const enPath = path.join(EN_PAGES_ROOT, pageId);
-  const srPath = path.join(SR_PAGES_ROOT, pageId);
+  const exists = {};
+  const pageLang = {};
+  const declaredSources = new Set();
+  const existingLangs = [];
 
-  const existsEn = await fileExists(enPath);
-  const existsSr = await fileExists(srPath);
+  for (const lang of LANGUAGES.codes) {
+    const pagePath = path.join(pagesRoot(LANGUAGES, lang), pageId);
+    exists[lang] = await fileExists(pagePath);
+    if (!exists[lang]) continue;
 
-  let enPageLang = "";
-  let srPageLang = "";
-  let enTranslationSource = "";
-  let srTranslationSource = "";
+    existingLangs.push(lang);
 
-  if (existsEn) {
-    const c = await readFileOrEmpty(enPath);
-    enPageLang = normalizeLangValue(
-      extractAttrFromContent(c, "page-lang", "en"),
-      "en"
+    const c = await readFileOrEmpty(pagePath);
+    pageLang[lang] = normalizeLangValue(
+      extractAttrFromContent(c, "page-lang", lang),
+      lang
     );
-    enTranslationSource = normalizeLangValue(
-      extractAttrFromContent(c, "translation-source", ""),
-      ""
-    );
-  }
 
-  if (existsSr) {
-    const c = await readFileOrEmpty(srPath);
-    srPageLang = normalizeLangValue(
-      extractAttrFromContent(c, "page-lang", "sr"),
-      "sr"
-    );
-    srTranslationSource = normalizeLangValue(
+    const declared = normalizeLangValue(
       extractAttrFromContent(c, "translation-source", ""),
       ""
     );
+    if (declared) declaredSources.add(declared);
   }
 
   // Determine source-of-truth
   let translationSource = "";
 
-  if (enTranslationSource && srTranslationSource) {
-    if (enTranslationSource === srTranslationSource) {
-      translationSource = enTranslationSource;
-    } else {
-      // Inconsistent pair metadata; keep empty and let POST validation complain later.
-      translationSource = "";
-    }
-  } else if (enTranslationSource) {
-    translationSource = enTranslationSource;
-  } else if (srTranslationSource) {
-    translationSource = srTranslationSource;
-  } else if (existsEn && !existsSr) {
-    translationSource = "en";
-  } else if (existsSr && !existsEn) {
-    translationSource = "sr";
+  if (declaredSources.size === 1) {
+    translationSource = [...declaredSources][0];
+  } else if (declaredSources.size > 1) {
+    // Inconsistent page metadata; keep empty and let POST validation complain later.
+    translationSource = "";
+  } else if (existingLangs.length === 1) {
+    translationSource = existingLangs[0];
   }
 
   const info = {
-    existsEn,
-    existsSr,
-    enPageLang,
-    srPageLang,
+    exists,
+    pageLang,
+    existingLangs,
     translationSource,
   };
 
@@ -217,100 +228,87 @@ function buildNavLine(indent, stars, target, label) {
 // ---------- PRE mode: check new source pages exist in source nav ----------
 
 async function runPreCheck(newPages) {
-  console.log("🧭 Running navigation PRE-check for new primary pages...");
+  reporter.info("🧭 Running navigation PRE-check for new primary pages...");
 
   if (!newPages || newPages.length === 0) {
-    console.log("ℹ️  No NEW .adoc pages detected for navigation PRE-check.");
+    reporter.info("ℹ️  No NEW .adoc pages detected for navigation PRE-check.");
     return 0;
   }
 
-  const missingInNav = {
-    en: [],
-    sr: [],
-  };
-
-  const enNavContent = await readFileOrEmpty(EN_NAV_PATH);
-  const srNavContent = await readFileOrEmpty(SR_NAV_PATH);
+  const missingInNav = new Map(LANGUAGES.codes.map((lang) => [lang, []]));
+  const navs = new Map();
 
-  const enNav = parseNav(enNavContent);
-  const srNav = parseNav(srNavContent);
+  for (const lang of LANGUAGES.codes) {
+    navs.set(lang, parseNav(await readFileOrEmpty(navPath(LANGUAGES, lang))));
+  }
 
   for (const pagePath of newPages) {
-    let lang = "";
-    let pageId = "";
-
-    if (pagePath.startsWith("docs-en/modules/ROOT/pages/")) {
-      lang = "en";
-      pageId = pagePath.replace("docs-en/modules/ROOT/pages/", "");
-    } else if (pagePath.startsWith("docs-sr/modules/ROOT/pages/")) {
-      lang = "sr";
-      pageId = pagePath.replace("docs-sr/modules/ROOT/pages/", "");
-    } else {
+    const lang = langFromPath(LANGUAGES, pagePath);
+    const pagesPrefix = lang ? `${pagesRoot(LANGUAGES, lang)}/` : "";
+
+    if (!lang || !pagePath.startsWith(pagesPrefix)) {
       continue;
     }
 
+    const pageId = pagePath.slice(pagesPrefix.length);
     const pageInfo = await getPageInfo(pageId);
 
     // Enforce nav entry only for the source-of-truth side
     const isSourcePage = pageInfo.translationSource === lang;
     if (!isSourcePage) continue;
 
-    const navToCheck = lang === "en" ? enNav : srNav;
-    if (!navToCheck.byTarget.has(pageId)) {
-      missingInNav[lang].push(pageId);
+    if (!navs.get(lang).byTarget.has(pageId)) {
+      missingInNav.get(lang).push(pageId);
+      reporter.record({
+        ruleId: "nav/missing-entry",
+        message: `New ${upper(lang)} source-of-truth page "${pageId}" is missing from ${upper(lang)} nav.adoc`,
+        file: navPath(LANGUAGES, lang),
+      });
     }
   }
 
-  if (missingInNav.en.length === 0 && missingInNav.sr.length === 0) {
-    console.log(
+  if ([...missingInNav.values()].every((pages) => pages.length === 0)) {
+    reporter.info(
       "✅ Navigation PRE-check passed: all new primary pages are present in nav."
     );
     return 0;
   }
 
-  console.log("⛔ Navigation PRE-check failed.\n");
+  reporter.info("⛔ Navigation PRE-check failed.\n");
 
-  if (missingInNav.en.length > 0) {
-    console.log("The following NEW EN source-of-truth pages are missing from EN nav.adoc:");
-    missingInNav.en.forEach((p) => console.log(`  - ${p}`));
-    console.log("");
+  for (const [lang, pages] of missingInNav) {
+    if (pages.length === 0) continue;
+    reporter.info(
+      `The following NEW ${upper(lang)} source-of-truth pages are missing from ${upper(lang)} nav.adoc:`
+    );
+    pages.forEach((p) => reporter.info(`  - ${p}`));
+    reporter.info("");
   }
 
-  if (missingInNav.sr.length > 0) {
-    console.log("The following NEW SR source-of-truth pages are missing from SR nav.adoc:");
-    missingInNav.sr.forEach((p) => console.log(`  - ${p}`));
-    console.log("");
+  reporter.info("How to fix PRE-check:");
+  reporter.info("  1. Open the appropriate nav file(s):");
+  for (const lang of LANGUAGES.codes) {
+    reporter.info(`       - ${navPath(LANGUAGES, lang)}`);
   }
-
-  console.log("How to fix PRE-check:");
-  console.log("  1. Open the appropriate nav file(s):");
-  console.log("       - docs-en/modules/ROOT/nav.adoc");
-  console.log("       - docs-sr/modules/ROOT/nav.adoc");
-  console.log("  2. For each new source-of-truth page listed above, add an xref entry, for example:");
-  console.log("       * xref:test-page.adoc[Some title]");
-  console.log("  3. Stage the updated nav.adoc file(s) and retry the commit.\n");
+  reporter.info("  2. For each new source-of-truth page listed above, add an xref entry, for example:");
+  reporter.info("       * xref:test-page.adoc[Some title]");
+  reporter.info("  3. Stage the updated nav.adoc file(s) and retry the commit.\n");
 
   return 1;
 }
 
 // ---------- AI label translation ----------
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
-let openaiClient = null;
+let providerSettings = null;
+let provider = null;
 
-function getOpenAIClient() {
-  if (!OPENAI_API_KEY) return null;
-  if (!openaiClient) {
-    openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
-  }
-  return openaiClient;
+function getProvider() {
+  if (!providerSettings) providerSettings = resolveProviderSettings();
+  if (!isProviderConfigured(providerSettings)) return null;
+  if (!provider) provider = createProvider(providerSettings);
+  return provider;
 }
 
-const LANGUAGE_NAMES = {
-  en: "English",
-  sr: "Serbian",
-};
-
 /**
  * Splits an ordinal prefix from a nav label.
  * Examples:
@@ -332,39 +330,31 @@ async function translateLabel(label, sourceLang, targetLang) {
 
   if (!rest) return label.trim();
 
-  const client = getOpenAIClient();
-  if (!client) {
-    console.log(
-      `⚠️  No OPENAI_API_KEY set. Using original label for nav translation (${sourceLang} -> ${targetLang}).`
+  const labelProvider = getProvider();
+  if (!labelProvider) {
+    reporter.info(
+      `⚠️  Translation provider "${providerSettings.name}" is not configured. Using original label for nav translation (${sourceLang} -> ${targetLang}).`
     );
     return label;
   }
 
-  const srcName = LANGUAGE_NAMES[sourceLang] || sourceLang;
-  const tgtName = LANGUAGE_NAMES[targetLang] || targetLang;
+  const srcName = languageName(LANGUAGES, sourceLang);
+  const tgtName = languageName(LANGUAGES, targetLang);
 
   try {
-    const response = await client.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "input_text",
-              text:
-                `Translate this Antora navigation label from ${srcName} to ${tgtName}. ` +
-                `Keep it short and natural for a sidebar menu. ` +
-                `IMPORTANT: Do NOT add or remove any numbering prefixes. Return only the translated text, no quotes, no extra text:\n\n` +
-                rest,
-            },
-          ],
-        },
-      ],
+    const result = await labelProvider.complete({
+      task: "nav-label",
+      model: pickModel(providerSettings, "nav") || "gpt-4.1-mini",
+      instructions:
+        `Translate this Antora navigation label from ${srcName} to ${tgtName}. ` +
+        `Keep it short and natural for a sidebar menu. ` +
+        `IMPORTANT: Do NOT add or remove any numbering prefixes. Return only the translated text, no quotes, no extra text.`,
+      input: rest,
       temperature: 0,
+      targetLang,
     });
 
-    let out = response.output?.[0]?.content?.[0]?.text || rest;
+    let out = result.text || rest;
     out = out.trim();
     if (!out) out = rest;
 
@@ -374,7 +364,7 @@ async function translateLabel(label, sourceLang, targetLang) {
 
     return `${prefix}${out}`.trim();
   } catch (err) {
-    console.log(
+    reporter.info(
       `⚠️  Failed to translate nav label "${label}" from ${sourceLang} to ${targetLang}:`,
       String(err)
     );
@@ -382,180 +372,218 @@ async function translateLabel(label, sourceLang, targetLang) {
   }
 }
 
-// ---------- POST mode: automatic EN/SR nav sync ----------
+// ---------- POST mode: automatic nav sync across languages ----------
 
-async function runPostSync() {
-  console.log("🧭 Running EN/SR navigation POST auto-sync...");
+async function runPostSync({ check = false } = {}) {
+  reporter.info(
+    check
+      ? `🧭 Checking ${LANGUAGES.codes.map(upper).join("/")} navigation consistency (read-only)...`
+      : `🧭 Running ${LANGUAGES.codes.map(upper).join("/")} navigation POST auto-sync...`
+  );
 
-  const enNavExists = await fileExists(EN_NAV_PATH);
-  const srNavExists = await fileExists(SR_NAV_PATH);
+  const navs = new Map();
+  for (const lang of LANGUAGES.codes) {
+    const filePath = navPath(LANGUAGES, lang);
+    const exists = await fileExists(filePath);
+    const parsed = parseNav((exists ? await readFileRequired(filePath) : "") || "");
+
+    navs.set(lang, {
+      filePath,
+      exists,
+      parsed,
+      lines: parsed.lines.slice(),
+      changed: false,
+    });
+  }
 
-  if (!enNavExists && !srNavExists) {
-    console.log(
-      "ℹ️  No EN/SR nav.adoc files found. Skipping navigation POST validation."
+  if ([...navs.values()].every((nav) => !nav.exists)) {
+    reporter.info(
+      `ℹ️  No ${LANGUAGES.codes.map(upper).join("/")} nav.adoc files found. Skipping navigation POST validation.`
     );
     return 0;
   }
 
-  const enNavContent = enNavExists ? await readFileRequired(EN_NAV_PATH) : "";
-  const srNavContent = srNavExists ? await readFileRequired(SR_NAV_PATH) : "";
-
-  const enNav = parseNav(enNavContent || "");
-  const srNav = parseNav(srNavContent || "");
-
   const allTargets = new Set();
-  for (const e of enNav.entries) allTargets.add(e.target);
-  for (const e of srNav.entries) allTargets.add(e.target);
-
-  const enLines = enNav.lines.slice();
-  const srLines = srNav.lines.slice();
-
-  let enNavChanged = false;
-  let srNavChanged = false;
+  for (const nav of navs.values()) {
+    for (const e of nav.parsed.entries) allTargets.add(e.target);
+  }
 
   const unresolvedProblems = [];
+  let outOfSyncCount = 0;
+  const addProblem = (ruleId, message, location) => {
+    unresolvedProblems.push({ ruleId, message, ...location });
+  };
+  const navEntryLocation = (lang, target) => {
+    const entry = navs.get(lang).parsed.byTarget.get(target);
+    return { file: navs.get(lang).filePath, line: entry ? entry.lineIndex + 1 : null };
+  };
 
   for (const target of allTargets) {
     const pageId = target;
 
     const info = await getPageInfo(pageId);
-    const enEntry = enNav.byTarget.get(target) || null;
-    const srEntry = srNav.byTarget.get(target) || null;
-
-    if (!info.existsEn && !info.existsSr) {
-      unresolvedProblems.push(
-        `Nav references page "${pageId}" but the page does not exist in EN or SR.`
+    const entryIn = (lang) => navs.get(lang).parsed.byTarget.get(target) || null;
+
+    if (info.existingLangs.length === 0) {
+      const referencingLang = LANGUAGES.codes.find((lang) => entryIn(lang));
+      addProblem(
+        "nav/missing-page",
+        `Nav references page "${pageId}" but the page does not exist in ${listLangs(LANGUAGES.codes)}.`,
+        navEntryLocation(referencingLang, target)
       );
       continue;
     }
 
-    // If only one side exists, nav on the missing side must not reference it.
-    if (info.existsEn && !info.existsSr) {
-      if (srEntry) {
-        unresolvedProblems.push(
-          `SR nav references "${pageId}" but the SR page does not exist.`
+    // Nav of a language where the page is missing must not reference it.
+    for (const lang of LANGUAGES.codes) {
+      if (!info.exists[lang] && entryIn(lang)) {
+        addProblem(
+          "nav/stale-entry",
+          `${upper(lang)} nav references "${pageId}" but the ${upper(lang)} page does not exist.`,
+          navEntryLocation(lang, target)
         );
       }
-      continue;
     }
 
-    if (info.existsSr && !info.existsEn) {
-      if (enEntry) {
-        unresolvedProblems.push(
-          `EN nav references "${pageId}" but the EN page does not exist.`
-        );
-      }
+    if (info.existingLangs.length === 1) {
       continue;
     }
 
-    // Both sides exist. Source-of-truth comes from :translation-source:
-    let primaryLang = info.translationSource;
-    let secondaryLang = primaryLang === "en" ? "sr" : "en";
+    // Several languages exist. Source-of-truth comes from :translation-source:
+    const primaryLang = info.translationSource;
 
-    if (!primaryLang) {
-      unresolvedProblems.push(
-        `Page pair "${pageId}" has inconsistent or missing :translation-source: metadata between EN and SR files.`
+    if (!primaryLang || !info.exists[primaryLang]) {
+      addProblem(
+        "nav/inconsistent-source",
+        `Page "${pageId}" has inconsistent or missing :translation-source: metadata between ${listLangs(info.existingLangs)} files.`,
+        { file: path.join(pagesRoot(LANGUAGES, info.existingLangs[0]), pageId) }
       );
       continue;
     }
 
-    const primaryNav = primaryLang === "en" ? enNav : srNav;
-    const secondaryNav = primaryLang === "en" ? srNav : enNav;
-    const secondaryLines = primaryLang === "en" ? srLines : enLines;
-
-    const setSecondaryChanged =
-      primaryLang === "en"
-        ? (v) => {
-            srNavChanged = srNavChanged || v;
-          }
-        : (v) => {
-            enNavChanged = enNavChanged || v;
-          };
-
-    const primaryEntry = primaryNav.byTarget.get(target) || null;
-    const secondaryEntry = secondaryNav.byTarget.get(target) || null;
+    const secondaryLangs = info.existingLangs.filter((lang) => lang !== primaryLang);
+    const primaryEntry = entryIn(primaryLang);
 
     // Source nav must contain the canonical entry.
-    if (!primaryEntry && secondaryEntry) {
-      unresolvedProblems.push(
-        `Page "${pageId}" is source-of-truth in ${primaryLang.toUpperCase()}, but nav entry exists only in ${secondaryLang.toUpperCase()} nav. Please add it manually to ${primaryLang.toUpperCase()} nav.`
-      );
-      continue;
-    }
-
     if (!primaryEntry) {
+      const withEntry = secondaryLangs.filter((lang) => entryIn(lang));
+      if (withEntry.length) {
+        addProblem(
+          "nav/entry-only-in-secondary",
+          `Page "${pageId}" is source-of-truth in ${upper(primaryLang)}, but nav entry exists only in ${listLangs(withEntry)} nav. Please add it manually to ${upper(primaryLang)} nav.`,
+          { file: navs.get(primaryLang).filePath }
+        );
+      }
       continue;
     }
 
-    const newSecondaryLabel =
-      primaryLang === secondaryLang
-        ? primaryEntry.label
-        : await translateLabel(primaryEntry.label, primaryLang, secondaryLang);
+    for (const secondaryLang of secondaryLangs) {
+      const secondaryNav = navs.get(secondaryLang);
+      const secondaryEntry = entryIn(secondaryLang);
+
+      // Read-only mode: report what the auto-sync would change (labels need AI and are not compared).
+      if (check) {
+        if (!secondaryEntry) {
+          outOfSyncCount++;
+          reporter.report({
+            ruleId: "nav/out-of-sync",
+            message: `${upper(secondaryLang)} nav has no entry for page ${pageId} (present in ${upper(primaryLang)} nav).`,
+            file: secondaryNav.filePath,
+          });
+        } else if (
+          secondaryEntry.indent !== primaryEntry.indent ||
+          secondaryEntry.stars !== primaryEntry.stars
+        ) {
+          outOfSyncCount++;
+          reporter.report({
+            ruleId: "nav/out-of-sync",
+            message: `${upper(secondaryLang)} nav entry for page ${pageId} has depth "${secondaryEntry.stars}", ${upper(primaryLang)} nav has "${primaryEntry.stars}".`,
+            file: secondaryNav.filePath,
+            line: secondaryEntry.lineIndex + 1,
+          });
+        }
+        continue;
+      }
 
-    const newSecondaryLine = buildNavLine(
-      primaryEntry.indent,
-      primaryEntry.stars,
-      target,
-      newSecondaryLabel
-    );
+      const newSecondaryLabel = await translateLabel(primaryEntry.label, primaryLang, secondaryLang);
 
-    if (!secondaryEntry) {
-      console.log(
-        `🧭 Adding nav entry in ${secondaryLang.toUpperCase()} nav for page ${pageId}`
+      const newSecondaryLine = buildNavLine(
+        primaryEntry.indent,
+        primaryEntry.stars,
+        target,
+        newSecondaryLabel
       );
-      secondaryLines.push(newSecondaryLine);
-      setSecondaryChanged(true);
-    } else {
-      const needUpdate =
-        secondaryEntry.indent !== primaryEntry.indent ||
-        secondaryEntry.stars !== primaryEntry.stars ||
-        secondaryEntry.target !== primaryEntry.target ||
-        secondaryEntry.label !== newSecondaryLabel;
-
-      if (needUpdate) {
-        console.log(
-          `🧭 Updating nav entry in ${secondaryLang.toUpperCase()} nav for page ${pageId}`
+
+      if (!secondaryEntry) {
+        reporter.info(
+          `🧭 Adding nav entry in ${upper(secondaryLang)} nav for page ${pageId}`
         );
-        secondaryLines[secondaryEntry.lineIndex] = newSecondaryLine;
-        setSecondaryChanged(true);
+        secondaryNav.lines.push(newSecondaryLine);
+        secondaryNav.changed = true;
+      } else {
+        const needUpdate =
+          secondaryEntry.indent !== primaryEntry.indent ||
+          secondaryEntry.stars !== primaryEntry.stars ||
+          secondaryEntry.target !== primaryEntry.target ||
+          secondaryEntry.label !== newSecondaryLabel;
+
+        if (needUpdate) {
+          reporter.info(
+            `🧭 Updating nav entry in ${upper(secondaryLang)} nav for page ${pageId}`
+          );
+          secondaryNav.lines[secondaryEntry.lineIndex] = newSecondaryLine;
+          secondaryNav.changed = true;
+        }
       }
     }
   }
 
-  if (enNavExists && enNavChanged) {
-    console.log("🧭 Writing updated EN nav.adoc (auto-synced)...");
-    await fs.writeFile(EN_NAV_PATH, enLines.join("\n"), "utf8");
-  }
-  if (srNavExists && srNavChanged) {
-    console.log("🧭 Writing updated SR nav.adoc (auto-synced)...");
-    await fs.writeFile(SR_NAV_PATH, srLines.join("\n"), "utf8");
+  for (const [lang, nav] of navs) {
+    if (!check && nav.exists && nav.changed) {
+      reporter.info(`🧭 Writing updated ${upper(lang)} nav.adoc (auto-synced)...`);
+      await fs.writeFile(nav.filePath, nav.lines.join("\n"), "utf8");
+    }
   }
 
   if (unresolvedProblems.length > 0) {
-    console.log("⛔ Navigation POST validation found unresolved issues:\n");
-    for (const msg of unresolvedProblems) {
-      console.log("  - " + msg);
+    reporter.info("⛔ Navigation POST validation found unresolved issues:\n");
+    for (const problem of unresolvedProblems) {
+      reporter.info("  - " + problem.message);
+      reporter.record({ ...problem, severity: check || NAV_STRICT_MODE ? "error" : "warning" });
+    }
+    reporter.info("\nHow to fix:");
+    reporter.info("  1. Open the nav files:");
+    for (const nav of navs.values()) {
+      reporter.info("       - " + nav.filePath);
     }
-    console.log("\nHow to fix:");
-    console.log("  1. Open both nav files:");
-    console.log("       - " + EN_NAV_PATH);
-    console.log("       - " + SR_NAV_PATH);
-    console.log("  2. Resolve the issues listed above (e.g. remove stale nav entries,");
-    console.log("     or create the missing page files).");
-    console.log("  3. Stage the nav files and retry the commit.\n");
-
-    if (NAV_STRICT_MODE) {
+    reporter.info("  2. Resolve the issues listed above (e.g. remove stale nav entries,");
+    reporter.info("     or create the missing page files).");
+    reporter.info("  3. Stage the nav files and retry the commit.\n");
+
+    if (check || NAV_STRICT_MODE) {
       return 1;
     } else {
-      console.log(
+      reporter.info(
         "⚠️  NAV_STRICT_MODE is DISABLED – allowing commit despite unresolved nav issues."
       );
       return 0;
     }
   }
 
-  console.log(
-    "✅ Navigation POST auto-sync & validation passed. EN and SR nav files are consistent."
+  if (check) {
+    if (outOfSyncCount > 0) {
+      reporter.info(
+        `⛔ Navigation check failed: ${outOfSyncCount} nav entr${outOfSyncCount === 1 ? "y is" : "ies are"} out of sync. ` +
+        "Run node scripts/validate-nav.mjs to auto-sync them."
+      );
+      return 1;
+    }
+    reporter.info(`✅ Navigation check passed. ${LANGUAGES.codes.map(upper).join(" and ")} nav files are consistent.`);
+    return 0;
+  }
+
+  reporter.info(
+    `✅ Navigation POST auto-sync & validation passed. ${LANGUAGES.codes.map(upper).join(" and ")} nav files are consistent.`
   );
   return 0;
 }
@@ -563,15 +591,32 @@ async function runPostSync() {
 // ---------- main ----------
 
 async function main() {
-  const args = process.argv.slice(2);
+  let format;
+  let args;
+  try {
+    ({ format, args } = parseFormatArg(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  reporter = createReporter({ tool: "validate-nav", rules: RULES, format });
+
+  let code;
+  let mode;
   if (args[0] === "--pre") {
     const newPages = args.slice(1);
-    const code = await runPreCheck(newPages);
-    process.exit(code);
+    mode = "pre";
+    code = await runPreCheck(newPages);
+  } else if (args[0] === "--check") {
+    mode = "check";
+    code = await runPostSync({ check: true });
   } else {
-    const code = await runPostSync();
-    process.exit(code);
+    mode = "post";
+    code = await runPostSync();
   }
+
+  reporter.finish({ mode, strict: NAV_STRICT_MODE });
+  process.exit(code);
 }
 
 main().catch((err) => {
@@ -1,10 +1,29 @@
 // validate-translation.mjs
 // Validates that the translated AsciiDoc target file preserves the structure
 // of the source file. Checks:
-// - Heading markers (=, ==, ===) alignment
-// - Code/literal blocks position and content
-// - Counts of xref:, include::, image:: macros
-// - Attribute lines (names) consistency
+// - Block tree parsed with Asciidoctor.js (sections and their levels, lists,
+//   tables, admonitions, listings), mismatches reported by section path
+// - Code/literal/passthrough/comment blocks position and content
+//   (Mermaid/PlantUML diagrams: same graph, labels may be translated only with
+//   features.translateDiagramLabels; XML/DataWeave blocks with translated
+//   comments: same code, see code-comments.mjs)
+// - Tables, sidebars, example, quote and open blocks: same sequence, same
+//   block attribute lines (table options, [NOTE] ...) and same table cell separators
+// - Admonition labels (NOTE:, TIP:, ...)
+// - xref targets, include/image paths, anchors and block IDs: same values
+//   in the same order, with a precise diff of what changed
+// - Attribute lines: same names and identical values, except for the attributes
+//   in translatableAttributes (:description:, :keywords:, ...) and :page-lang:
+// - Glossary term consistency (translation.glossary.json), as error or warning
+//   depending on glossary.validation (error | warn | off)
+// - Translation quality (translation-quality.mjs): untranslated prose segments,
+//   target/source length ratio outliers and dropped/duplicated *bold*, _italic_
+//   and `monospace` markers; each as error | warn | off via "quality" in the config
+//
+// Usage:
+//   node validate-translation.mjs [--format=text|json|sarif] <sourceFile.adoc> <targetFile.adoc>
+// text (default) prints human-oriented lines; json/sarif print one report with
+// file, line, rule ID, severity and message per issue (see validation-report.mjs).
 //
 // If postTranslationValidation is disabled in translation.config.json,
 // this script exits successfully without validation.
@@ -15,11 +34,45 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { compareAdocStructure } from './adoc-ast.mjs';
+import {
+  DEFAULT_TRANSLATABLE_ATTRIBUTES,
+  blockDelimiterKind,
+  collectCompoundBlocks,
+  collectVerbatimBlocks,
+  isBlockAttributeLine,
+  isTranslatableAttribute,
+  tableCellSeparators,
+} from './adoc-blocks.mjs';
+import { compareReferences } from './adoc-references.mjs';
+import { collectCommentBlocks, compareCodeSkeletons, translatesAllComments } from './code-comments.mjs';
+import { collectDiagramBlocks, compareDiagramSkeletons } from './diagram-labels.mjs';
+import {
+  checkGlossaryUsage,
+  getDefaultGlossaryPath,
+  loadGlossary,
+} from './glossary.mjs';
+import { DEFAULT_QUALITY_OPTIONS, checkTranslationQuality } from './translation-quality.mjs';
+import { createReporter, parseFormatArg } from './validation-report.mjs';
 
 async function loadConfig() {
   const defaultConfig = {
     features: {
       postTranslationValidation: true,
+      translateDiagramLabels: false,
+    },
+    glossary: {
+      validation: 'warn',
+    },
+    quality: {
+      untranslated: 'error',
+      lengthRatio: 'warn',
+      inlineMarkers: 'warn',
+      ...DEFAULT_QUALITY_OPTIONS,
+    },
+    translatableAttributes: DEFAULT_TRANSLATABLE_ATTRIBUTES,
+    codeComments: {
+      targetLanguages: [],
     },
   };
 
@@ -36,6 +89,14 @@ async function loadConfig() {
         ...defaultConfig.features,
         ...(parsed.features || {}),
       },
+      glossary: {
+        ...defaultConfig.glossary,
+        ...(parsed.glossary || {}),
+      },
+      quality: {
+        ...defaultConfig.quality,
+        ...(parsed.quality || {}),
+      },
     };
   } catch {
     return defaultConfig;
@@ -46,105 +107,62 @@ function splitLines(content) {
   return content.split('\n');
 }
 
-function matchHeading(line) {
-  const m = line.match(/^(\s*)(=+)(\s+)(.+)$/);
-  if (!m) return null;
-  return {
-    indent: m[1],
-    marks: m[2],
-    space: m[3],
-    text: m[4],
-  };
-}
-
 function extractAttributeName(line) {
   const m = line.match(/^:([^:]+):/);
   return m ? m[1].trim() : null;
 }
 
-function isListingBlockAttributeLine(line) {
-  const trimmed = line.trim();
-  return /^\[(source|listing|literal)(%[^\]]+)?(?:,[^\]]*)?\]$/i.test(trimmed);
+// name -> [{ value, line }] of every attribute entry, in document order.
+function collectAttributeEntries(lines) {
+  const entries = new Map();
+  lines.forEach((line, idx) => {
+    const name = extractAttributeName(line);
+    if (!name || shouldIgnoreAttributeName(name)) return;
+    if (!entries.has(name)) entries.set(name, []);
+    entries.get(name).push({ value: line.replace(/^:[^:]+:/, '').trim(), line: idx + 1 });
+  });
+  return entries;
 }
 
-function isBacktickFence(line) {
-  return /^```/.test(line.trim());
-}
+const ADMONITION_LABEL_RE = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s/;
 
-function isSupportedDelimiter(line) {
-  const trimmed = line.trim();
-  return trimmed === '----' || trimmed === '....' || isBacktickFence(trimmed);
+function isInsideBlocks(blocks, lineIndex) {
+  return blocks.some((b) => lineIndex >= b.start && lineIndex <= b.end);
 }
 
-function findClosingDelimiter(lines, startIndex, openerLine) {
-  const openerTrimmed = openerLine.trim();
-
-  if (isBacktickFence(openerTrimmed)) {
-    for (let i = startIndex + 1; i < lines.length; i++) {
-      if (isBacktickFence(lines[i])) {
-        return i;
-      }
-    }
-    return -1;
+// Cell separators of a table, row line by row line (skipping nested verbatim blocks).
+function collectTableCells(lines, table, verbatimBlocks) {
+  const cells = [];
+  for (let i = table.start + 1; i < table.end; i++) {
+    if (isInsideBlocks(verbatimBlocks, i) || isBlockDelimiterOrAttribute(lines[i])) continue;
+    cells.push(...tableCellSeparators(lines[i]));
   }
-
-  for (let i = startIndex + 1; i < lines.length; i++) {
-    if (lines[i].trim() === openerTrimmed) {
-      return i;
-    }
-  }
-
-  return -1;
+  return cells;
 }
 
-function collectCodeBlocks(lines) {
-  const blocks = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const currentLine = lines[i];
-    const nextLine = i + 1 < lines.length ? lines[i + 1] : null;
-
-    if (
-      isListingBlockAttributeLine(currentLine) &&
-      nextLine !== null &&
-      isSupportedDelimiter(nextLine)
-    ) {
-      const closingIndex = findClosingDelimiter(lines, i + 1, nextLine);
-      if (closingIndex !== -1) {
-        blocks.push({
-          type: nextLine.trim() === '....' ? 'literal' : 'source',
-          start: i,
-          end: closingIndex,
-        });
-        i = closingIndex + 1;
-        continue;
-      }
-    }
-
-    if (isSupportedDelimiter(currentLine)) {
-      const closingIndex = findClosingDelimiter(lines, i, currentLine);
-      if (closingIndex !== -1) {
-        blocks.push({
-          type: currentLine.trim() === '....' ? 'literal' : 'source',
-          start: i,
-          end: closingIndex,
-        });
-        i = closingIndex + 1;
-        continue;
-      }
-    }
+function isBlockDelimiterOrAttribute(line) {
+  return blockDelimiterKind(line) !== null || isBlockAttributeLine(line);
+}
 
-    i += 1;
-  }
+function collectAdmonitionLabels(lines, verbatimBlocks) {
+  const labels = [];
+  lines.forEach((line, idx) => {
+    const m = line.match(ADMONITION_LABEL_RE);
+    if (m && !isInsideBlocks(verbatimBlocks, idx)) labels.push(m[1]);
+  });
+  return labels;
+}
 
-  return blocks;
+function describeCompoundBlock(block) {
+  return `${block.kind} ${block.delimiter}${block.attributes ? ` ${block.attributes}` : ''}`;
 }
 
-function countMatches(text, pattern) {
-  const re = new RegExp(pattern, 'g');
-  const matches = text.match(re);
-  return matches ? matches.length : 0;
+function extractPageLang(content, filePath) {
+  const m = content.match(/^:page-lang:\s*(.+)\s*$/im);
+  if (m) return m[1].trim().toLowerCase();
+
+  const folder = filePath.replace(/\\/g, '/').match(/(?:^|\/)docs-([a-z]+)\//);
+  return folder ? folder[1] : '';
 }
 
 function shouldIgnoreAttributeName(name) {
@@ -156,25 +174,83 @@ function shouldIgnoreAttributeName(name) {
   return false;
 }
 
+// Attributes whose values may differ between source and target.
+function mayDifferInValue(name, translatableAttributes) {
+  return name.toLowerCase() === 'page-lang' || isTranslatableAttribute(name, translatableAttributes);
+}
+
+const RULES = {
+  'structure/block-tree': 'Block tree (sections, lists, tables, admonitions, listings) matches the source',
+  'verbatim/count': 'Same number of code/literal/passthrough/comment blocks',
+  'verbatim/kind': 'Same kind of verbatim block at each position',
+  'verbatim/line-count': 'Verbatim blocks keep their line count',
+  'verbatim/content': 'Verbatim block content is unchanged',
+  'diagram/graph': 'Diagrams keep their graph (ids, arrows, directives)',
+  'code/comments': 'Code blocks with translated comments keep their code',
+  'compound/count': 'Same number of tables, sidebars, example, quote and open blocks',
+  'compound/attributes': 'Compound blocks keep their delimiter and block attributes',
+  'table/cells': 'Tables keep their cell separators',
+  'admonition/labels': 'Admonition labels (NOTE:, TIP:, ...) are unchanged',
+  'references/xref': 'xref targets are unchanged and in the same order',
+  'references/include': 'include paths are unchanged and in the same order',
+  'references/image': 'image paths are unchanged and in the same order',
+  'references/anchor': 'Anchors are unchanged and in the same order',
+  'references/blockId': 'Block IDs are unchanged and in the same order',
+  'attributes/names': 'Same document attributes in source and target',
+  'attributes/values': 'Attribute values are unchanged, except for translatable attributes',
+  'glossary/term': 'Glossary terms are rendered as defined in the glossary',
+  'quality/untranslated': 'Prose segments are translated, not copied from the source',
+  'quality/length-ratio': 'Target/source length ratio of a segment is within the expected range',
+  'quality/inline-markers': 'Bold, italic and monospace markers are neither dropped nor duplicated',
+};
+
+const QUALITY_RULES = {
+  untranslated: 'quality/untranslated',
+  lengthRatio: 'quality/length-ratio',
+  inlineMarkers: 'quality/inline-markers',
+};
+
+function capitalize(text) {
+  return `${text[0].toUpperCase()}${text.slice(1)}`;
+}
+
 async function main() {
-  const [, , sourcePath, targetPath] = process.argv;
+  let format;
+  let args;
+  try {
+    ({ format, args } = parseFormatArg(process.argv.slice(2)));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const [sourcePath, targetPath] = args;
 
   if (!sourcePath || !targetPath) {
     console.error(
-      'Usage: node validate-translation.mjs <sourceFile.adoc> <targetFile.adoc>'
+      'Usage: node validate-translation.mjs [--format=text|json|sarif] <sourceFile.adoc> <targetFile.adoc>'
     );
     process.exit(1);
   }
 
+  const reporter = createReporter({ tool: 'validate-translation', rules: RULES, format });
+  const files = { source: sourcePath, target: targetPath };
+
+  // Issues are located in TARGET when the target has a line for them, otherwise in SOURCE.
+  const at = (targetLine, sourceLine) =>
+    targetLine || !sourceLine
+      ? { file: targetPath, line: targetLine || null }
+      : { file: sourcePath, line: sourceLine };
+
   const config = await loadConfig();
   if (!config.features.postTranslationValidation) {
-    console.log(
+    reporter.info(
       'Validation is disabled by config (postTranslationValidation=false). Skipping.'
     );
+    reporter.finish({ files, skipped: true });
     process.exit(0);
   }
 
-  console.log(`Validating translation structure: ${sourcePath} -> ${targetPath}`);
+  reporter.info(`Validating translation structure: ${sourcePath} -> ${targetPath}`);
 
   const [sourceContent, targetContent] = await Promise.all([
     fs.readFile(sourcePath, 'utf8'),
@@ -184,53 +260,45 @@ async function main() {
   const sourceLines = splitLines(sourceContent);
   const targetLines = splitLines(targetContent);
 
-  let hasError = false;
-
-  // 1) Heading markers
-  const maxLines = Math.min(sourceLines.length, targetLines.length);
-  for (let i = 0; i < maxLines; i++) {
-    const sourceHeading = matchHeading(sourceLines[i]);
-    const targetHeading = matchHeading(targetLines[i]);
-
-    if (sourceHeading && targetHeading) {
-      if (sourceHeading.marks !== targetHeading.marks) {
-        console.error(
-          `ERROR: Heading level mismatch at line ${i + 1}: SOURCE="${sourceHeading.marks}" TARGET="${targetHeading.marks}"`
-        );
-        hasError = true;
-      }
-    } else if (sourceHeading && !targetHeading) {
-      console.error(
-        `ERROR: SOURCE has a heading at line ${i + 1}, but TARGET does not: "${sourceLines[i]}"`
-      );
-      hasError = true;
-    } else if (!sourceHeading && targetHeading) {
-      console.error(
-        `ERROR: TARGET has a heading at line ${i + 1}, but SOURCE does not: "${targetLines[i]}"`
-      );
-      hasError = true;
-    }
+  // 1) Block tree (sections, lists, tables, admonitions, listings), reported by section path
+  for (const issue of compareAdocStructure(sourceContent, targetContent)) {
+    reporter.report({
+      ruleId: 'structure/block-tree',
+      message: `[${issue.path}] ${issue.message}`,
+      ...at(issue.targetLine, issue.sourceLine),
+    });
   }
 
-  // 2) Code/literal blocks alignment and content
-  const sourceBlocks = collectCodeBlocks(sourceLines);
-  const targetBlocks = collectCodeBlocks(targetLines);
+  // 2) Code/literal/passthrough/comment blocks alignment and content
+  const sourceBlocks = collectVerbatimBlocks(sourceLines);
+  const targetBlocks = collectVerbatimBlocks(targetLines);
+  // Without translateDiagramLabels, diagrams are compared line by line like any other block.
+  const sourceDiagramStarts = new Set(
+    config.features.translateDiagramLabels ? collectDiagramBlocks(sourceLines).map((block) => block.start) : []
+  );
+  const sourceCommentBlocks = new Map(
+    collectCommentBlocks(sourceLines, {
+      allBlocks: translatesAllComments(config, extractPageLang(targetContent, targetPath)),
+    }).map((block) => [block.start, block])
+  );
 
   if (sourceBlocks.length !== targetBlocks.length) {
-    console.error(
-      `ERROR: Number of code/literal blocks differs: SOURCE=${sourceBlocks.length}, TARGET=${targetBlocks.length}`
-    );
-    hasError = true;
+    reporter.report({
+      ruleId: 'verbatim/count',
+      message: `Number of code/literal blocks differs: SOURCE=${sourceBlocks.length}, TARGET=${targetBlocks.length}`,
+      file: targetPath,
+    });
   } else {
     for (let i = 0; i < sourceBlocks.length; i++) {
       const sb = sourceBlocks[i];
       const tb = targetBlocks[i];
 
-      if (sb.type !== tb.type) {
-        console.error(
-          `ERROR: Block type mismatch at block #${i + 1}: SOURCE=${sb.type}, TARGET=${tb.type}`
-        );
-        hasError = true;
+      if (sb.kind !== tb.kind) {
+        reporter.report({
+          ruleId: 'verbatim/kind',
+          message: `Block type mismatch at block #${i + 1}: SOURCE=${sb.kind}, TARGET=${tb.kind}`,
+          ...at(tb.start + 1),
+        });
         continue;
       }
 
@@ -238,88 +306,239 @@ async function main() {
       const targetBlockLines = targetLines.slice(tb.start, tb.end + 1);
 
       if (sourceBlockLines.length !== targetBlockLines.length) {
-        console.error(
-          `ERROR: Code block #${i + 1} line count differs: SOURCE=${sourceBlockLines.length}, TARGET=${targetBlockLines.length}`
-        );
-        hasError = true;
+        reporter.report({
+          ruleId: 'verbatim/line-count',
+          message: `Code block #${i + 1} line count differs: SOURCE=${sourceBlockLines.length}, TARGET=${targetBlockLines.length}`,
+          ...at(tb.start + 1),
+        });
+        continue;
+      }
+
+      // Diagrams may carry translated labels; their graph (ids, arrows, directives) must not change.
+      if (sourceDiagramStarts.has(sb.start)) {
+        const difference = compareDiagramSkeletons(sourceBlockLines, targetBlockLines);
+        if (difference) {
+          reporter.report({
+            ruleId: 'diagram/graph',
+            message: `Diagram in block #${i + 1} changed its graph at relative line ${difference.line} (source global line ${sb.start + difference.line}).`,
+            details: [`SOURCE: "${difference.source}"`, `TARGET: "${difference.target}"`],
+            ...at(tb.start + difference.line),
+          });
+        }
+        continue;
+      }
+
+      // Comments of XML/DataWeave blocks may be translated; the code must not change.
+      if (sourceCommentBlocks.has(sb.start)) {
+        const difference = compareCodeSkeletons(sourceBlockLines, targetBlockLines, sourceCommentBlocks.get(sb.start).language);
+        if (difference) {
+          reporter.report({
+            ruleId: 'code/comments',
+            message: `Code block #${i + 1} with translated comments changed its code at relative line ${difference.line} (source global line ${sb.start + difference.line}).`,
+            details: [`SOURCE: "${difference.source}"`, `TARGET: "${difference.target}"`],
+            ...at(tb.start + difference.line),
+          });
+        }
         continue;
       }
 
       for (let j = 0; j < sourceBlockLines.length; j++) {
         if (sourceBlockLines[j] !== targetBlockLines[j]) {
-          console.error(
-            `ERROR: Code block #${i + 1} mismatch at relative line ${j + 1} (source global line ${sb.start + j + 1}).`
-          );
-          console.error(`       SOURCE: "${sourceBlockLines[j]}"`);
-          console.error(`       TARGET: "${targetBlockLines[j]}"`);
-          hasError = true;
+          reporter.report({
+            ruleId: 'verbatim/content',
+            message: `Code block #${i + 1} mismatch at relative line ${j + 1} (source global line ${sb.start + j + 1}).`,
+            details: [`SOURCE: "${sourceBlockLines[j]}"`, `TARGET: "${targetBlockLines[j]}"`],
+            ...at(tb.start + j + 1),
+          });
           break;
         }
       }
     }
   }
 
-  // 3) xref, include::, image:: counts
-  const macroChecks = [
-    { name: 'xref', pattern: 'xref:' },
-    { name: 'include', pattern: 'include::' },
-    { name: 'image', pattern: 'image::' },
-  ];
-
-  for (const mc of macroChecks) {
-    const sourceCount = countMatches(sourceContent, mc.pattern);
-    const targetCount = countMatches(targetContent, mc.pattern);
-    if (sourceCount !== targetCount) {
-      console.error(
-        `ERROR: Macro count mismatch for "${mc.name}": SOURCE=${sourceCount}, TARGET=${targetCount}`
-      );
-      hasError = true;
-    }
-  }
+  // 3) Compound blocks (tables, sidebars, example, quote, open) and admonitions
+  const sourceCompound = collectCompoundBlocks(sourceLines);
+  const targetCompound = collectCompoundBlocks(targetLines);
 
-  // 4) Attribute lines (names only)
-  const sourceAttrs = new Set();
-  const targetAttrs = new Set();
+  if (sourceCompound.length !== targetCompound.length) {
+    reporter.report({
+      ruleId: 'compound/count',
+      message: `Number of tables/sidebars/example/quote/open blocks differs: SOURCE=${sourceCompound.length}, TARGET=${targetCompound.length}`,
+      file: targetPath,
+    });
+  } else {
+    for (let i = 0; i < sourceCompound.length; i++) {
+      const sb = sourceCompound[i];
+      const tb = targetCompound[i];
+
+      if (describeCompoundBlock(sb) !== describeCompoundBlock(tb)) {
+        reporter.report({
+          ruleId: 'compound/attributes',
+          message: `Block #${i + 1} differs (source line ${sb.start + 1}): SOURCE="${describeCompoundBlock(sb)}", TARGET="${describeCompoundBlock(tb)}"`,
+          ...at(tb.start + 1),
+        });
+        continue;
+      }
 
-  for (const line of sourceLines) {
-    const name = extractAttributeName(line);
-    if (name && !shouldIgnoreAttributeName(name)) {
-      sourceAttrs.add(name);
+      if (sb.kind === 'table') {
+        const sourceCells = collectTableCells(sourceLines, sb, sourceBlocks).join(' ');
+        const targetCells = collectTableCells(targetLines, tb, targetBlocks).join(' ');
+        if (sourceCells !== targetCells) {
+          reporter.report({
+            ruleId: 'table/cells',
+            message: `Table #${i + 1} (source line ${sb.start + 1}) cell separators differ: SOURCE="${sourceCells}", TARGET="${targetCells}"`,
+            ...at(tb.start + 1),
+          });
+        }
+      }
     }
   }
 
-  for (const line of targetLines) {
-    const name = extractAttributeName(line);
-    if (name && !shouldIgnoreAttributeName(name)) {
-      targetAttrs.add(name);
+  const sourceAdmonitions = collectAdmonitionLabels(sourceLines, sourceBlocks).join(', ');
+  const targetAdmonitions = collectAdmonitionLabels(targetLines, targetBlocks).join(', ');
+  if (sourceAdmonitions !== targetAdmonitions) {
+    reporter.report({
+      ruleId: 'admonition/labels',
+      message: `Admonition labels differ: SOURCE=[${sourceAdmonitions}], TARGET=[${targetAdmonitions}]`,
+      file: targetPath,
+    });
+  }
+
+  // 4) xref targets, include/image paths, anchors and block IDs (exact, in order)
+  for (const { kind, label, diff, source, target } of compareReferences(sourceContent, targetContent)) {
+    const ruleId = `references/${kind}`;
+
+    for (const d of diff) {
+      if (d.type === 'changed') {
+        const targetLine = target[d.targetIndex - 1].line;
+        reporter.report({
+          ruleId,
+          message: `${capitalize(label)} #${d.sourceIndex} changed (source line ${source[d.sourceIndex - 1].line}, target line ${targetLine}): SOURCE="${d.source}", TARGET="${d.target}"`,
+          ...at(targetLine),
+        });
+      } else if (d.type === 'missing') {
+        const sourceLine = source[d.sourceIndex - 1].line;
+        reporter.report({
+          ruleId,
+          message: `${capitalize(label)} "${d.source}" (source line ${sourceLine}) is missing in TARGET`,
+          ...at(null, sourceLine),
+        });
+      } else {
+        const targetLine = target[d.targetIndex - 1].line;
+        reporter.report({
+          ruleId,
+          message: `${capitalize(label)} "${d.target}" (target line ${targetLine}) is not in SOURCE`,
+          ...at(targetLine),
+        });
+      }
     }
   }
 
-  const sourceOnly = [...sourceAttrs].filter((n) => !targetAttrs.has(n));
-  const targetOnly = [...targetAttrs].filter((n) => !sourceAttrs.has(n));
+  // 5) Attribute lines: names, and values outside translatableAttributes
+  const sourceAttrs = collectAttributeEntries(sourceLines);
+  const targetAttrs = collectAttributeEntries(targetLines);
+
+  const sourceOnly = [...sourceAttrs.keys()].filter((n) => !targetAttrs.has(n));
+  const targetOnly = [...targetAttrs.keys()].filter((n) => !sourceAttrs.has(n));
 
   if (sourceOnly.length > 0) {
-    console.error(
-      `ERROR: Attributes present only in SOURCE: ${sourceOnly.join(', ')}`
-    );
-    hasError = true;
+    reporter.report({
+      ruleId: 'attributes/names',
+      message: `Attributes present only in SOURCE: ${sourceOnly.join(', ')}`,
+      file: targetPath,
+    });
   }
 
   if (targetOnly.length > 0) {
-    console.error(
-      `ERROR: Attributes present only in TARGET: ${targetOnly.join(', ')}`
-    );
-    hasError = true;
+    reporter.report({
+      ruleId: 'attributes/names',
+      message: `Attributes present only in TARGET: ${targetOnly.join(', ')}`,
+      file: targetPath,
+    });
   }
 
-  if (hasError) {
-    console.error('Translation validation FAILED.');
-    console.error(
-      'Hint: Check the errors above, fix the target file structure (or the source file), then retry the commit.'
-    );
+  for (const [name, sourceEntries] of sourceAttrs) {
+    const targetEntries = targetAttrs.get(name);
+    if (!targetEntries || mayDifferInValue(name, config.translatableAttributes || [])) continue;
+
+    if (sourceEntries.length !== targetEntries.length) {
+      reporter.report({
+        ruleId: 'attributes/values',
+        message: `Attribute :${name}: is set ${sourceEntries.length} time(s) in SOURCE and ${targetEntries.length} time(s) in TARGET`,
+        ...at(targetEntries[0].line),
+      });
+      continue;
+    }
+
+    sourceEntries.forEach((se, idx) => {
+      const te = targetEntries[idx];
+      if (se.value === te.value) return;
+      reporter.report({
+        ruleId: 'attributes/values',
+        message: `Attribute :${name}: changed (source line ${se.line}, target line ${te.line}): SOURCE="${se.value}", TARGET="${te.value}"`,
+        ...at(te.line),
+      });
+    });
+  }
+
+  const sourceLang = extractPageLang(sourceContent, sourcePath);
+  const targetLang = extractPageLang(targetContent, targetPath);
+  const isTranslation = Boolean(sourceLang && targetLang && sourceLang !== targetLang);
+
+  // 6) Glossary terms
+  const glossaryMode = (config.glossary.validation || 'warn').toLowerCase();
+  if (glossaryMode !== 'off') {
+    const glossary = await loadGlossary(getDefaultGlossaryPath(process.cwd()));
+
+    if (glossary.length > 0 && isTranslation) {
+      const issues = checkGlossaryUsage(glossary, sourceContent, targetContent, sourceLang, targetLang);
+
+      for (const issue of issues) {
+        reporter.report({
+          ruleId: 'glossary/term',
+          severity: glossaryMode === 'error' ? 'error' : 'warning',
+          message:
+            `Glossary term "${issue.term}" appears ${issue.sourceCount}x in SOURCE, ` +
+            `but its expected rendering "${issue.expected}" appears ${issue.targetCount}x in TARGET`,
+          file: targetPath,
+        });
+      }
+    }
+  }
+
+  // 7) Translation quality: untranslated segments, length ratio outliers, inline markers
+  if (isTranslation) {
+    const { paired, issues } = checkTranslationQuality(sourceContent, targetContent, config.quality);
+
+    if (!paired) {
+      reporter.info('Quality checks skipped: source and target have a different number of segments.');
+    }
+
+    for (const issue of issues) {
+      const mode = (config.quality[issue.kind] || 'warn').toLowerCase();
+      if (mode === 'off') continue;
+
+      reporter.report({
+        ruleId: QUALITY_RULES[issue.kind],
+        severity: mode === 'error' ? 'error' : 'warning',
+        message: issue.message,
+        ...at(issue.targetLine),
+      });
+    }
+  }
+
+  reporter.finish({ files });
+
+  if (reporter.errorCount() > 0) {
+    if (format === 'text') {
+      console.error('Translation validation FAILED.');
+      console.error(
+        'Hint: Check the errors above, fix the target file structure (or the source file), then retry the commit.'
+      );
+    }
     process.exit(1);
   } else {
-    console.log('Translation validation PASSED.');
+    reporter.info('Translation validation PASSED.');
     process.exit(0);
   }
 }
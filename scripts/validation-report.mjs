@@ -0,0 +1,172 @@
+// validation-report.mjs
+// Shared issue reporter for the validators (validate-translation, validate-nav).
+//
+// Formats (--format=<name> or --format <name>):
+// - text  (default): the human-oriented console output, printed as issues are found
+// - json:  one JSON document on stdout: { tool, passed, errors, warnings, issues: [...] }
+// - sarif: SARIF 2.1.0 on stdout, for PR annotations and code scanning uploads
+//
+// Every issue carries: file, line (optional, 1-based), ruleId, severity
+// (error | warning) and message, plus optional detail lines.
+// In json/sarif mode progress messages go to stderr so stdout stays machine-readable.
+
+export const REPORT_FORMATS = ['text', 'json', 'sarif'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Removes --format=<name> / --format <name> from argv.
+ * Returns { format, args } and throws on an unknown format.
+ */
+export function parseFormatArg(argv) {
+  const args = [];
+  let format = 'text';
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      format = argv[i + 1] || '';
+      i += 1;
+    } else if (arg.startsWith('--format=')) {
+      format = arg.slice('--format='.length);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  format = format.toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}.`);
+  }
+  return { format, args };
+}
+
+function toUri(file) {
+  return String(file || '').replace(/\\/g, '/');
+}
+
+function issueText(issue) {
+  return [issue.message, ...(issue.details || [])].join('\n');
+}
+
+function toSarif(tool, rules, issues) {
+  const usedRules = [...new Set(issues.map((issue) => issue.ruleId))];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: tool,
+            rules: usedRules.map((id) => ({
+              id,
+              shortDescription: { text: rules[id] || id },
+            })),
+          },
+        },
+        results: issues.map((issue) => ({
+          ruleId: issue.ruleId,
+          level: issue.severity === 'error' ? 'error' : 'warning',
+          message: { text: issueText(issue) },
+          locations: issue.file
+            ? [
+                {
+                  physicalLocation: {
+                    artifactLocation: { uri: toUri(issue.file) },
+                    ...(issue.line ? { region: { startLine: issue.line } } : {}),
+                  },
+                },
+              ]
+            : [],
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Creates a reporter.
+ *   tool:   name of the validator (SARIF driver name)
+ *   rules:  { ruleId: short description } used in SARIF output
+ *   format: text | json | sarif
+ *
+ * Methods:
+ *   info(...args)   progress output (stdout in text mode, stderr otherwise)
+ *   report(issue)   records an issue; in text mode prints "ERROR: ..." / "WARNING: ..." and details
+ *   record(issue)   records an issue without printing (caller prints its own text output)
+ *   errorCount() / warningCount()
+ *   finish(extra)   prints the json/sarif document (no-op in text mode)
+ *
+ * Issue shape: { ruleId, severity: 'error' | 'warning', message, file, line?, details? }
+ */
+export function createReporter({ tool, rules = {}, format = 'text' }) {
+  const issues = [];
+  const isText = format === 'text';
+
+  const record = (issue) => {
+    issues.push({ severity: 'error', details: [], ...issue });
+  };
+
+  return {
+    format,
+
+    info(...args) {
+      if (isText) console.log(...args);
+      else console.error(...args);
+    },
+
+    record,
+
+    report(issue) {
+      record(issue);
+      if (!isText) return;
+
+      const severity = issue.severity || 'error';
+      const print = severity === 'error' ? console.error : console.warn;
+      print(`${severity === 'error' ? 'ERROR' : 'WARNING'}: ${issue.message}`);
+      for (const detail of issue.details || []) print(`       ${detail}`);
+    },
+
+    errorCount() {
+      return issues.filter((issue) => issue.severity === 'error').length;
+    },
+
+    warningCount() {
+      return issues.filter((issue) => issue.severity !== 'error').length;
+    },
+
+    finish(extra = {}) {
+      if (isText) return;
+
+      if (format === 'sarif') {
+        console.log(JSON.stringify(toSarif(tool, rules, issues), null, 2));
+        return;
+      }
+
+      const errors = this.errorCount();
+      console.log(
+        JSON.stringify(
+          {
+            tool,
+            passed: errors === 0,
+            errors,
+            warnings: this.warningCount(),
+            ...extra,
+            issues: issues.map(({ file, line, ruleId, severity, message, details }) => ({
+              file: toUri(file),
+              line: line || null,
+              ruleId,
+              severity,
+              message,
+              ...(details.length ? { details } : {}),
+            })),
+          },
+          null,
+          2
+        )
+      );
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyBlockPermutation, blockPermutation } from '../scripts/adoc-reorder.mjs';
+
+const BEFORE = [
+  '= Naslov',
+  '',
+  'Prvi pasus.',
+  '',
+  '* prva stavka',
+  '* druga stavka',
+  '',
+  '[source,xml]',
+  '----',
+  '<flow name="a"/>',
+  '',
+  '<flow name="b"/>',
+  '----',
+  '',
+].join('\n');
+
+const TARGET = [
+  '= Title',
+  '',
+  'First paragraph.',
+  '',
+  '* first item',
+  '* second item',
+  '',
+  '[source,xml]',
+  '----',
+  '<flow name="a"/>',
+  '',
+  '<flow name="b"/>',
+  '----',
+  '',
+].join('\n');
+
+test('blockPermutation finds reordered list items and whole delimited blocks', () => {
+  const after = [
+    '= Naslov',
+    '',
+    '[source,xml]',
+    '----',
+    '<flow name="a"/>',
+    '',
+    '<flow name="b"/>',
+    '----',
+    '',
+    'Prvi pasus.',
+    '',
+    '* druga stavka',
+    '* prva stavka',
+    '',
+  ].join('\n');
+
+  assert.deepEqual(blockPermutation(BEFORE, after), [0, 4, 1, 3, 2]);
+});
+
+test('blockPermutation returns null for edits, additions and unchanged pages', () => {
+  assert.equal(blockPermutation(BEFORE, BEFORE), null);
+  assert.equal(blockPermutation(BEFORE, BEFORE.replace('Prvi pasus.', 'Izmijenjen pasus.')), null);
+  assert.equal(blockPermutation(BEFORE, `${BEFORE}\nNovi pasus.\n`), null);
+  // Lines moved inside a code block are not a reorder of movable blocks.
+  assert.equal(blockPermutation(BEFORE, BEFORE.replace('"a"', '"x"').replace('"b"', '"a"').replace('"x"', '"b"')), null);
+});
+
+test('applyBlockPermutation replays the moves on the translation', () => {
+  const after = [
+    '= Naslov',
+    '',
+    '* druga stavka',
+    '* prva stavka',
+    '',
+    'Prvi pasus.',
+    '',
+    '[source,xml]',
+    '----',
+    '<flow name="a"/>',
+    '',
+    '<flow name="b"/>',
+    '----',
+    '',
+  ].join('\n');
+  const order = blockPermutation(BEFORE, after);
+
+  assert.equal(
+    applyBlockPermutation(TARGET, after, order),
+    [
+      '= Title',
+      '',
+      '* second item',
+      '* first item',
+      '',
+      'First paragraph.',
+      '',
+      '[source,xml]',
+      '----',
+      '<flow name="a"/>',
+      '',
+      '<flow name="b"/>',
+      '----',
+      '',
+    ].join('\n')
+  );
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getChangedLineNumbers, mapNewLinesToOld, parseDiffHunks } from '../scripts/git-diff.mjs';
+
+const DELETED_OPEN_BLOCK = [
+  'diff --git a/a.adoc b/a.adoc',
+  'index fa19a64..96b70b6 100644',
+  '--- a/a.adoc',
+  '+++ b/a.adoc',
+  '@@ -3,4 +2,0 @@ Uvod.',
+  '---',
+  '-Otvoreni blok.',
+  '---',
+  '-',
+  '',
+].join('\n');
+
+const ADDED_PASSTHROUGH_BLOCK = [
+  'diff --git a/a.adoc b/a.adoc',
+  'index fa19a64..7c43760 100644',
+  '--- a/a.adoc',
+  '+++ b/a.adoc',
+  '@@ -2,0 +3,4 @@ Uvod.',
+  '+++++',
+  '+<br>',
+  '+++++',
+  '+',
+  '',
+].join('\n');
+
+test('getChangedLineNumbers skips the file headers', () => {
+  const diff = [
+    'diff --git a/a.adoc b/a.adoc',
+    '--- a/a.adoc',
+    '+++ b/a.adoc',
+    '@@ -2 +2 @@',
+    '-Stari red.',
+    '+Novi red.',
+    '',
+  ].join('\n');
+
+  assert.deepEqual(getChangedLineNumbers(diff), [
+    { type: 'removed', oldLine: 2, newLine: null },
+    { type: 'added', oldLine: null, newLine: 2 },
+  ]);
+});
+
+test('getChangedLineNumbers keeps removed "--" delimiter lines', () => {
+  const changed = getChangedLineNumbers(DELETED_OPEN_BLOCK);
+
+  assert.deepEqual(
+    changed.map((ch) => ch.oldLine),
+    [3, 4, 5, 6]
+  );
+  assert.ok(changed.every((ch) => ch.type === 'removed'));
+});
+
+test('getChangedLineNumbers keeps added "++++" delimiter lines', () => {
+  const changed = getChangedLineNumbers(ADDED_PASSTHROUGH_BLOCK);
+
+  assert.deepEqual(
+    changed.map((ch) => ch.newLine),
+    [3, 4, 5, 6]
+  );
+  assert.ok(changed.every((ch) => ch.type === 'added'));
+});
+
+test('getChangedLineNumbers reads the headers of every file of a diff', () => {
+  const diff = `${DELETED_OPEN_BLOCK}${ADDED_PASSTHROUGH_BLOCK}`;
+
+  assert.equal(getChangedLineNumbers(diff).length, 8);
+});
+
+test('mapNewLinesToOld skips a deleted block', () => {
+  const changed = getChangedLineNumbers(DELETED_OPEN_BLOCK);
+
+  // Old: Uvod. / "" / -- / Otvoreni blok. / -- / "" / ---- / mvn clean / ---- / "" / Kraj.
+  assert.deepEqual(mapNewLinesToOld(changed, 7), [0, 1, 6, 7, 8, 9, 10]);
+});
+
+test('parseDiffHunks collects the removed and added lines', () => {
+  const [hunk] = parseDiffHunks(DELETED_OPEN_BLOCK);
+
+  assert.equal(hunk.oldStart, 3);
+  assert.equal(hunk.oldLines, 4);
+  assert.deepEqual(hunk.removed, ['--', 'Otvoreni blok.', '--', '']);
+  assert.deepEqual(hunk.added, []);
+});
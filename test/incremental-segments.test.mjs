@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planIncrementalSegments } from '../scripts/incremental-segments.mjs';
+
+const PREVIOUS_SOURCE = ['Uvod.', '', '--', 'Otvoreni blok.', '--', '', '----', 'mvn clean', '----', '', 'Kraj.', ''].join(
+  '\n'
+);
+
+const EXISTING_TARGET = ['Intro.', '', '--', 'Open block.', '--', '', '----', 'mvn clean', '----', '', 'End.', ''].join(
+  '\n'
+);
+
+function diffHeader() {
+  return ['diff --git a/a.adoc b/a.adoc', '--- a/a.adoc', '+++ b/a.adoc'];
+}
+
+function reused(planned) {
+  return planned.plan.map((p) => p.reuse);
+}
+
+test('deleting a delimited block keeps the translation of the other segments', () => {
+  const newSource = ['Uvod.', '', '----', 'mvn clean', '----', '', 'Kraj.', ''].join('\n');
+  const diff = [...diffHeader(), '@@ -3,4 +2,0 @@ Uvod.', '---', '-Otvoreni blok.', '---', '-', ''].join('\n');
+
+  const planned = planIncrementalSegments(PREVIOUS_SOURCE, newSource, EXISTING_TARGET, diff);
+
+  assert.deepEqual(reused(planned), ['Intro.', '----\nmvn clean\n----', 'End.']);
+});
+
+test('adding a delimited block only leaves the new block for translation', () => {
+  const newSource = [
+    'Uvod.',
+    '',
+    '++++',
+    '<br>',
+    '++++',
+    '',
+    '--',
+    'Otvoreni blok.',
+    '--',
+    '',
+    '----',
+    'mvn clean',
+    '----',
+    '',
+    'Kraj.',
+    '',
+  ].join('\n');
+  const diff = [...diffHeader(), '@@ -2,0 +3,4 @@ Uvod.', '+++++', '+<br>', '+++++', '+', ''].join('\n');
+
+  const planned = planIncrementalSegments(PREVIOUS_SOURCE, newSource, EXISTING_TARGET, diff);
+
+  assert.deepEqual(reused(planned), ['Intro.', null, '--\nOpen block.\n--', '----\nmvn clean\n----', 'End.']);
+});
+
+test('a segment whose text differs from the previous source is translated again', () => {
+  const newSource = PREVIOUS_SOURCE.replace('Kraj.', 'Kraj dokumenta.');
+
+  // A diff that (wrongly) reports no change at all.
+  const planned = planIncrementalSegments(PREVIOUS_SOURCE, newSource, EXISTING_TARGET, '');
+
+  assert.deepEqual(reused(planned), ['Intro.', '--\nOpen block.\n--', '----\nmvn clean\n----', null]);
+});
+
+test('a target segment with a different shape is translated again', () => {
+  const driftedTarget = EXISTING_TARGET.replace('Intro.', '== Intro');
+
+  const planned = planIncrementalSegments(PREVIOUS_SOURCE, PREVIOUS_SOURCE, driftedTarget, '');
+
+  assert.deepEqual(reused(planned), [null, '--\nOpen block.\n--', '----\nmvn clean\n----', 'End.']);
+});
+
+test('returns null if the target is not aligned with the previous source', () => {
+  const target = EXISTING_TARGET.replace('\n\nEnd.', '\nEnd.');
+
+  assert.equal(planIncrementalSegments(PREVIOUS_SOURCE, PREVIOUS_SOURCE, target, ''), null);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { addPageAlias, removeNavEntries, rewriteXrefs } from '../scripts/page-moves.mjs';
+
+const COMPONENTS = ['docs-en', 'docs-sr'];
+
+test('rewriteXrefs points xrefs and cross references of the same module at the new page', () => {
+  const content = [
+    'See xref:setup.adoc[Setup], xref:ROOT:setup.adoc#install[install] and <<setup.adoc#install,install>>.',
+    'Also xref:docs-sr:ROOT:setup.adoc[SR] and xref:2.0@docs-en:ROOT:setup.adoc[old].',
+  ].join('\n');
+
+  const { content: next, count } = rewriteXrefs(content, 'setup.adoc', 'guides/setup.adoc', { components: COMPONENTS });
+
+  assert.equal(count, 5);
+  assert.equal(
+    next,
+    [
+      'See xref:guides/setup.adoc[Setup], xref:ROOT:guides/setup.adoc#install[install] and <<guides/setup.adoc#install,install>>.',
+      'Also xref:docs-sr:ROOT:guides/setup.adoc[SR] and xref:2.0@docs-en:ROOT:guides/setup.adoc[old].',
+    ].join('\n')
+  );
+});
+
+test('rewriteXrefs leaves other modules, other components and longer page ids alone', () => {
+  const content = [
+    'xref:admin:setup.adoc[Admin]',
+    'xref:other-docs:ROOT:setup.adoc[Other]',
+    'xref:old-setup.adoc[Old]',
+    'xref:setup.adoc.bak[Backup]',
+  ].join('\n');
+
+  const result = rewriteXrefs(content, 'setup.adoc', 'guides/setup.adoc', { components: COMPONENTS });
+
+  assert.equal(result.count, 0);
+  assert.equal(result.content, content);
+});
+
+test('removeNavEntries drops only the nav entries of the deleted page', () => {
+  const nav = [
+    '* xref:index.adoc[Home]',
+    '** xref:setup.adoc[Setup]',
+    '*** xref:setup-details.adoc[Details]',
+    '',
+    'Text that mentions xref:setup.adoc[Setup].',
+  ].join('\n');
+
+  const { content, removed } = removeNavEntries(nav, 'setup.adoc', { components: COMPONENTS });
+
+  assert.equal(removed, 1);
+  assert.equal(
+    content,
+    ['* xref:index.adoc[Home]', '*** xref:setup-details.adoc[Details]', '', 'Text that mentions xref:setup.adoc[Setup].'].join(
+      '\n'
+    )
+  );
+});
+
+test('addPageAlias creates :page-aliases: after the last header attribute', () => {
+  const page = ['= Setup', ':page-lang: en', ':description: How to set up.', '', ':note: body attribute', 'Text.'].join('\n');
+
+  assert.equal(
+    addPageAlias(page, 'setup.adoc'),
+    ['= Setup', ':page-lang: en', ':description: How to set up.', ':page-aliases: setup.adoc', '', ':note: body attribute', 'Text.'].join(
+      '\n'
+    )
+  );
+  assert.equal(addPageAlias('= Setup\n\nText.', 'setup.adoc'), '= Setup\n:page-aliases: setup.adoc\n\nText.');
+});
+
+test('addPageAlias extends existing aliases and drops the current page id', () => {
+  const page = ['= Setup', ':page-aliases: install.adoc, guides/setup.adoc', '', 'Text.'].join('\n');
+
+  assert.equal(
+    addPageAlias(page, 'setup.adoc', 'guides/setup.adoc'),
+    ['= Setup', ':page-aliases: install.adoc, setup.adoc', '', 'Text.'].join('\n')
+  );
+});
@@ -0,0 +1,112 @@
+// Smoke check: runs the pre-commit hook once with TRANSLATION_PROVIDER=mock on a
+// scratch commit in a throwaway copy of the repository (no network, no API key).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { hashSource } from '../scripts/translation-lock.mjs';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE_PAGE = 'docs-sr/modules/ROOT/pages/1_mule_overview.adoc';
+const TARGET_PAGE = 'docs-en/modules/ROOT/pages/1_mule_overview.adoc';
+const TARGET_NAV = 'docs-en/modules/ROOT/nav.adoc';
+const NEW_SENTENCE = 'Ovo je nova rečenica za provjeru hook-a.';
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' });
+}
+
+// Working-tree copy of every tracked and untracked (not ignored) file, so the
+// check runs the scripts as they are now, not as committed.
+function copyRepository(dest) {
+  const files = git(REPO_ROOT, 'ls-files', '-z', '--cached', '--others', '--exclude-standard')
+    .split('\0')
+    .filter(Boolean);
+
+  for (const file of files) {
+    const from = path.join(REPO_ROOT, file);
+    if (!fs.existsSync(from)) continue;
+    fs.mkdirSync(path.dirname(path.join(dest, file)), { recursive: true });
+    fs.copyFileSync(from, path.join(dest, file));
+  }
+  fs.symlinkSync(path.join(REPO_ROOT, 'node_modules'), path.join(dest, 'node_modules'), 'dir');
+}
+
+function createScratchRepository(t, prepare = () => {}) {
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'pre-commit-mock-'));
+  t.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+  copyRepository(scratch);
+  prepare(scratch);
+  git(scratch, 'init', '-q');
+  git(scratch, 'add', '-A');
+  git(scratch, '-c', 'user.name=smoke', '-c', 'user.email=smoke@example.com', 'commit', '-q', '--no-verify', '-m', 'base');
+  return scratch;
+}
+
+function runHook(scratch) {
+  const env = { ...process.env, TRANSLATION_PROVIDER: 'mock' };
+  delete env.TRANSLATION_MODE;
+  const run = spawnSync(process.execPath, ['scripts/pre-commit.mjs'], { cwd: scratch, env, encoding: 'utf8' });
+
+  assert.equal(run.status, 0, `pre-commit failed:\n${run.stdout}\n${run.stderr}`);
+}
+
+function lockEntry(scratch, targetFile) {
+  return JSON.parse(fs.readFileSync(path.join(scratch, 'translation.lock.json'), 'utf8')).pages[targetFile];
+}
+
+test('pre-commit hook translates a staged edit with the mock provider', (t) => {
+  const scratch = createScratchRepository(t);
+
+  fs.appendFileSync(path.join(scratch, SOURCE_PAGE), `\n${NEW_SENTENCE}\n`);
+  git(scratch, 'add', SOURCE_PAGE);
+  runHook(scratch);
+
+  const staged = git(scratch, 'diff', '--cached', '--name-only').split('\n');
+  assert.ok(staged.includes(TARGET_PAGE), `${TARGET_PAGE} is not staged`);
+  assert.ok(staged.includes('translation.lock.json'), 'translation.lock.json is not staged');
+
+  const target = git(scratch, 'show', `:${TARGET_PAGE}`);
+  assert.ok(target.includes(`(EN) ${NEW_SENTENCE}`), 'the new paragraph is not marked as mock output');
+
+  // Nav labels the mock touched are marked too, never copied from the source as they are.
+  const navLabels = git(scratch, 'diff', '--cached', '-U0', '--', TARGET_NAV)
+    .split('\n')
+    .filter((line) => /^\+\s*\*+\s+xref:/.test(line))
+    .map((line) => line.match(/\[(.*)\]\s*$/)[1]);
+  assert.ok(navLabels.every((label) => label.includes('(EN) ')), `unmarked nav labels: ${navLabels.join(', ')}`);
+});
+
+test('an edit synced without AI leaves a stale translation stale', (t) => {
+  const scratch = createScratchRepository(t, (dir) => {
+    const lockPath = path.join(dir, 'translation.lock.json');
+    const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    lock.pages[TARGET_PAGE].sourceHash = 'sha256:stale';
+    fs.writeFileSync(lockPath, `${JSON.stringify(lock, null, 2)}\n`);
+  });
+
+  const sourcePath = path.join(scratch, SOURCE_PAGE);
+  fs.writeFileSync(sourcePath, fs.readFileSync(sourcePath, 'utf8').replace('MuleSoft nudi', 'MuleSoft  nudi'));
+  git(scratch, 'add', SOURCE_PAGE);
+  runHook(scratch);
+
+  assert.equal(lockEntry(scratch, TARGET_PAGE).sourceHash, 'sha256:stale');
+});
+
+test('a translation records the staged source, not the working tree', (t) => {
+  const scratch = createScratchRepository(t);
+  const sourcePath = path.join(scratch, SOURCE_PAGE);
+
+  fs.appendFileSync(sourcePath, `\n${NEW_SENTENCE}\n`);
+  git(scratch, 'add', SOURCE_PAGE);
+  const staged = git(scratch, 'show', `:${SOURCE_PAGE}`);
+  fs.appendFileSync(sourcePath, '\nJoš jedna rečenica, koja nije staged.\n');
+  runHook(scratch);
+
+  assert.equal(lockEntry(scratch, TARGET_PAGE).sourceHash, hashSource(staged));
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hashSource, recordTranslation, translationState } from '../scripts/translation-lock.mjs';
+
+const SOURCE_FILE = 'docs-sr/modules/ROOT/pages/does-not-exist.adoc';
+const TARGET_FILE = 'docs-en/modules/ROOT/pages/does-not-exist.adoc';
+
+const PAGE = [
+  '= Naslov',
+  ':page-lang: sr',
+  '',
+  'Prvi  pasus,\tsa razmacima. ',
+  '',
+  '',
+  '',
+  '[source,xml]',
+  '----',
+  '<flow  name="a"/>',
+  '----',
+  '',
+].join('\n');
+
+test('hashSource ignores whitespace and page metadata outside protected blocks', () => {
+  const reformatted = [
+    '= Naslov',
+    ':page-lang: en',
+    ':translation-source: sr',
+    '',
+    'Prvi pasus, sa razmacima.',
+    '',
+    '[source,xml]',
+    '----',
+    '<flow  name="a"/>',
+    '----',
+  ].join('\r\n');
+
+  assert.equal(hashSource(reformatted), hashSource(PAGE));
+  assert.match(hashSource(PAGE), /^sha256:[0-9a-f]{64}$/);
+});
+
+test('hashSource changes with text or with whitespace inside a code block', () => {
+  assert.notEqual(hashSource(PAGE.replace('Prvi', 'Drugi')), hashSource(PAGE));
+  assert.notEqual(hashSource(PAGE.replace('<flow  name', '<flow name')), hashSource(PAGE));
+});
+
+test('recordTranslation and translationState use sourceContent instead of the working tree', () => {
+  const lock = { version: 1, pages: {} };
+  recordTranslation(lock, { sourceFile: SOURCE_FILE, targetFile: TARGET_FILE, direction: 'sr-en', sourceContent: PAGE });
+
+  assert.deepEqual(lock.pages[TARGET_FILE], { source: SOURCE_FILE, direction: 'sr-en', sourceHash: hashSource(PAGE) });
+  assert.equal(translationState(lock, { sourceFile: SOURCE_FILE, targetFile: TARGET_FILE, sourceContent: PAGE }), 'current');
+  assert.equal(
+    translationState(lock, { sourceFile: SOURCE_FILE, targetFile: TARGET_FILE, sourceContent: `${PAGE}Novi pasus.\n` }),
+    'stale'
+  );
+  // Without sourceContent the (missing) working-tree file is compared.
+  assert.equal(translationState(lock, { sourceFile: SOURCE_FILE, targetFile: TARGET_FILE }), 'stale');
+  assert.equal(translationState(lock, { sourceFile: 'docs-sr/other.adoc', targetFile: TARGET_FILE, sourceContent: PAGE }), 'untracked');
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(REPO_ROOT, 'scripts', 'translation-memory-cli.mjs');
+
+test('record stores segments whose only text is a translatable attribute', (t) => {
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-memory-cli-'));
+  t.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+  fs.copyFileSync(path.join(REPO_ROOT, 'translation.config.json'), path.join(scratch, 'translation.config.json'));
+  fs.writeFileSync(
+    path.join(scratch, 'source.adoc'),
+    '= Pregled\n\n:description: Kratak pregled platforme.\n\nPrvi pasus.\n'
+  );
+  fs.writeFileSync(
+    path.join(scratch, 'target.adoc'),
+    '= Overview\n\n:description: A short overview of the platform.\n\nThe first paragraph.\n'
+  );
+
+  const run = spawnSync(process.execPath, [CLI, 'record', 'source.adoc', 'target.adoc', '--direction=sr-en'], {
+    cwd: scratch,
+    encoding: 'utf8',
+  });
+  assert.equal(run.status, 0, `record failed:\n${run.stdout}\n${run.stderr}`);
+
+  const entries = fs
+    .readFileSync(path.join(scratch, '.translation-memory.jsonl'), 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  assert.ok(
+    entries.some((entry) => entry.target === ':description: A short overview of the platform.'),
+    `no :description: segment recorded: ${JSON.stringify(entries)}`
+  );
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VALIDATOR = path.join(REPO_ROOT, 'scripts', 'validate-translation.mjs');
+
+const SOURCE = ['= Naslov', '', '[mermaid]', '....', 'graph TD', '  A --> B["Kraj"]', '....', ''].join('\n');
+const TARGET = SOURCE.replace('= Naslov', '= Title').replace('"Kraj"', '"End"');
+
+function validate(t, translateDiagramLabels) {
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-translation-'));
+  t.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+  const config = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'translation.config.json'), 'utf8'));
+  config.features = { ...config.features, translateDiagramLabels };
+  config.glossary = { ...config.glossary, validation: 'off' };
+  config.quality = { ...config.quality, untranslated: 'off', lengthRatio: 'off', inlineMarkers: 'off' };
+  fs.writeFileSync(path.join(scratch, 'translation.config.json'), JSON.stringify(config));
+  fs.writeFileSync(path.join(scratch, 'source.adoc'), SOURCE);
+  fs.writeFileSync(path.join(scratch, 'target.adoc'), TARGET);
+
+  return spawnSync(process.execPath, [VALIDATOR, 'source.adoc', 'target.adoc'], { cwd: scratch, encoding: 'utf8' });
+}
+
+test('translated diagram labels pass only with translateDiagramLabels', (t) => {
+  const enabled = validate(t, true);
+  assert.equal(enabled.status, 0, `validation failed:\n${enabled.stdout}\n${enabled.stderr}`);
+
+  const disabled = validate(t, false);
+  assert.equal(disabled.status, 1, `validation passed:\n${disabled.stdout}`);
+  assert.match(disabled.stdout + disabled.stderr, /Code block #1 mismatch/);
+});